@@ -3,15 +3,42 @@
 const STORAGE_KEY_TRACKS = "flowmusic_tracks_v1";
 const STORAGE_KEY_VOLUME = "flowmusic_volume_v1";
 const STORAGE_KEY_RECENTS = "flowmusic_recents_v1";
+const STORAGE_KEY_QUEUE = "flowmusic_queue_v1";
+const STORAGE_KEY_SHUFFLE = "flowmusic_shuffle_v1";
+const STORAGE_KEY_EQ = "flowmusic_eq_v1";
+const STORAGE_KEY_TRANSITIONS = "flowmusic_transitions_v1";
+const STORAGE_KEY_NORMALIZATION = "flowmusic_normalization_v1";
+const STORAGE_KEY_VISUALIZER = "flowmusic_visualizer_v1";
+const STORAGE_KEY_SLEEP = "flowmusic_sleep_v1";
+const STORAGE_KEY_SESSION = "flowmusic_session_v1";
+const STORAGE_KEY_LOCALE = "flowmusic_locale_v1";
+const STORAGE_KEY_PRACTICE = "flowmusic_practice_v1";
+const STORAGE_KEY_LONGFORM = "flowmusic_longform_v1";
+const STORAGE_KEY_SHORTCUTS = "flowmusic_shortcuts_v1";
+const HISTORY_LIMIT = 200;
+const SEEK_STEP_SEC = 5; // arrow keys and media-key seeks
 
 // Persist audio files safely (localStorage quota is too small for audio)
 const DB_NAME = "flowmusic_db_v1";
 const DB_STORE = "tracks";
-const DB_VERSION = 1;
+const DB_PLAYLIST_STORE = "playlists";
+const DB_PLAYS_STORE = "plays";
+const DB_VERSION = 3;
 
-const audio = document.getElementById("audio");
+// Two decks so the next track can be preloaded and overlapped
+const decks = [document.getElementById("audio"), document.getElementById("audio-b")];
+let audio = decks[0]; // the deck that is currently playing
 const playlistEl = document.getElementById("playlist");
+const playlistChipsEl = document.getElementById("playlist-chips");
+const btnPlaylistNew = document.getElementById("btn-playlist-new");
+const btnPlaylistRename = document.getElementById("btn-playlist-rename");
+const btnPlaylistDuplicate = document.getElementById("btn-playlist-duplicate");
+const btnPlaylistDelete = document.getElementById("btn-playlist-delete");
+const btnSelectMode = document.getElementById("btn-select-mode");
+const btnRemoveSelected = document.getElementById("btn-remove-selected");
+const btnPlaylistExport = document.getElementById("btn-playlist-export");
 const fileInput = document.getElementById("file-input");
+const folderInput = document.getElementById("folder-input");
 const dropZone = document.getElementById("drop-zone");
 
 const btnPlay = document.getElementById("btn-play");
@@ -19,6 +46,84 @@ const btnPrev = document.getElementById("btn-prev");
 const btnNext = document.getElementById("btn-next");
 const btnShuffle = document.getElementById("btn-shuffle");
 const btnRepeat = document.getElementById("btn-repeat");
+const btnQueue = document.getElementById("btn-queue");
+const queueCountEl = document.getElementById("queue-count");
+const queuePanel = document.getElementById("queue-panel");
+const queueListEl = document.getElementById("queue-list");
+const btnQueueClear = document.getElementById("btn-queue-clear");
+const btnQueueClose = document.getElementById("btn-queue-close");
+const btnLyrics = document.getElementById("btn-lyrics");
+const lyricsPanel = document.getElementById("lyrics-panel");
+const lyricsView = document.getElementById("lyrics-view");
+const lyricsOffsetEl = document.getElementById("lyrics-offset");
+const btnLyricsEarlier = document.getElementById("btn-lyrics-earlier");
+const btnLyricsLater = document.getElementById("btn-lyrics-later");
+const btnLyricsEdit = document.getElementById("btn-lyrics-edit");
+const btnLyricsClose = document.getElementById("btn-lyrics-close");
+const btnEq = document.getElementById("btn-eq");
+const eqPanel = document.getElementById("eq-panel");
+const btnEqClose = document.getElementById("btn-eq-close");
+const eqEnabledInput = document.getElementById("eq-enabled");
+const eqPresetSelect = document.getElementById("eq-preset");
+const btnEqSave = document.getElementById("btn-eq-save");
+const btnEqDelete = document.getElementById("btn-eq-delete");
+const eqCurveCanvas = document.getElementById("eq-curve");
+const eqBandsEl = document.getElementById("eq-bands");
+const btnSettings = document.getElementById("btn-settings");
+const settingsPanel = document.getElementById("settings-panel");
+const btnSettingsClose = document.getElementById("btn-settings-close");
+const optGapless = document.getElementById("opt-gapless");
+const optCrossfade = document.getElementById("opt-crossfade");
+const optCrossfadeValue = document.getElementById("opt-crossfade-value");
+const optFadeCurve = document.getElementById("opt-fade-curve");
+const optNormalize = document.getElementById("opt-normalize");
+const optNormalizeTarget = document.getElementById("opt-normalize-target");
+const optLimiter = document.getElementById("opt-limiter");
+const loudnessStatusEl = document.getElementById("loudness-status");
+const btnAnalyseMissing = document.getElementById("btn-analyse-missing");
+const btnAnalyseAll = document.getElementById("btn-analyse-all");
+const btnSleep = document.getElementById("btn-sleep");
+const sleepCountdownEl = document.getElementById("sleep-countdown");
+const sleepPanel = document.getElementById("sleep-panel");
+const btnSleepClose = document.getElementById("btn-sleep-close");
+const sleepStatusEl = document.getElementById("sleep-status");
+const sleepPresetsEl = document.getElementById("sleep-presets");
+const sleepCustomInput = document.getElementById("sleep-custom");
+const btnSleepCustom = document.getElementById("btn-sleep-custom");
+const btnSleepTrack = document.getElementById("btn-sleep-track");
+const sleepTracksInput = document.getElementById("sleep-tracks");
+const btnSleepTracks = document.getElementById("btn-sleep-tracks");
+const optSleepFade = document.getElementById("opt-sleep-fade");
+const btnSleepExtend = document.getElementById("btn-sleep-extend");
+const btnSleepCancel = document.getElementById("btn-sleep-cancel");
+const btnPractice = document.getElementById("btn-practice");
+const practiceBadgeEl = document.getElementById("practice-badge");
+const practicePanel = document.getElementById("practice-panel");
+const btnPracticeClose = document.getElementById("btn-practice-close");
+const btnPracticeReset = document.getElementById("btn-practice-reset");
+const optRate = document.getElementById("opt-rate");
+const practiceRateValue = document.getElementById("practice-rate-value");
+const optPreservePitch = document.getElementById("opt-preserve-pitch");
+const optPitch = document.getElementById("opt-pitch");
+const practicePitchValue = document.getElementById("practice-pitch-value");
+const optCountIn = document.getElementById("opt-count-in");
+const abStatusEl = document.getElementById("ab-status");
+const btnAbA = document.getElementById("btn-ab-a");
+const btnAbB = document.getElementById("btn-ab-b");
+const btnAbClear = document.getElementById("btn-ab-clear");
+const abMarkerA = document.getElementById("ab-marker-a");
+const abMarkerB = document.getElementById("ab-marker-b");
+const btnBookmarks = document.getElementById("btn-bookmarks");
+const bookmarksCountEl = document.getElementById("bookmarks-count");
+const bookmarksPanel = document.getElementById("bookmarks-panel");
+const btnBookmarksClose = document.getElementById("btn-bookmarks-close");
+const btnBookmarkAdd = document.getElementById("btn-bookmark-add");
+const optLongForm = document.getElementById("opt-long-form");
+const longFormStatusEl = document.getElementById("longform-status");
+const btnLongFormFinished = document.getElementById("btn-longform-finished");
+const chapterListEl = document.getElementById("chapter-list");
+const bookmarkListEl = document.getElementById("bookmark-list");
+const kbdShortcutsEl = document.getElementById("kbd-shortcuts");
 
 const seekBar = document.getElementById("seek-bar");
 const volumeBar = document.getElementById("volume-bar");
@@ -26,7 +131,19 @@ const currentTimeEl = document.getElementById("current-time");
 const totalTimeEl = document.getElementById("total-time");
 const trackTitleEl = document.getElementById("track-title");
 const trackSubtitleEl = document.getElementById("track-subtitle");
+const btnResume = document.getElementById("btn-resume");
+const trackCoverEl = document.getElementById("track-cover");
 const waveCanvas = document.getElementById("wave-canvas");
+const visualizerEl = document.getElementById("visualizer");
+const btnVisMode = document.getElementById("btn-vis-mode");
+const btnVisFullscreen = document.getElementById("btn-vis-fullscreen");
+const optVisMode = document.getElementById("opt-vis-mode");
+const optVisTheme = document.getElementById("opt-vis-theme");
+const optVisSensitivity = document.getElementById("opt-vis-sensitivity");
+const optVisSmoothing = document.getElementById("opt-vis-smoothing");
+const seekWaveEl = document.getElementById("seek-wave");
+const seekWaveCanvas = document.getElementById("seek-wave-canvas");
+const seekTooltipEl = document.getElementById("seek-tooltip");
 
 // Sections & nav
 const homeSection = document.getElementById("home-section");
@@ -39,6 +156,25 @@ const recommendGrid = document.getElementById("recommend-grid");
 const searchInput = document.getElementById("search-input");
 const searchResults = document.getElementById("search-results");
 const profileCount = document.getElementById("profile-count");
+const storageSummaryEl = document.getElementById("storage-summary");
+const storageMeterFill = document.getElementById("storage-meter-fill");
+const storageListEl = document.getElementById("storage-list");
+const orphanListEl = document.getElementById("orphan-list");
+const btnFindOrphans = document.getElementById("btn-find-orphans");
+const btnBackupExport = document.getElementById("btn-backup-export");
+const btnBackupImport = document.getElementById("btn-backup-import");
+const backupFileInput = document.getElementById("backup-file-input");
+const statsRangeEl = document.getElementById("stats-range");
+const statsSummaryEl = document.getElementById("stats-summary");
+const statsTopTracksEl = document.getElementById("stats-top-tracks");
+const statsTopArtistsEl = document.getElementById("stats-top-artists");
+const statsHeatmapEl = document.getElementById("stats-heatmap");
+const btnYearReview = document.getElementById("btn-year-review");
+const optLocale = document.getElementById("opt-locale");
+const btnInstall = document.getElementById("btn-install");
+const updateBanner = document.getElementById("update-banner");
+const btnUpdateReload = document.getElementById("btn-update-reload");
+const btnUpdateDismiss = document.getElementById("btn-update-dismiss");
 
 const canvasCtx = waveCanvas.getContext("2d");
 
@@ -50,13 +186,130 @@ let state = {
   repeatMode: "off", // off | all | one
   currentTab: "home",
   recents: [],
+  playlists: [],
+  activePlaylistId: null, // null = whole library
+  isSelecting: false,
+  selectedIds: new Set(),
+  queue: [], // track ids played before the rest of the list
+  contextAnchorId: null, // last track played from the list itself
+  contextPlaylistId: null, // list the playing song was started from; null = whole library
+  shuffleOrder: [], // permutation of the list's track ids
+  history: [], // ids of tracks in the order they actually played
+  plays: [], // play-event log, oldest first
 };
 
 let audioCtx = null;
 let analyser = null;
-let sourceNode = null;
+let mixBus = null; // both decks meet here before the processing chain
+let deckGains = [];
+let deckLevelGains = []; // per-deck loudness normalization, ahead of the fades
+let limiter = null;
 let animationId = null;
 let audioGraphReady = false;
+let eqPreamp = null;
+let eqFilters = [];
+
+// Graphic equalizer: 10 octave bands plus a preamp stage
+const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_Q = 1.41; // about one octave per band
+const EQ_RANGE_DB = 12;
+
+const EQ_PRESETS = {
+  Flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  "Bass Boost": [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+  "Treble Boost": [0, 0, 0, 0, 0, 1, 2, 4, 5, 6],
+  Vocal: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1],
+  Classical: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4],
+  Rock: [4, 3, 1, -1, -2, -1, 1, 3, 4, 4],
+  Pop: [-1, 1, 3, 4, 3, 0, -1, -1, 0, 1],
+  Jazz: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3],
+  Electronic: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5],
+  Loudness: [5, 3, 0, 0, -1, 0, -1, 0, 4, 2],
+};
+
+// Gapless handoff and crossfade between the two decks
+const PRELOAD_AHEAD_SEC = 15;
+const GAPLESS_WINDOW_SEC = 0.3; // switch decks on a timer inside this window
+const GAPLESS_LEAD_MS = 15; // media elements take a moment to start
+const MAX_CROSSFADE_SEC = 12;
+const CROSSFADE_CURVES = ["equal-power", "linear", "s-curve"];
+
+let transitionSettings = {
+  gapless: true,
+  crossfade: 0, // seconds, 0 = off
+  curve: "equal-power",
+};
+let preloadedTrackId = null; // track waiting in the standby deck
+let transition = null; // { from, timer } while the outgoing deck plays out
+let handoffTimer = null;
+let transitionWatcher = null;
+let lastPreloadCheck = 0;
+
+// Loudness normalization (EBU R128 measurement, ReplayGain-style playback gain)
+const ANALYSIS_SAMPLE_RATE = 48000; // the K-weighting coefficients are for 48 kHz
+const MAX_ANALYSIS_SEC = 15 * 60; // decoding keeps the whole track in memory as PCM
+const MAX_ANALYSIS_BYTES = 150 * 1024 * 1024; // used when the duration is unknown
+const NORMALIZATION_MODES = ["off", "track", "album"];
+const NORMALIZATION_TARGETS = [-14, -16, -18, -23];
+const MAX_NORMALIZATION_BOOST_DB = 12;
+const TRUE_PEAK_CEILING_DB = -1;
+
+let normalizationSettings = {
+  mode: "track",
+  target: -18, // LUFS, the ReplayGain 2.0 reference level
+  limiter: true,
+};
+// Listening history
+const SKIP_RATIO = 0.5; // leaving before half the track counts as a skip
+const SKIP_UNKNOWN_DURATION_SEC = 30;
+const MIN_PLAY_SEC = 1; // shorter plays are not logged
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let currentPlay = null; // { trackId, start, listened, lastPos, duration } while a track plays
+
+let analysisQueue = []; // track ids waiting for loudness/waveform analysis
+let analysisRunning = false;
+
+// Visualizer
+// Mode -> message key of its label
+const VISUALIZER_MODES = {
+  bars: "vis.bars",
+  scope: "vis.scope",
+  radial: "vis.radial",
+  spectrogram: "vis.spectrogram",
+};
+// Each theme runs dark -> main -> bright
+const VISUALIZER_THEMES = {
+  Neon: ["#005746", "#00ffc6", "#eafff9"],
+  Sunset: ["#5b1a3a", "#ff6b4a", "#ffe08a"],
+  Ocean: ["#0a2a5e", "#2f9bff", "#c8f1ff"],
+  Mono: ["#3a3a3a", "#bbbbbb", "#ffffff"],
+};
+const VISUALIZER_MIN_FREQ = 30;
+const VISUALIZER_MAX_FREQ = 16000;
+
+let visualizerSettings = {
+  mode: "bars",
+  theme: "Neon",
+  sensitivity: 1, // gain applied to the analyser levels
+  smoothing: 0.8, // AnalyserNode.smoothingTimeConstant
+};
+let spectrogramPalette = null; // 256 CSS colours for the current theme
+
+// Waveform seek bar
+const WAVEFORM_BUCKETS = 1000; // stored resolution, resampled to the canvas width
+const WAVEFORM_BAR_WIDTH = 2;
+const WAVEFORM_BAR_GAP = 1;
+
+let seekHoverRatio = null; // pointer position over the seek bar, 0..1
+
+let eqSettings = {
+  enabled: false,
+  preamp: 0,
+  gains: [...EQ_PRESETS.Flat],
+  preset: "Flat", // null while the sliders don't match a saved preset
+  customPresets: {}, // name -> { preamp, gains }
+};
 
 // IndexedDB helpers
 function openDb() {
@@ -67,6 +320,14 @@ function openDb() {
       if (!db.objectStoreNames.contains(DB_STORE)) {
         db.createObjectStore(DB_STORE, { keyPath: "id" });
       }
+      // v2: named playlists referencing library tracks by id
+      if (!db.objectStoreNames.contains(DB_PLAYLIST_STORE)) {
+        db.createObjectStore(DB_PLAYLIST_STORE, { keyPath: "id" });
+      }
+      // v3: play-event log behind recommendations
+      if (!db.objectStoreNames.contains(DB_PLAYS_STORE)) {
+        db.createObjectStore(DB_PLAYS_STORE, { keyPath: "id", autoIncrement: true });
+      }
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
@@ -104,6 +365,86 @@ async function idbGetTrack(id) {
   });
 }
 
+// Changes a stored record in one transaction, so work that takes a while
+// (analysis, lyrics) can't write back a stale copy over someone else's change.
+// Resolves with false when there is no such record.
+async function idbUpdateTrack(id, update) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, "readwrite");
+    let found = false;
+    tx.oncomplete = () => {
+      db.close();
+      resolve(found);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error || new Error("IndexedDB write failed"));
+    };
+    const store = tx.objectStore(DB_STORE);
+    const req = store.get(id);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      found = true;
+      update(req.result);
+      store.put(req.result);
+    };
+  });
+}
+
+// Runs a single request in its own transaction and resolves with its result
+async function idbRun(storeName, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    tx.oncomplete = () => {
+      db.close();
+      resolve(result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error || new Error("IndexedDB request failed"));
+    };
+    const req = makeRequest(tx.objectStore(storeName));
+    req.onsuccess = () => {
+      result = req.result;
+    };
+  });
+}
+
+function idbDeleteTrack(id) {
+  return idbRun(DB_STORE, "readwrite", (store) => store.delete(id));
+}
+
+function idbGetAllTrackKeys() {
+  return idbRun(DB_STORE, "readonly", (store) => store.getAllKeys());
+}
+
+function idbGetAllPlaylists() {
+  return idbRun(DB_PLAYLIST_STORE, "readonly", (store) => store.getAll());
+}
+
+function idbPutPlaylist(playlist) {
+  return idbRun(DB_PLAYLIST_STORE, "readwrite", (store) => store.put(playlist));
+}
+
+function idbDeletePlaylist(id) {
+  return idbRun(DB_PLAYLIST_STORE, "readwrite", (store) => store.delete(id));
+}
+
+function idbGetAllPlays() {
+  return idbRun(DB_PLAYS_STORE, "readonly", (store) => store.getAll());
+}
+
+function idbAddPlay(event) {
+  return idbRun(DB_PLAYS_STORE, "readwrite", (store) => store.add(event));
+}
+
+function idbClearPlays() {
+  return idbRun(DB_PLAYS_STORE, "readwrite", (store) => store.clear());
+}
+
 async function hydrateTrackUrlsFromDb() {
   // Create object URLs from stored blobs so <audio> can play them
   for (const t of state.tracks) {
@@ -112,6 +453,12 @@ async function hydrateTrackUrlsFromDb() {
       const rec = await idbGetTrack(t.id);
       if (rec && rec.blob) {
         t.url = URL.createObjectURL(rec.blob);
+        if (!rec.tags) await upgradeTrackRecordTags(t, rec);
+        if (rec.cover) t.coverUrl = URL.createObjectURL(rec.cover);
+        if (rec.loudness && !t.loudness) t.loudness = rec.loudness;
+        if (rec.peaks) t.peaks = rec.peaks;
+        // Left undefined for records from before chapters: backfilled when loaded
+        if (rec.chapters !== undefined) t.chapters = rec.chapters;
       }
     } catch (e) {
       console.warn("Could not hydrate track from DB:", e);
@@ -119,662 +466,8604 @@ async function hydrateTrackUrlsFromDb() {
   }
 }
 
+// Tracks imported before tag support only have a filename-based name
+async function upgradeTrackRecordTags(track, rec) {
+  const { tags, cover, lyrics, chapters } = readTags(await rec.blob.arrayBuffer());
+  track.fileName = track.fileName || rec.fileName || rec.name;
+  applyTags(track, tags);
+  rec.fileName = track.fileName;
+  rec.tags = tags;
+  rec.cover = cover;
+  if (lyrics && !rec.lyrics) rec.lyrics = { text: lyrics, offset: 0, source: "embedded" };
+  rec.chapters = chapters;
+  await idbPutTrack(rec);
+  saveTracks();
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / 1024 ** i;
+  return `${value >= 10 || i === 0 ? value.toFixed(0) : value.toFixed(1)} ${units[i]}`;
+}
+
 // Util: time formatting
 function formatTime(sec) {
   if (isNaN(sec) || !isFinite(sec)) return "0:00";
   const s = Math.floor(sec);
   const m = Math.floor(s / 60);
   const r = s % 60;
+  // Audiobooks and lectures run for hours
+  if (m >= 60) return `${Math.floor(m / 60)}:${(m % 60).toString().padStart(2, "0")}:${r.toString().padStart(2, "0")}`;
   return `${m}:${r.toString().padStart(2, "0")}`;
 }
 
-// Storage
-function saveTracks() {
-  try {
-    const payload = state.tracks.map((t) => ({
-      id: t.id,
-      name: t.name,
-      // url is recreated from IndexedDB on startup
-      duration: t.duration || null,
-    }));
-    localStorage.setItem(STORAGE_KEY_TRACKS, JSON.stringify(payload));
-  } catch (e) {
-    console.warn("Unable to save tracks:", e);
-  }
+// Localization: message catalogs for kk, ru and en. A message is a string with
+// {name} placeholders, or an object of plural forms picked by Intl.PluralRules.
+const LOCALES = {
+  kk: "Қазақша",
+  ru: "Русский",
+  en: "English",
+};
+const FALLBACK_LOCALE = "en";
+
+const MESSAGES = {
+  en: {
+    "app.addSongs": "Add Songs",
+    "app.addFolder": "Add Folder",
+    "app.dropHint": 'Drop songs, folders, playlists (M3U, PLS, XSPF) or lyrics (LRC) here or use "Add Songs"',
+    "nav.home": "Home",
+    "nav.search": "Search",
+    "nav.mySongs": "My songs",
+    "nav.profile": "Profile",
+    "common.close": "Close",
+    "common.clear": "Clear",
+    "common.edit": "Edit",
+    "common.delete": "Delete",
+    "common.start": "Start",
+    "common.on": "On",
+    "common.off": "Off",
+    "common.fullscreen": "Fullscreen",
+    "common.exitFullscreen": "Exit fullscreen",
+    "common.ok": "OK",
+    "common.cancel": "Cancel",
+    "common.preparing": "Preparing…",
+    "common.cancelling": "Cancelling…",
+    "common.save": "Save",
+    "count.songs": { one: "{count} song", other: "{count} songs" },
+    "count.artists": { one: "{count} artist", other: "{count} artists" },
+    "count.plays": { one: "{count} play", other: "{count} plays" },
+    "count.days": { one: "{count} day", other: "{count} days" },
+    "count.tracks": { one: "{count} track", other: "{count} tracks" },
+    "count.playlists": { one: "{count} playlist", other: "{count} playlists" },
+    "home.recent": "Recently played",
+    "home.recentEmpty": "Nothing here yet",
+    "home.recommended": "Recommended songs",
+    "home.recommendListen": "Listen to a few songs to get recommendations",
+    "home.recommendAdd": "Add songs to get recommendations",
+    "home.unknownArtist": "Unknown artist",
+    "recommend.forgotten": {
+      one: "A favourite you haven't played in {count} week",
+      other: "A favourite you haven't played in {count} weeks",
+    },
+    "recommend.favourite": {
+      one: "You played this {count} time last month",
+      other: "You played this {count} times last month",
+    },
+    "recommend.timeOfDay": "You often listen to this around {hour}",
+    "recommend.newToday": "Added today, not played yet",
+    "recommend.new": {
+      one: "Added {count} day ago, not played yet",
+      other: "Added {count} days ago, not played yet",
+    },
+    "recommend.unplayed": "You haven't played this yet",
+    "recommend.replay": { one: "You've played this {count} time", other: "You've played this {count} times" },
+    "recommend.artist": "More from {artist}, your most played artist",
+    "search.heading": "Search",
+    "search.placeholder": "Search by title, artist or album (artist:, duration:>5m)",
+    "search.noResults": "Nothing found",
+    "search.more": "+{count} more — refine the search",
+    "playlist.heading": "Playlist",
+    "playlist.allSongs": "All songs",
+    "playlist.new": "New",
+    "playlist.rename": "Rename",
+    "playlist.duplicate": "Duplicate",
+    "playlist.export": "Export",
+    "playlist.select": "Select",
+    "playlist.done": "Done",
+    "playlist.deleteSelected": "Delete songs ({count})",
+    "playlist.emptyList": "This playlist is empty",
+    "playlist.emptyListHint": "Use ⋯ on a song to add it",
+    "playlist.emptyLibrary": "Your playlist is empty",
+    "playlist.emptyLibraryHint": "Add songs to begin",
+    "playlist.namePrompt": "Playlist name",
+    "playlist.defaultName": "Playlist {n}",
+    "playlist.copyName": "{name} (copy)",
+    "playlist.confirmDelete": 'Delete playlist "{name}"? Songs stay in your library.',
+    "playlist.exportAs": "Export as {format}",
+    "playlist.libraryName": "FlowMusic library",
+    "playlist.importedTitle": 'Imported "{name}"',
+    "playlist.unmatched": {
+      one: "{matched} of {count} entry matched songs in your library. Add the missing files together with the playlist to include them:",
+      other: "{matched} of {count} entries matched songs in your library. Add the missing files together with the playlist to include them:",
+    },
+    "playlist.invalidXspf": "Invalid XSPF file",
+    "track.more": "More",
+    "track.playNext": "Play next",
+    "track.addToQueue": "Add to queue",
+    "track.addToPlaylist": 'Add to "{name}"',
+    "track.addToNewPlaylist": "Add to new playlist…",
+    "track.removeFromPlaylist": 'Remove from "{name}"',
+    "track.editLyrics": "Edit lyrics…",
+    "track.reanalyse": "Re-analyse loudness & waveform",
+    "track.delete": "Delete from library",
+    "track.confirmDelete": 'Delete "{name}" from your library? This also removes the stored file.',
+    "track.confirmDeleteMany": {
+      one: "Delete {count} song from your library? This also removes the stored file.",
+      other: "Delete {count} songs from your library? This also removes the stored files.",
+    },
+    "profile.listener": "FlowMusic listener",
+    "profile.songCount": "Songs added:",
+    "profile.language": "Language",
+    "profile.languageAuto": "Browser language",
+    "stats.heading": "Listening stats",
+    "stats.week": "7 days",
+    "stats.month": "30 days",
+    "stats.all": "All time",
+    "stats.topSongs": "Top songs",
+    "stats.topArtists": "Top artists",
+    "stats.byHour": "Listening by hour",
+    "stats.nothingYet": "Nothing yet",
+    "stats.listened": "listened",
+    "stats.playsCaption": { one: "play", other: "plays" },
+    "stats.skipped": "skipped",
+    "stats.currentStreak": "current streak",
+    "stats.longestStreak": "longest streak",
+    "review.button": "Year in review",
+    "review.title": "{year} in review",
+    "review.empty": "No plays recorded this year yet.",
+    "review.listened": "{time} across {plays}",
+    "review.library": "{songs} by {artists}",
+    "review.days": "Listened on {days}, longest streak {streak}",
+    "review.topSong": "Top song: {name}",
+    "review.topArtist": "Top artist: {name}",
+    "review.busiest": "Busiest month: {month}, favourite hour: {hour}",
+    "review.exportJson": "Export JSON",
+    "review.exportCsv": "Export CSV",
+    "storage.heading": "Storage",
+    "storage.findOrphans": "Find orphaned files",
+    "storage.library": "Library: {size} in {songs}",
+    "storage.site": "Site storage: {used} of {quota}",
+    "storage.noOrphans": "No orphaned files found",
+    "storage.orphans": "{count} orphaned • {size}",
+    "storage.restoreOrphan": "Restore to library",
+    "storage.deleteOrphan": "Delete stored file",
+    "storage.deleteAll": "Delete all",
+    "backup.heading": "Backup",
+    "backup.description": "Save every song, playlist and setting to one ZIP file, or restore one.",
+    "backup.export": "Export library",
+    "backup.import": "Import library",
+    "backup.packing": "Packing {name} ({done} of {total})",
+    "backup.created": "Backup created",
+    "backup.skipped": {
+      one: "{count} song was saved. These songs had no stored file and were skipped:",
+      other: "{count} songs were saved. These songs had no stored file and were skipped:",
+    },
+    "backup.exportFailed": "Export failed",
+    "backup.importFailed": "Import failed",
+    "backup.notBackup": "This ZIP file is not a FlowMusic backup",
+    "backup.newerVersion": "This backup was made by a newer version of FlowMusic",
+    "backup.compressed": '"{name}" is compressed, which is not supported',
+    "backup.brokenEntry": 'Broken entry "{name}"',
+    "backup.notZip": "Not a ZIP archive",
+    "backup.brokenDirectory": "Broken ZIP directory",
+    "backup.confirm":
+      "This backup from {date} has {songs} and {playlists}. " +
+      "Merge adds what is missing to your library; Replace deletes your current library, playlists and settings first.",
+    "backup.merge": "Merge",
+    "backup.replace": "Replace",
+    "backup.clearing": "Clearing the current library…",
+    "backup.restoring": "Restoring {name} ({done} of {total})",
+    "backup.missingFile": "{label} — file missing from the archive",
+    "backup.checksum": "checksum mismatch",
+    "backup.restored": { one: "{count} song restored.", other: "{count} songs restored." },
+    "backup.reloadNotice": "The app will reload to apply the restored settings.",
+    "backup.notReplaced": "Nothing was replaced: your library is as it was.",
+    "backup.failedList": "These songs could not be restored:",
+    "import.title": "Import finished",
+    "import.imported": { one: "Imported {count} song.", other: "Imported {count} songs." },
+    "import.duplicates": "{count} already in your library.",
+    "import.failed": "{count} could not be read.",
+    "import.unsupported": "{count} unsupported.",
+    "import.cancelled": "The import was cancelled.",
+    "import.duplicateOf": '{label} — duplicate of "{name}"',
+    "import.noLyricsMatch": "{label} — no song with the same name",
+    "import.notAudio": "{label} — not a supported audio file",
+    "import.progressTitle": "Importing songs",
+    "import.scanning": "Scanning folders…",
+    "import.progress": "Importing {n} of {total}: {label}",
+    "import.logImported": "{label} — imported",
+    "import.logDuplicate": '{label} — already in library as "{name}"',
+    "import.logFailed": "{label} — failed",
+    "import.couldNotRead": 'Could not read "{name}"',
+    "player.noTrack": "No track selected",
+    "player.addSongsHint": "Add songs to start listening",
+    "player.resume": "Resume",
+    "player.resumeFrom": "Resume from {time}",
+    "player.seek": "Seek",
+    "player.shuffle": "Shuffle",
+    "player.previous": "Previous",
+    "player.playPause": "Play/Pause",
+    "player.next": "Next",
+    "player.repeat": "Repeat",
+    "player.upNext": "Up next",
+    "player.lyrics": "Lyrics",
+    "player.equalizer": "Equalizer",
+    "player.playbackSettings": "Playback settings",
+    "player.sleepTimer": "Sleep timer",
+    "queue.empty": "Queue is empty",
+    "queue.emptyHint": "Use ⋯ → Add to queue",
+    "queue.remove": "Remove from queue",
+    "lyrics.earlier": "Show lines earlier",
+    "lyrics.later": "Show lines later",
+    "lyrics.offset": "Timing offset",
+    "lyrics.none": "No lyrics for this song. Drop an .lrc file with the same name, or paste them with Edit.",
+    "lyrics.noSong": "No song playing",
+    "lyrics.editorTitle": "Lyrics — {name}",
+    "lyrics.editorHint": "Paste plain text, or LRC with [mm:ss.xx] timestamps for synced lyrics.",
+    "lyrics.remove": "Remove",
+    "lyrics.saveFailed": "Could not save lyrics",
+    "lyrics.notStored": "This song is not stored in the library",
+    "eq.savePreset": "Save preset",
+    "eq.presetName": "Preset name",
+    "eq.builtInName": '"{name}" is a built-in preset. Choose another name.',
+    "eq.customUnsaved": "Custom (unsaved)",
+    "eq.presets": "Presets",
+    "eq.myPresets": "My presets",
+    "eq.preamp": "Pre",
+    "settings.playback": "Playback",
+    "settings.gapless": "Gapless playback",
+    "settings.crossfade": "Crossfade",
+    "settings.fadeCurve": "Fade curve",
+    "settings.curveEqualPower": "Equal power",
+    "settings.curveLinear": "Linear",
+    "settings.curveS": "S-curve",
+    "settings.visualizer": "Visualizer",
+    "settings.mode": "Mode",
+    "settings.colours": "Colours",
+    "settings.sensitivity": "Sensitivity",
+    "settings.smoothing": "Smoothing",
+    "settings.normalization": "Volume normalization",
+    "settings.normalizeTrack": "Track",
+    "settings.normalizeAlbum": "Album",
+    "settings.target": "Target level",
+    "settings.targetStreaming": "-14 LUFS (streaming)",
+    "settings.targetReplayGain": "-18 LUFS (ReplayGain)",
+    "settings.targetBroadcast": "-23 LUFS (broadcast)",
+    "settings.limiter": "Limiter (prevents clipping)",
+    "settings.analyseNew": "Analyse new",
+    "settings.analyseAll": "Re-analyse all",
+    "settings.analysed": {
+      one: "{analysed} of {count} song analysed",
+      other: "{analysed} of {count} songs analysed",
+    },
+    "settings.analysing": "Analysing… {count} left",
+    "vis.change": "Change visualizer",
+    "vis.bars": "Spectrum",
+    "vis.scope": "Oscilloscope",
+    "vis.radial": "Radial",
+    "vis.spectrogram": "Spectrogram",
+    "sleep.custom": "Custom (minutes)",
+    "sleep.endOfTrack": "End of current track",
+    "sleep.endOfTracks": "End of tracks",
+    "sleep.fadeOut": "Fade out",
+    "sleep.fadeLast": "Last {sec} s",
+    "sleep.cancel": "Cancel timer",
+    "sleep.stopsIn": "Stops in {time}",
+    "sleep.stopsAfterTrack": "Stops after this track ({time} left)",
+    "sleep.stopsAfterTracks": { one: "Stops after {count} track", other: "Stops after {count} tracks" },
+    "sleep.fading": "fading out",
+    "sleep.extendTrack": "+1 track",
+    "pwa.install": "Install",
+    "pwa.updateReady": "A new version of FlowMusic is ready.",
+    "pwa.reload": "Reload",
+    "practice.title": "Practice",
+    "practice.reset": "Reset",
+    "practice.speed": "Speed",
+    "practice.preservePitch": "Keep pitch when changing speed",
+    "practice.pitch": "Pitch",
+    "practice.semitones": { one: "{value} semitone", other: "{value} semitones" },
+    "practice.loop": "A–B loop",
+    "practice.setA": "Set A",
+    "practice.setB": "Set B",
+    "practice.loopOff": "No loop",
+    "practice.loopAOnly": "A at {a} — now set B",
+    "practice.loopRange": "{a} – {b}",
+    "practice.countIn": "Count-in pause",
+    "practice.dragHint": "Drag the A and B markers on the seek bar to adjust the loop.",
+    "practice.markerA": "Loop start (A)",
+    "practice.markerB": "Loop end (B)",
+    "longform.title": "Bookmarks & chapters",
+    "longform.mode": "Long-form mode (remembers where you stopped)",
+    "longform.modeHint": "Switches on by itself for recordings over {time} or with chapters",
+    "longform.menuOn": "Turn on long-form mode",
+    "longform.menuOff": "Turn off long-form mode",
+    "longform.finished": "Finished",
+    "longform.notStarted": "Not started",
+    "longform.left": "{time} left",
+    "longform.markFinished": "Mark as finished",
+    "longform.markUnfinished": "Mark as not finished",
+    "longform.chapters": "Chapters",
+    "longform.chapter": "Chapter {n}",
+    "longform.noChapters": "No chapters",
+    "longform.noChaptersHint": "This file has no chapter markers",
+    "longform.bookmarks": "Bookmarks",
+    "longform.addBookmark": "Add bookmark",
+    "longform.bookmarkName": "Bookmark name",
+    "longform.bookmarkAt": "Bookmark at {time}",
+    "longform.noBookmarks": "No bookmarks yet",
+    "longform.noBookmarksHint": "Add one to come back to this moment later",
+    "longform.rename": "Rename",
+    "longform.deleteBookmark": "Delete bookmark",
+    "shortcuts.title": "Keyboard shortcuts",
+    "shortcuts.hint": "Press + to add a key to a command, or click a key to remove it. Changes are saved right away.",
+    "shortcuts.press": "Press a key for “{command}”… (Esc to cancel)",
+    "shortcuts.conflict": "{key} is already used for “{command}”. Press it again to move it here, or Esc to cancel.",
+    "shortcuts.moved": "{key} moved from “{command}”",
+    "shortcuts.reserved": "{key} can't be used as a shortcut",
+    "shortcuts.add": "Add key",
+    "shortcuts.remove": "Remove {key}",
+    "shortcuts.none": "Not set",
+    "shortcuts.reset": "Reset to defaults",
+    "shortcuts.space": "Space",
+    "shortcuts.footerSeek": "-{sec}s / +{sec}s",
+    "shortcuts.footerAll": "All shortcuts",
+    "shortcuts.group.playback": "Playback",
+    "shortcuts.group.volume": "Volume",
+    "shortcuts.group.practice": "Practice & bookmarks",
+    "shortcuts.group.view": "Navigation",
+    "shortcuts.playPause": "Play/Pause",
+    "shortcuts.previous": "Previous track",
+    "shortcuts.next": "Next track",
+    "shortcuts.seekBack": "Back {sec} s",
+    "shortcuts.seekForward": "Forward {sec} s",
+    "shortcuts.seekPercent": "Jump to {percent}%",
+    "shortcuts.shuffle": "Shuffle on/off",
+    "shortcuts.repeat": "Change repeat mode",
+    "shortcuts.volumeUp": "Volume up",
+    "shortcuts.volumeDown": "Volume down",
+    "shortcuts.mute": "Mute/unmute",
+    "shortcuts.slower": "Slower",
+    "shortcuts.faster": "Faster",
+    "shortcuts.loopA": "Set loop start (A)",
+    "shortcuts.loopB": "Set loop end (B)",
+    "shortcuts.loopClear": "Clear A–B loop",
+    "shortcuts.addBookmark": "Add bookmark",
+    "shortcuts.goTo": "Go to {tab}",
+    "shortcuts.focusSearch": "Search the library",
+    "shortcuts.queue": "Show up next",
+    "shortcuts.lyrics": "Show lyrics",
+    "shortcuts.equalizer": "Show equalizer",
+    "shortcuts.bookmarks": "Show bookmarks & chapters",
+    "shortcuts.help": "Show keyboard shortcuts",
+  },
+  ru: {
+    "app.addSongs": "Добавить песни",
+    "app.addFolder": "Добавить папку",
+    "app.dropHint": "Перетащите сюда песни, папки, плейлисты (M3U, PLS, XSPF) или тексты (LRC) либо нажмите «Добавить песни»",
+    "nav.home": "Главная",
+    "nav.search": "Поиск",
+    "nav.mySongs": "Мои песни",
+    "nav.profile": "Профиль",
+    "common.close": "Закрыть",
+    "common.clear": "Очистить",
+    "common.edit": "Изменить",
+    "common.delete": "Удалить",
+    "common.start": "Старт",
+    "common.on": "Вкл",
+    "common.off": "Выкл",
+    "common.fullscreen": "Во весь экран",
+    "common.exitFullscreen": "Выйти из полноэкранного режима",
+    "common.ok": "ОК",
+    "common.cancel": "Отмена",
+    "common.preparing": "Подготовка…",
+    "common.cancelling": "Отмена…",
+    "common.save": "Сохранить",
+    "count.songs": { one: "{count} песня", few: "{count} песни", many: "{count} песен", other: "{count} песни" },
+    "count.artists": {
+      one: "{count} исполнитель",
+      few: "{count} исполнителя",
+      many: "{count} исполнителей",
+      other: "{count} исполнителя",
+    },
+    "count.plays": {
+      one: "{count} прослушивание",
+      few: "{count} прослушивания",
+      many: "{count} прослушиваний",
+      other: "{count} прослушивания",
+    },
+    "count.days": { one: "{count} день", few: "{count} дня", many: "{count} дней", other: "{count} дня" },
+    "count.tracks": { one: "{count} трек", few: "{count} трека", many: "{count} треков", other: "{count} трека" },
+    "count.playlists": {
+      one: "{count} плейлист",
+      few: "{count} плейлиста",
+      many: "{count} плейлистов",
+      other: "{count} плейлиста",
+    },
+    "home.recent": "Недавно прослушанные",
+    "home.recentEmpty": "Пока пусто",
+    "home.recommended": "Рекомендуемые песни",
+    "home.recommendListen": "Послушайте несколько песен, чтобы получить рекомендации",
+    "home.recommendAdd": "Добавьте песни, чтобы получить рекомендации",
+    "home.unknownArtist": "Неизвестный исполнитель",
+    "recommend.forgotten": {
+      one: "Любимая песня, которую вы не слушали {count} неделю",
+      few: "Любимая песня, которую вы не слушали {count} недели",
+      many: "Любимая песня, которую вы не слушали {count} недель",
+      other: "Любимая песня, которую вы не слушали {count} недели",
+    },
+    "recommend.favourite": {
+      one: "За последний месяц вы слушали её {count} раз",
+      few: "За последний месяц вы слушали её {count} раза",
+      many: "За последний месяц вы слушали её {count} раз",
+      other: "За последний месяц вы слушали её {count} раза",
+    },
+    "recommend.timeOfDay": "Вы часто слушаете её около {hour}",
+    "recommend.newToday": "Добавлена сегодня, ещё не звучала",
+    "recommend.new": {
+      one: "Добавлена {count} день назад, ещё не звучала",
+      few: "Добавлена {count} дня назад, ещё не звучала",
+      many: "Добавлена {count} дней назад, ещё не звучала",
+      other: "Добавлена {count} дня назад, ещё не звучала",
+    },
+    "recommend.unplayed": "Вы ещё не слушали эту песню",
+    "recommend.replay": {
+      one: "Вы слушали её {count} раз",
+      few: "Вы слушали её {count} раза",
+      many: "Вы слушали её {count} раз",
+      other: "Вы слушали её {count} раза",
+    },
+    "recommend.artist": "Ещё от {artist} — вашего самого слушаемого исполнителя",
+    "search.heading": "Поиск",
+    "search.placeholder": "Поиск по названию, исполнителю или альбому (artist:, duration:>5m)",
+    "search.noResults": "Ничего не найдено",
+    "search.more": "Ещё {count} — уточните запрос",
+    "playlist.heading": "Плейлист",
+    "playlist.allSongs": "Все песни",
+    "playlist.new": "Новый",
+    "playlist.rename": "Переименовать",
+    "playlist.duplicate": "Копировать",
+    "playlist.export": "Экспорт",
+    "playlist.select": "Выбрать",
+    "playlist.done": "Готово",
+    "playlist.deleteSelected": "Удалить песни ({count})",
+    "playlist.emptyList": "Этот плейлист пуст",
+    "playlist.emptyListHint": "Добавьте песню через ⋯",
+    "playlist.emptyLibrary": "Ваш плейлист пуст",
+    "playlist.emptyLibraryHint": "Добавьте песни, чтобы начать",
+    "playlist.namePrompt": "Название плейлиста",
+    "playlist.defaultName": "Плейлист {n}",
+    "playlist.copyName": "{name} (копия)",
+    "playlist.confirmDelete": "Удалить плейлист «{name}»? Песни останутся в библиотеке.",
+    "playlist.exportAs": "Экспорт в {format}",
+    "playlist.libraryName": "Библиотека FlowMusic",
+    "playlist.importedTitle": "Импортирован «{name}»",
+    "playlist.unmatched":
+      "Найдено в библиотеке: {matched} из {count}. Добавьте недостающие файлы вместе с плейлистом, чтобы включить их:",
+    "playlist.invalidXspf": "Неверный файл XSPF",
+    "track.more": "Ещё",
+    "track.playNext": "Включить следующей",
+    "track.addToQueue": "Добавить в очередь",
+    "track.addToPlaylist": "Добавить в «{name}»",
+    "track.addToNewPlaylist": "Добавить в новый плейлист…",
+    "track.removeFromPlaylist": "Убрать из «{name}»",
+    "track.editLyrics": "Изменить текст…",
+    "track.reanalyse": "Заново измерить громкость и волну",
+    "track.delete": "Удалить из библиотеки",
+    "track.confirmDelete": "Удалить «{name}» из библиотеки? Сохранённый файл тоже будет удалён.",
+    "track.confirmDeleteMany": {
+      one: "Удалить {count} песню из библиотеки? Сохранённые файлы тоже будут удалены.",
+      few: "Удалить {count} песни из библиотеки? Сохранённые файлы тоже будут удалены.",
+      many: "Удалить {count} песен из библиотеки? Сохранённые файлы тоже будут удалены.",
+      other: "Удалить {count} песни из библиотеки? Сохранённые файлы тоже будут удалены.",
+    },
+    "profile.listener": "Слушатель FlowMusic",
+    "profile.songCount": "Добавлено песен:",
+    "profile.language": "Язык",
+    "profile.languageAuto": "Язык браузера",
+    "stats.heading": "Статистика прослушиваний",
+    "stats.week": "7 дней",
+    "stats.month": "30 дней",
+    "stats.all": "Всё время",
+    "stats.topSongs": "Топ песен",
+    "stats.topArtists": "Топ исполнителей",
+    "stats.byHour": "Прослушивания по часам",
+    "stats.nothingYet": "Пока ничего",
+    "stats.listened": "прослушано",
+    "stats.playsCaption": { one: "прослушивание", few: "прослушивания", many: "прослушиваний", other: "прослушивания" },
+    "stats.skipped": "пропущено",
+    "stats.currentStreak": "текущая серия",
+    "stats.longestStreak": "самая длинная серия",
+    "review.button": "Итоги года",
+    "review.title": "Итоги {year} года",
+    "review.empty": "В этом году прослушиваний пока нет.",
+    "review.listened": "{time} за {plays}",
+    "review.library": "{songs}, {artists}",
+    "review.days": "Музыка звучала {days}, самая длинная серия — {streak}",
+    "review.topSong": "Песня года: {name}",
+    "review.topArtist": "Исполнитель года: {name}",
+    "review.busiest": "Самый активный месяц: {month}, любимый час: {hour}",
+    "review.exportJson": "Экспорт JSON",
+    "review.exportCsv": "Экспорт CSV",
+    "storage.heading": "Хранилище",
+    "storage.findOrphans": "Найти потерянные файлы",
+    "storage.library": "Библиотека: {size}, {songs}",
+    "storage.site": "Хранилище сайта: {used} из {quota}",
+    "storage.noOrphans": "Файлов без записи не найдено",
+    "storage.orphans": "Без записи: {count} • {size}",
+    "storage.restoreOrphan": "Вернуть в библиотеку",
+    "storage.deleteOrphan": "Удалить сохранённый файл",
+    "storage.deleteAll": "Удалить все",
+    "backup.heading": "Резервная копия",
+    "backup.description": "Сохраните все песни, плейлисты и настройки в один ZIP-файл или восстановите их из него.",
+    "backup.export": "Экспорт библиотеки",
+    "backup.import": "Импорт библиотеки",
+    "backup.packing": "Упаковка {name} ({done} из {total})",
+    "backup.created": "Резервная копия создана",
+    "backup.skipped": {
+      one: "Сохранена {count} песня. У этих песен не было сохранённого файла, они пропущены:",
+      few: "Сохранено {count} песни. У этих песен не было сохранённого файла, они пропущены:",
+      many: "Сохранено {count} песен. У этих песен не было сохранённого файла, они пропущены:",
+      other: "Сохранено {count} песни. У этих песен не было сохранённого файла, они пропущены:",
+    },
+    "backup.exportFailed": "Не удалось экспортировать",
+    "backup.importFailed": "Не удалось импортировать",
+    "backup.notBackup": "Этот ZIP-файл не является резервной копией FlowMusic",
+    "backup.newerVersion": "Эта резервная копия создана более новой версией FlowMusic",
+    "backup.compressed": "«{name}» сжат, а сжатие не поддерживается",
+    "backup.brokenEntry": "Повреждённая запись «{name}»",
+    "backup.notZip": "Это не ZIP-архив",
+    "backup.brokenDirectory": "Повреждённый каталог ZIP",
+    "backup.confirm":
+      "В резервной копии от {date}: {songs} и {playlists}. " +
+      "«Объединить» добавит в библиотеку недостающее; «Заменить» сначала удалит текущую библиотеку, плейлисты и настройки.",
+    "backup.merge": "Объединить",
+    "backup.replace": "Заменить",
+    "backup.clearing": "Очистка текущей библиотеки…",
+    "backup.restoring": "Восстановление {name} ({done} из {total})",
+    "backup.missingFile": "{label} — файла нет в архиве",
+    "backup.checksum": "контрольная сумма не совпадает",
+    "backup.restored": {
+      one: "Восстановлена {count} песня.",
+      few: "Восстановлено {count} песни.",
+      many: "Восстановлено {count} песен.",
+      other: "Восстановлено {count} песни.",
+    },
+    "backup.reloadNotice": "Приложение перезагрузится, чтобы применить восстановленные настройки.",
+    "backup.notReplaced": "Ничего не заменено: библиотека осталась прежней.",
+    "backup.failedList": "Эти песни не удалось восстановить:",
+    "import.title": "Импорт завершён",
+    "import.imported": {
+      one: "Добавлена {count} песня.",
+      few: "Добавлено {count} песни.",
+      many: "Добавлено {count} песен.",
+      other: "Добавлено {count} песни.",
+    },
+    "import.duplicates": "Уже в библиотеке: {count}.",
+    "import.failed": "Не удалось прочитать: {count}.",
+    "import.unsupported": "Не поддерживается: {count}.",
+    "import.cancelled": "Импорт отменён.",
+    "import.duplicateOf": "{label} — копия «{name}»",
+    "import.noLyricsMatch": "{label} — нет песни с таким же именем",
+    "import.notAudio": "{label} — неподдерживаемый аудиофайл",
+    "import.progressTitle": "Импорт песен",
+    "import.scanning": "Просмотр папок…",
+    "import.progress": "Импорт {n} из {total}: {label}",
+    "import.logImported": "{label} — импортировано",
+    "import.logDuplicate": "{label} — уже в библиотеке как «{name}»",
+    "import.logFailed": "{label} — ошибка",
+    "import.couldNotRead": "Не удалось прочитать «{name}»",
+    "player.noTrack": "Трек не выбран",
+    "player.addSongsHint": "Добавьте песни, чтобы начать слушать",
+    "player.resume": "Продолжить",
+    "player.resumeFrom": "Продолжить с {time}",
+    "player.seek": "Перемотка",
+    "player.shuffle": "Перемешать",
+    "player.previous": "Предыдущий",
+    "player.playPause": "Воспроизведение/пауза",
+    "player.next": "Следующий",
+    "player.repeat": "Повтор",
+    "player.upNext": "Далее",
+    "player.lyrics": "Текст",
+    "player.equalizer": "Эквалайзер",
+    "player.playbackSettings": "Настройки воспроизведения",
+    "player.sleepTimer": "Таймер сна",
+    "queue.empty": "Очередь пуста",
+    "queue.emptyHint": "⋯ → Добавить в очередь",
+    "queue.remove": "Убрать из очереди",
+    "lyrics.earlier": "Показывать строки раньше",
+    "lyrics.later": "Показывать строки позже",
+    "lyrics.offset": "Сдвиг по времени",
+    "lyrics.none": "Для этой песни нет текста. Перетащите .lrc-файл с тем же именем или вставьте текст через «Изменить».",
+    "lyrics.noSong": "Ничего не играет",
+    "lyrics.editorTitle": "Текст — {name}",
+    "lyrics.editorHint": "Вставьте обычный текст или LRC с метками [мм:сс.xx] для синхронного текста.",
+    "lyrics.remove": "Удалить",
+    "lyrics.saveFailed": "Не удалось сохранить текст",
+    "lyrics.notStored": "Эта песня не сохранена в библиотеке",
+    "eq.savePreset": "Сохранить пресет",
+    "eq.presetName": "Название пресета",
+    "eq.builtInName": "«{name}» — встроенный пресет. Выберите другое название.",
+    "eq.customUnsaved": "Свой (не сохранён)",
+    "eq.presets": "Пресеты",
+    "eq.myPresets": "Мои пресеты",
+    "eq.preamp": "Пред",
+    "settings.playback": "Воспроизведение",
+    "settings.gapless": "Без пауз между треками",
+    "settings.crossfade": "Кроссфейд",
+    "settings.fadeCurve": "Кривая затухания",
+    "settings.curveEqualPower": "Равная мощность",
+    "settings.curveLinear": "Линейная",
+    "settings.curveS": "S-образная",
+    "settings.visualizer": "Визуализатор",
+    "settings.mode": "Режим",
+    "settings.colours": "Цвета",
+    "settings.sensitivity": "Чувствительность",
+    "settings.smoothing": "Сглаживание",
+    "settings.normalization": "Нормализация громкости",
+    "settings.normalizeTrack": "По треку",
+    "settings.normalizeAlbum": "По альбому",
+    "settings.target": "Целевой уровень",
+    "settings.targetStreaming": "-14 LUFS (стриминг)",
+    "settings.targetReplayGain": "-18 LUFS (ReplayGain)",
+    "settings.targetBroadcast": "-23 LUFS (вещание)",
+    "settings.limiter": "Лимитер (защита от клиппинга)",
+    "settings.analyseNew": "Анализ новых",
+    "settings.analyseAll": "Анализ всех заново",
+    "settings.analysed": {
+      one: "Проанализировано {analysed} из {count} песни",
+      few: "Проанализировано {analysed} из {count} песен",
+      many: "Проанализировано {analysed} из {count} песен",
+      other: "Проанализировано {analysed} из {count} песни",
+    },
+    "settings.analysing": "Анализ… осталось {count}",
+    "vis.change": "Сменить визуализатор",
+    "vis.bars": "Спектр",
+    "vis.scope": "Осциллограф",
+    "vis.radial": "Радиальный",
+    "vis.spectrogram": "Спектрограмма",
+    "sleep.custom": "Своё время (минуты)",
+    "sleep.endOfTrack": "В конце текущего трека",
+    "sleep.endOfTracks": "Через несколько треков",
+    "sleep.fadeOut": "Затухание",
+    "sleep.fadeLast": "Последние {sec} с",
+    "sleep.cancel": "Отменить таймер",
+    "sleep.stopsIn": "Остановка через {time}",
+    "sleep.stopsAfterTrack": "Остановка после этого трека (осталось {time})",
+    "sleep.stopsAfterTracks": {
+      one: "Остановка через {count} трек",
+      few: "Остановка через {count} трека",
+      many: "Остановка через {count} треков",
+      other: "Остановка через {count} трека",
+    },
+    "sleep.fading": "затухание",
+    "sleep.extendTrack": "+1 трек",
+    "pwa.install": "Установить",
+    "pwa.updateReady": "Доступна новая версия FlowMusic.",
+    "pwa.reload": "Перезагрузить",
+    "practice.title": "Практика",
+    "practice.reset": "Сбросить",
+    "practice.speed": "Скорость",
+    "practice.preservePitch": "Сохранять высоту тона при смене скорости",
+    "practice.pitch": "Высота тона",
+    "practice.semitones": {
+      one: "{value} полутон",
+      few: "{value} полутона",
+      many: "{value} полутонов",
+      other: "{value} полутона",
+    },
+    "practice.loop": "Петля A–B",
+    "practice.setA": "Поставить A",
+    "practice.setB": "Поставить B",
+    "practice.loopOff": "Петли нет",
+    "practice.loopAOnly": "A на {a} — теперь поставьте B",
+    "practice.loopRange": "{a} – {b}",
+    "practice.countIn": "Пауза-отсчёт",
+    "practice.dragHint": "Перетаскивайте метки A и B на полосе перемотки, чтобы настроить петлю.",
+    "practice.markerA": "Начало петли (A)",
+    "practice.markerB": "Конец петли (B)",
+    "longform.title": "Закладки и главы",
+    "longform.mode": "Режим длинных записей (помнит, где вы остановились)",
+    "longform.modeHint": "Включается сам для записей длиннее {time} или с главами",
+    "longform.menuOn": "Включить режим длинных записей",
+    "longform.menuOff": "Выключить режим длинных записей",
+    "longform.finished": "Прослушано",
+    "longform.notStarted": "Не начато",
+    "longform.left": "Осталось {time}",
+    "longform.markFinished": "Отметить как прослушанное",
+    "longform.markUnfinished": "Снять отметку «прослушано»",
+    "longform.chapters": "Главы",
+    "longform.chapter": "Глава {n}",
+    "longform.noChapters": "Глав нет",
+    "longform.noChaptersHint": "В файле нет меток глав",
+    "longform.bookmarks": "Закладки",
+    "longform.addBookmark": "Добавить закладку",
+    "longform.bookmarkName": "Название закладки",
+    "longform.bookmarkAt": "Закладка на {time}",
+    "longform.noBookmarks": "Закладок пока нет",
+    "longform.noBookmarksHint": "Добавьте закладку, чтобы вернуться к этому месту позже",
+    "longform.rename": "Переименовать",
+    "longform.deleteBookmark": "Удалить закладку",
+    "shortcuts.title": "Горячие клавиши",
+    "shortcuts.hint": "Нажмите +, чтобы назначить команде клавишу, или нажмите на клавишу, чтобы убрать её. Изменения сохраняются сразу.",
+    "shortcuts.press": "Нажмите клавишу для «{command}»… (Esc — отмена)",
+    "shortcuts.conflict": "{key} уже используется для «{command}». Нажмите её ещё раз, чтобы перенести сюда, или Esc для отмены.",
+    "shortcuts.moved": "{key} перенесена из «{command}»",
+    "shortcuts.reserved": "{key} нельзя назначить",
+    "shortcuts.add": "Добавить клавишу",
+    "shortcuts.remove": "Убрать {key}",
+    "shortcuts.none": "Не задано",
+    "shortcuts.reset": "Сбросить по умолчанию",
+    "shortcuts.space": "Пробел",
+    "shortcuts.footerSeek": "-{sec} с / +{sec} с",
+    "shortcuts.footerAll": "Все клавиши",
+    "shortcuts.group.playback": "Воспроизведение",
+    "shortcuts.group.volume": "Громкость",
+    "shortcuts.group.practice": "Практика и закладки",
+    "shortcuts.group.view": "Навигация",
+    "shortcuts.playPause": "Воспроизведение/пауза",
+    "shortcuts.previous": "Предыдущий трек",
+    "shortcuts.next": "Следующий трек",
+    "shortcuts.seekBack": "Назад на {sec} с",
+    "shortcuts.seekForward": "Вперёд на {sec} с",
+    "shortcuts.seekPercent": "Перейти к {percent}%",
+    "shortcuts.shuffle": "Перемешивание вкл/выкл",
+    "shortcuts.repeat": "Сменить режим повтора",
+    "shortcuts.volumeUp": "Громче",
+    "shortcuts.volumeDown": "Тише",
+    "shortcuts.mute": "Выключить/включить звук",
+    "shortcuts.slower": "Медленнее",
+    "shortcuts.faster": "Быстрее",
+    "shortcuts.loopA": "Поставить начало петли (A)",
+    "shortcuts.loopB": "Поставить конец петли (B)",
+    "shortcuts.loopClear": "Убрать петлю A–B",
+    "shortcuts.addBookmark": "Добавить закладку",
+    "shortcuts.goTo": "Перейти: {tab}",
+    "shortcuts.focusSearch": "Искать в медиатеке",
+    "shortcuts.queue": "Показать очередь",
+    "shortcuts.lyrics": "Показать текст",
+    "shortcuts.equalizer": "Показать эквалайзер",
+    "shortcuts.bookmarks": "Показать закладки и главы",
+    "shortcuts.help": "Показать горячие клавиши",
+  },
+  // Kazakh nouns stay singular after numbers, so counts need no plural forms
+  kk: {
+    "app.addSongs": "Ән қосу",
+    "app.addFolder": "Қалта қосу",
+    "app.dropHint": "Әндерді, қалталарды, плейлистерді (M3U, PLS, XSPF) не мәтіндерді (LRC) осында тастаңыз немесе «Ән қосу» батырмасын басыңыз",
+    "nav.home": "Басты бет",
+    "nav.search": "Іздеу",
+    "nav.mySongs": "Менің әндерім",
+    "nav.profile": "Профиль",
+    "common.close": "Жабу",
+    "common.clear": "Тазарту",
+    "common.edit": "Өзгерту",
+    "common.delete": "Жою",
+    "common.start": "Бастау",
+    "common.on": "Қосулы",
+    "common.off": "Өшірулі",
+    "common.fullscreen": "Толық экран",
+    "common.exitFullscreen": "Толық экраннан шығу",
+    "common.ok": "Жарайды",
+    "common.cancel": "Бас тарту",
+    "common.preparing": "Дайындалуда…",
+    "common.cancelling": "Тоқтатылуда…",
+    "common.save": "Сақтау",
+    "count.songs": "{count} ән",
+    "count.artists": "{count} орындаушы",
+    "count.plays": "{count} рет",
+    "count.days": "{count} күн",
+    "count.tracks": "{count} трек",
+    "count.playlists": "{count} плейлист",
+    "home.recent": "Соңғы тыңдалғандар",
+    "home.recentEmpty": "Әзірге бос",
+    "home.recommended": "Ұсынылатын әндер",
+    "home.recommendListen": "Ұсыныстар алу үшін бірнеше ән тыңдаңыз",
+    "home.recommendAdd": "Ұсыныстар алу үшін ән қосыңыз",
+    "home.unknownArtist": "Белгісіз орындаушы",
+    "recommend.forgotten": "{count} апта бойы тыңдамаған сүйікті әніңіз",
+    "recommend.favourite": "Өткен айда мұны {count} рет тыңдадыңыз",
+    "recommend.timeOfDay": "Мұны жиі сағат {hour} шамасында тыңдайсыз",
+    "recommend.newToday": "Бүгін қосылды, әлі тыңдалмаған",
+    "recommend.new": "{count} күн бұрын қосылды, әлі тыңдалмаған",
+    "recommend.unplayed": "Мұны әлі тыңдамадыңыз",
+    "recommend.replay": "Мұны {count} рет тыңдадыңыз",
+    "recommend.artist": "Ең көп тыңдайтын орындаушыңыз {artist} әндерінен",
+    "search.heading": "Іздеу",
+    "search.placeholder": "Атауы, орындаушы, альбом бойынша іздеу (artist:, duration:>5m)",
+    "search.noResults": "Табылмады",
+    "search.more": "Тағы {count} — іздеуді нақтылаңыз",
+    "playlist.heading": "Плейлист",
+    "playlist.allSongs": "Барлық әндер",
+    "playlist.new": "Жаңа",
+    "playlist.rename": "Атын өзгерту",
+    "playlist.duplicate": "Көшірме жасау",
+    "playlist.export": "Экспорт",
+    "playlist.select": "Таңдау",
+    "playlist.done": "Дайын",
+    "playlist.deleteSelected": "Әндерді жою ({count})",
+    "playlist.emptyList": "Бұл плейлист бос",
+    "playlist.emptyListHint": "Ән қосу үшін ⋯ мәзірін қолданыңыз",
+    "playlist.emptyLibrary": "Плейлистіңіз бос",
+    "playlist.emptyLibraryHint": "Бастау үшін ән қосыңыз",
+    "playlist.namePrompt": "Плейлист атауы",
+    "playlist.defaultName": "Плейлист {n}",
+    "playlist.copyName": "{name} (көшірме)",
+    "playlist.confirmDelete": "«{name}» плейлистін жою керек пе? Әндер кітапханада қалады.",
+    "playlist.exportAs": "{format} ретінде экспорттау",
+    "playlist.libraryName": "FlowMusic кітапханасы",
+    "playlist.importedTitle": "«{name}» импортталды",
+    "playlist.unmatched":
+      "Кітапханадан {count} жазбаның {matched} табылды. Оларды қосу үшін жетіспейтін файлдарды плейлистпен бірге қосыңыз:",
+    "playlist.invalidXspf": "XSPF файлы жарамсыз",
+    "track.more": "Тағы",
+    "track.playNext": "Келесі болып ойнату",
+    "track.addToQueue": "Кезекке қосу",
+    "track.addToPlaylist": "«{name}» плейлистіне қосу",
+    "track.addToNewPlaylist": "Жаңа плейлистке қосу…",
+    "track.removeFromPlaylist": "«{name}» плейлистінен алып тастау",
+    "track.editLyrics": "Мәтінді өзгерту…",
+    "track.reanalyse": "Дыбыс деңгейі мен толқынды қайта талдау",
+    "track.delete": "Кітапханадан жою",
+    "track.confirmDelete": "«{name}» кітапханадан жойылсын ба? Сақталған файл да жойылады.",
+    "track.confirmDeleteMany": "{count} ән кітапханадан жойылсын ба? Сақталған файлдар да жойылады.",
+    "profile.listener": "FlowMusic тыңдаушысы",
+    "profile.songCount": "Жақында қосқан әндер:",
+    "profile.language": "Тіл",
+    "profile.languageAuto": "Браузер тілі",
+    "stats.heading": "Тыңдау статистикасы",
+    "stats.week": "7 күн",
+    "stats.month": "30 күн",
+    "stats.all": "Барлық уақыт",
+    "stats.topSongs": "Үздік әндер",
+    "stats.topArtists": "Үздік орындаушылар",
+    "stats.byHour": "Сағат бойынша тыңдау",
+    "stats.nothingYet": "Әзірге ештеңе жоқ",
+    "stats.listened": "тыңдалды",
+    "stats.playsCaption": "рет тыңдалды",
+    "stats.skipped": "өткізілді",
+    "stats.currentStreak": "қазіргі серия",
+    "stats.longestStreak": "ең ұзақ серия",
+    "review.button": "Жыл қорытындысы",
+    "review.title": "{year} жылдың қорытындысы",
+    "review.empty": "Биыл әлі ештеңе тыңдалмаған.",
+    "review.listened": "{plays} тыңдау, барлығы {time}",
+    "review.library": "{artists} орындаған {songs}",
+    "review.days": "{days} тыңдадыңыз, ең ұзақ серия — {streak}",
+    "review.topSong": "Жыл әні: {name}",
+    "review.topArtist": "Жыл орындаушысы: {name}",
+    "review.busiest": "Ең белсенді ай: {month}, сүйікті сағат: {hour}",
+    "review.exportJson": "JSON экспорты",
+    "review.exportCsv": "CSV экспорты",
+    "storage.heading": "Жад",
+    "storage.findOrphans": "Иесіз файлдарды табу",
+    "storage.library": "Кітапхана: {size}, {songs}",
+    "storage.site": "Сайт жады: {quota} ішінен {used}",
+    "storage.noOrphans": "Иесіз файлдар табылмады",
+    "storage.orphans": "Иесіз: {count} • {size}",
+    "storage.restoreOrphan": "Кітапханаға қайтару",
+    "storage.deleteOrphan": "Сақталған файлды жою",
+    "storage.deleteAll": "Барлығын жою",
+    "backup.heading": "Сақтық көшірме",
+    "backup.description": "Барлық әнді, плейлисті және баптауды бір ZIP файлына сақтаңыз немесе одан қалпына келтіріңіз.",
+    "backup.export": "Кітапхананы экспорттау",
+    "backup.import": "Кітапхананы импорттау",
+    "backup.packing": "{name} буылуда ({done} / {total})",
+    "backup.created": "Сақтық көшірме жасалды",
+    "backup.skipped": "{count} ән сақталды. Мына әндердің сақталған файлы жоқ, олар өткізілді:",
+    "backup.exportFailed": "Экспорт сәтсіз аяқталды",
+    "backup.importFailed": "Импорт сәтсіз аяқталды",
+    "backup.notBackup": "Бұл ZIP файлы FlowMusic сақтық көшірмесі емес",
+    "backup.newerVersion": "Бұл сақтық көшірме FlowMusic-тің жаңарақ нұсқасында жасалған",
+    "backup.compressed": "«{name}» сығылған, бұған қолдау жоқ",
+    "backup.brokenEntry": "«{name}» жазбасы бүлінген",
+    "backup.notZip": "Бұл ZIP архиві емес",
+    "backup.brokenDirectory": "ZIP каталогы бүлінген",
+    "backup.confirm":
+      "{date} күнгі сақтық көшірмеде {songs} және {playlists} бар. " +
+      "«Біріктіру» кітапханада жоқтарын қосады; «Ауыстыру» алдымен қазіргі кітапхананы, плейлистер мен баптауларды жояды.",
+    "backup.merge": "Біріктіру",
+    "backup.replace": "Ауыстыру",
+    "backup.clearing": "Қазіргі кітапхана тазартылуда…",
+    "backup.restoring": "{name} қалпына келтірілуде ({done} / {total})",
+    "backup.missingFile": "{label} — архивте файл жоқ",
+    "backup.checksum": "бақылау сомасы сәйкес емес",
+    "backup.restored": "{count} ән қалпына келтірілді.",
+    "backup.reloadNotice": "Қалпына келтірілген баптауларды қолдану үшін қолданба қайта жүктеледі.",
+    "backup.notReplaced": "Ештеңе ауыстырылмады: кітапхана бұрынғыдай қалды.",
+    "backup.failedList": "Мына әндерді қалпына келтіру мүмкін болмады:",
+    "import.title": "Импорт аяқталды",
+    "import.imported": "{count} ән қосылды.",
+    "import.duplicates": "{count} ән кітапханада бар.",
+    "import.failed": "{count} файлды оқу мүмкін болмады.",
+    "import.unsupported": "{count} файлға қолдау жоқ.",
+    "import.cancelled": "Импорт тоқтатылды.",
+    "import.duplicateOf": "{label} — «{name}» әнінің көшірмесі",
+    "import.noLyricsMatch": "{label} — аттас ән жоқ",
+    "import.notAudio": "{label} — қолдау көрсетілмейтін аудио файл",
+    "import.progressTitle": "Әндер импортталуда",
+    "import.scanning": "Қалталар қаралуда…",
+    "import.progress": "{total} файлдың {n}-і импортталуда: {label}",
+    "import.logImported": "{label} — импортталды",
+    "import.logDuplicate": "{label} — кітапханада «{name}» деген атпен бар",
+    "import.logFailed": "{label} — қате",
+    "import.couldNotRead": "«{name}» оқылмады",
+    "player.noTrack": "Ән таңдалмаған",
+    "player.addSongsHint": "Тыңдау үшін ән қосыңыз",
+    "player.resume": "Жалғастыру",
+    "player.resumeFrom": "{time} бастап жалғастыру",
+    "player.seek": "Айналдыру",
+    "player.shuffle": "Араластыру",
+    "player.previous": "Алдыңғы",
+    "player.playPause": "Ойнату/кідірту",
+    "player.next": "Келесі",
+    "player.repeat": "Қайталау",
+    "player.upNext": "Кезекте",
+    "player.lyrics": "Мәтін",
+    "player.equalizer": "Эквалайзер",
+    "player.playbackSettings": "Ойнату баптаулары",
+    "player.sleepTimer": "Ұйқы таймері",
+    "queue.empty": "Кезек бос",
+    "queue.emptyHint": "⋯ → Кезекке қосу",
+    "queue.remove": "Кезектен алып тастау",
+    "lyrics.earlier": "Жолдарды ертерек көрсету",
+    "lyrics.later": "Жолдарды кешірек көрсету",
+    "lyrics.offset": "Уақыт ығысуы",
+    "lyrics.none": "Бұл әннің мәтіні жоқ. Аттас .lrc файлын тастаңыз немесе «Өзгерту» арқылы қойыңыз.",
+    "lyrics.noSong": "Ештеңе ойнап тұрған жоқ",
+    "lyrics.editorTitle": "Мәтін — {name}",
+    "lyrics.editorHint": "Қарапайым мәтінді немесе синхронды мәтін үшін [mm:ss.xx] белгілері бар LRC қойыңыз.",
+    "lyrics.remove": "Жою",
+    "lyrics.saveFailed": "Мәтінді сақтау мүмкін болмады",
+    "lyrics.notStored": "Бұл ән кітапханада сақталмаған",
+    "eq.savePreset": "Пресетті сақтау",
+    "eq.presetName": "Пресет атауы",
+    "eq.builtInName": "«{name}» — кірістірілген пресет. Басқа атау таңдаңыз.",
+    "eq.customUnsaved": "Өзіндік (сақталмаған)",
+    "eq.presets": "Пресеттер",
+    "eq.myPresets": "Менің пресеттерім",
+    "eq.preamp": "Алд",
+    "settings.playback": "Ойнату",
+    "settings.gapless": "Үзіліссіз ойнату",
+    "settings.crossfade": "Кроссфейд",
+    "settings.fadeCurve": "Өшу қисығы",
+    "settings.curveEqualPower": "Тең қуат",
+    "settings.curveLinear": "Сызықтық",
+    "settings.curveS": "S-қисық",
+    "settings.visualizer": "Визуализатор",
+    "settings.mode": "Режим",
+    "settings.colours": "Түстер",
+    "settings.sensitivity": "Сезімталдық",
+    "settings.smoothing": "Тегістеу",
+    "settings.normalization": "Дыбыс деңгейін теңестіру",
+    "settings.normalizeTrack": "Ән бойынша",
+    "settings.normalizeAlbum": "Альбом бойынша",
+    "settings.target": "Мақсатты деңгей",
+    "settings.targetStreaming": "-14 LUFS (стриминг)",
+    "settings.targetReplayGain": "-18 LUFS (ReplayGain)",
+    "settings.targetBroadcast": "-23 LUFS (хабар тарату)",
+    "settings.limiter": "Лимитер (клиппингтен қорғайды)",
+    "settings.analyseNew": "Жаңаларын талдау",
+    "settings.analyseAll": "Барлығын қайта талдау",
+    "settings.analysed": "{count} әннің {analysed} талданды",
+    "settings.analysing": "Талдануда… {count} қалды",
+    "vis.change": "Визуализаторды ауыстыру",
+    "vis.bars": "Спектр",
+    "vis.scope": "Осциллограф",
+    "vis.radial": "Радиалды",
+    "vis.spectrogram": "Спектрограмма",
+    "sleep.custom": "Өз уақытыңыз (минут)",
+    "sleep.endOfTrack": "Осы ән біткенде",
+    "sleep.endOfTracks": "Бірнеше әннен кейін",
+    "sleep.fadeOut": "Бәсеңдеу",
+    "sleep.fadeLast": "Соңғы {sec} с",
+    "sleep.cancel": "Таймерді тоқтату",
+    "sleep.stopsIn": "{time} кейін тоқтайды",
+    "sleep.stopsAfterTrack": "Осы ән біткенде тоқтайды ({time} қалды)",
+    "sleep.stopsAfterTracks": "{count} әннен кейін тоқтайды",
+    "sleep.fading": "бәсеңдеуде",
+    "sleep.extendTrack": "+1 ән",
+    "pwa.install": "Орнату",
+    "pwa.updateReady": "FlowMusic-тің жаңа нұсқасы дайын.",
+    "pwa.reload": "Қайта жүктеу",
+    "practice.title": "Жаттығу",
+    "practice.reset": "Қалпына келтіру",
+    "practice.speed": "Жылдамдық",
+    "practice.preservePitch": "Жылдамдық өзгергенде тон биіктігін сақтау",
+    "practice.pitch": "Тон биіктігі",
+    "practice.semitones": "{value} жартылай тон",
+    "practice.loop": "A–B циклі",
+    "practice.setA": "A қою",
+    "practice.setB": "B қою",
+    "practice.loopOff": "Цикл жоқ",
+    "practice.loopAOnly": "A — {a}, енді B қойыңыз",
+    "practice.loopRange": "{a} – {b}",
+    "practice.countIn": "Қайталау алдындағы кідіріс",
+    "practice.dragHint": "Циклді реттеу үшін айналдыру жолағындағы A мен B белгілерін жылжытыңыз.",
+    "practice.markerA": "Цикл басы (A)",
+    "practice.markerB": "Цикл соңы (B)",
+    "longform.title": "Бетбелгілер мен тараулар",
+    "longform.mode": "Ұзақ жазба режимі (тоқтаған жеріңізді есте сақтайды)",
+    "longform.modeHint": "{time} ұзақ немесе тараулары бар жазбалар үшін өзі қосылады",
+    "longform.menuOn": "Ұзақ жазба режимін қосу",
+    "longform.menuOff": "Ұзақ жазба режимін өшіру",
+    "longform.finished": "Тыңдалды",
+    "longform.notStarted": "Басталмаған",
+    "longform.left": "{time} қалды",
+    "longform.markFinished": "Тыңдалды деп белгілеу",
+    "longform.markUnfinished": "«Тыңдалды» белгісін алу",
+    "longform.chapters": "Тараулар",
+    "longform.chapter": "{n}-тарау",
+    "longform.noChapters": "Тараулар жоқ",
+    "longform.noChaptersHint": "Файлда тарау белгілері жоқ",
+    "longform.bookmarks": "Бетбелгілер",
+    "longform.addBookmark": "Бетбелгі қосу",
+    "longform.bookmarkName": "Бетбелгі атауы",
+    "longform.bookmarkAt": "{time} бетбелгісі",
+    "longform.noBookmarks": "Әзірге бетбелгі жоқ",
+    "longform.noBookmarksHint": "Осы сәтке кейін оралу үшін бетбелгі қосыңыз",
+    "longform.rename": "Атын өзгерту",
+    "longform.deleteBookmark": "Бетбелгіні жою",
+    "shortcuts.title": "Пернетақта тіркесімдері",
+    "shortcuts.hint": "Әрекетке перне тағайындау үшін + басыңыз, алып тастау үшін пернені басыңыз. Өзгерістер бірден сақталады.",
+    "shortcuts.press": "«{command}» үшін пернені басыңыз… (Esc — бас тарту)",
+    "shortcuts.conflict": "{key} «{command}» үшін қолданылып тұр. Осында ауыстыру үшін оны қайта басыңыз немесе бас тарту үшін Esc басыңыз.",
+    "shortcuts.moved": "{key} «{command}» әрекетінен ауыстырылды",
+    "shortcuts.reserved": "{key} пернесін тағайындауға болмайды",
+    "shortcuts.add": "Перне қосу",
+    "shortcuts.remove": "{key} алып тастау",
+    "shortcuts.none": "Тағайындалмаған",
+    "shortcuts.reset": "Әдепкі мәндерге қайтару",
+    "shortcuts.space": "Бос орын",
+    "shortcuts.footerSeek": "-{sec} с / +{sec} с",
+    "shortcuts.footerAll": "Барлық пернелер",
+    "shortcuts.group.playback": "Ойнату",
+    "shortcuts.group.volume": "Дыбыс деңгейі",
+    "shortcuts.group.practice": "Жаттығу және бетбелгілер",
+    "shortcuts.group.view": "Навигация",
+    "shortcuts.playPause": "Ойнату/кідірту",
+    "shortcuts.previous": "Алдыңғы трек",
+    "shortcuts.next": "Келесі трек",
+    "shortcuts.seekBack": "{sec} с артқа",
+    "shortcuts.seekForward": "{sec} с алға",
+    "shortcuts.seekPercent": "{percent}% жеріне өту",
+    "shortcuts.shuffle": "Араластыруды қосу/өшіру",
+    "shortcuts.repeat": "Қайталау режимін ауыстыру",
+    "shortcuts.volumeUp": "Дыбысты көтеру",
+    "shortcuts.volumeDown": "Дыбысты азайту",
+    "shortcuts.mute": "Дыбысты өшіру/қосу",
+    "shortcuts.slower": "Баяуырақ",
+    "shortcuts.faster": "Жылдамырақ",
+    "shortcuts.loopA": "Цикл басын қою (A)",
+    "shortcuts.loopB": "Цикл соңын қою (B)",
+    "shortcuts.loopClear": "A–B циклін алып тастау",
+    "shortcuts.addBookmark": "Бетбелгі қосу",
+    "shortcuts.goTo": "Өту: {tab}",
+    "shortcuts.focusSearch": "Кітапханадан іздеу",
+    "shortcuts.queue": "Кезекті көрсету",
+    "shortcuts.lyrics": "Мәтінді көрсету",
+    "shortcuts.equalizer": "Эквалайзерді көрсету",
+    "shortcuts.bookmarks": "Бетбелгілер мен тарауларды көрсету",
+    "shortcuts.help": "Пернетақта тіркесімдерін көрсету",
+  },
+};
+
+let locale = FALLBACK_LOCALE;
+const intlCache = new Map();
+
+// Intl objects are costly to build, so each locale/options pair is made once
+function intl(Ctor, options = {}) {
+  const key = `${Ctor.name}|${locale}|${JSON.stringify(options)}`;
+  if (!intlCache.has(key)) intlCache.set(key, new Ctor(locale, options));
+  return intlCache.get(key);
 }
 
-function loadTracks() {
+function loadLocale() {
+  let saved = null;
   try {
-    const raw = localStorage.getItem(STORAGE_KEY_TRACKS);
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return;
-    state.tracks = parsed.map((t) => ({
-      id: t.id,
-      name: t.name,
-      url: null,
-      duration: t.duration,
-    }));
+    saved = localStorage.getItem(STORAGE_KEY_LOCALE);
   } catch (e) {
-    console.warn("Unable to load tracks:", e);
+    console.warn("Unable to load language:", e);
   }
+  return LOCALES[saved] ? saved : null;
 }
 
-function saveRecents() {
-  try {
-    localStorage.setItem(STORAGE_KEY_RECENTS, JSON.stringify(state.recents));
-  } catch (e) {
-    console.warn("Unable to save recents:", e);
+// First of the browser's preferred languages that has a catalog
+function detectLocale() {
+  const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const code = String(tag || "").toLowerCase().split("-")[0];
+    if (LOCALES[code]) return code;
   }
+  return FALLBACK_LOCALE;
 }
 
-function loadRecents() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY_RECENTS);
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return;
-    state.recents = parsed;
-  } catch (e) {
-    console.warn("Unable to load recents:", e);
+function t(key, params = {}) {
+  let message = key in MESSAGES[locale] ? MESSAGES[locale][key] : MESSAGES[FALLBACK_LOCALE][key];
+  if (message === undefined) {
+    console.warn("Missing message:", key);
+    return key;
+  }
+  if (typeof message === "object") {
+    message = message[intl(Intl.PluralRules).select(params.count)] || message.other;
   }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
 }
 
-function saveVolume(vol) {
-  try {
-    localStorage.setItem(STORAGE_KEY_VOLUME, String(vol));
-  } catch {}
+function formatNumber(value) {
+  return intl(Intl.NumberFormat).format(value);
 }
 
-function loadVolume() {
-  const raw = localStorage.getItem(STORAGE_KEY_VOLUME);
-  const v = raw !== null ? parseFloat(raw) : 0.8;
-  const volume = isNaN(v) ? 0.8 : Math.min(1, Math.max(0, v));
-  audio.volume = volume;
-  volumeBar.value = volume;
+// ms since the epoch, a Date or an ISO string
+function formatDate(ms, options = { dateStyle: "medium", timeStyle: "short" }) {
+  return intl(Intl.DateTimeFormat, options).format(new Date(ms));
 }
 
-// Rendering playlist
-function renderPlaylist() {
-  playlistEl.innerHTML = "";
-  if (state.tracks.length === 0) {
-    const empty = document.createElement("li");
-    empty.className = "playlist-item";
-    empty.style.opacity = "0.65";
-    empty.innerHTML =
-      '<span class="title">Your playlist is empty</span><span class="meta"><span class="dot"></span><span>Add songs to begin</span></span>';
-    playlistEl.appendChild(empty);
-    return;
-  }
+// Clock time for an hour of the day, e.g. "20:00" or "8:00 PM"
+function formatHour(hour) {
+  return formatDate(new Date(2024, 0, 1, hour), { hour: "numeric", minute: "2-digit" });
+}
 
-  state.tracks.forEach((track, index) => {
-    const li = document.createElement("li");
-    li.className = "playlist-item";
-    li.dataset.index = index;
+// day 0 is Monday, as in the listening stats
+function formatWeekday(day) {
+  return formatDate(new Date(2024, 0, 1 + day), { weekday: "short" });
+}
 
-    if (index === state.currentIndex) {
-      li.classList.add("active");
-    }
+function formatMonth(month) {
+  return formatDate(new Date(2024, month, 1), { month: "long" });
+}
 
-    const title = document.createElement("span");
-    title.className = "title";
-    title.textContent = track.name;
+function formatUnit(value, unit) {
+  return intl(Intl.NumberFormat, { style: "unit", unit, unitDisplay: "short" }).format(value);
+}
 
-    const meta = document.createElement("span");
-    meta.className = "meta";
+// Fills in [data-i18n] text and [data-i18n-title|placeholder|aria-label] attributes;
+// data-i18n-params holds JSON placeholder values
+function applyTranslations(root = document) {
+  document.documentElement.lang = locale;
+  const params = (el) => (el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {});
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n, params(el));
+  });
+  [
+    ["i18nTitle", "title"],
+    ["i18nPlaceholder", "placeholder"],
+    ["i18nAriaLabel", "aria-label"],
+  ].forEach(([prop, attr]) => {
+    const selector = `[data-${prop.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}]`;
+    root.querySelectorAll(selector).forEach((el) => el.setAttribute(attr, t(el.dataset[prop], params(el))));
+  });
+}
 
-    const dot = document.createElement("span");
-    dot.className = "dot";
+function renderLocaleOptions() {
+  const saved = loadLocale();
+  optLocale.innerHTML = "";
+  [["auto", t("profile.languageAuto")], ...Object.entries(LOCALES)].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    optLocale.appendChild(option);
+  });
+  optLocale.value = saved || "auto";
+}
 
-    const durationSpan = document.createElement("span");
-    durationSpan.textContent = track.duration
-      ? formatTime(track.duration)
-      : "--:--";
+// choice: a LOCALES code, or "auto" to follow the browser
+function setLocale(choice) {
+  try {
+    if (LOCALES[choice]) localStorage.setItem(STORAGE_KEY_LOCALE, choice);
+    else localStorage.removeItem(STORAGE_KEY_LOCALE);
+  } catch (e) {
+    console.warn("Unable to save language:", e);
+  }
+  locale = LOCALES[choice] ? choice : detectLocale();
+  applyTranslations();
+  renderLocaleOptions();
+  renderPlaylist();
+  renderHome();
+  renderQueue();
+  renderSearchResults();
+  renderLyrics();
+  renderSleepTimer();
+  renderCountInOptions();
+  renderPractice();
+  renderBookmarks();
+  renderShortcutFooter();
+  renderVisualizerControls();
+  renderLoudnessStatus();
+  renderEqPanel();
+  if (state.currentTab === "profile") {
+    renderStats();
+    renderStorage();
+  }
+}
 
-    meta.appendChild(dot);
-    meta.appendChild(durationSpan);
+optLocale.addEventListener("change", () => setLocale(optLocale.value));
 
-    li.appendChild(title);
-    li.appendChild(meta);
+// Embedded tags (ID3v2/ID3v1, Vorbis comments, MP4 atoms)
+const ID3V1_GENRES = [
+  "Blues", "Classic Rock", "Country", "Dance", "Disco", "Funk", "Grunge",
+  "Hip-Hop", "Jazz", "Metal", "New Age", "Oldies", "Other", "Pop", "R&B", "Rap",
+  "Reggae", "Rock", "Techno", "Industrial", "Alternative", "Ska",
+  "Death Metal", "Pranks", "Soundtrack", "Euro-Techno", "Ambient", "Trip-Hop",
+  "Vocal", "Jazz+Funk", "Fusion", "Trance", "Classical", "Instrumental",
+  "Acid", "House", "Game", "Sound Clip", "Gospel", "Noise", "AlternRock",
+  "Bass", "Soul", "Punk", "Space", "Meditative", "Instrumental Pop",
+  "Instrumental Rock", "Ethnic", "Gothic", "Darkwave", "Techno-Industrial",
+  "Electronic", "Pop-Folk", "Eurodance", "Dream", "Southern Rock", "Comedy",
+  "Cult", "Gangsta", "Top 40", "Christian Rap", "Pop/Funk", "Jungle",
+  "Native American", "Cabaret", "New Wave", "Psychadelic", "Rave",
+  "Showtunes", "Trailer", "Lo-Fi", "Tribal", "Acid Punk", "Acid Jazz",
+  "Polka", "Retro", "Musical", "Rock & Roll", "Hard Rock",
+];
 
-    li.addEventListener("click", () => {
-      playIndex(index);
-    });
+// ID3 frame id -> tag field (v2.3/v2.4 and the 3-letter v2.2 ids)
+const ID3_TEXT_FRAMES = {
+  TIT2: "title", TT2: "title",
+  TPE1: "artist", TP1: "artist",
+  TPE2: "albumArtist", TP2: "albumArtist",
+  TALB: "album", TAL: "album",
+  TRCK: "trackNo", TRK: "trackNo",
+  TYER: "year", TYE: "year", TDRC: "year",
+  TCON: "genre", TCO: "genre",
+};
 
-    playlistEl.appendChild(li);
-  });
-}
+const VORBIS_FIELDS = {
+  TITLE: "title",
+  ARTIST: "artist",
+  ALBUMARTIST: "albumArtist",
+  ALBUM: "album",
+  TRACKNUMBER: "trackNo",
+  DATE: "year",
+  YEAR: "year",
+  GENRE: "genre",
+  LYRICS: "lyrics",
+  UNSYNCEDLYRICS: "lyrics",
+};
 
-function renderHome() {
-  // Recents
-  recentGrid.innerHTML = "";
-  if (!state.recents.length) {
-    recentGrid.textContent = "Әзірге бос";
-    recentGrid.classList.add("empty-placeholder");
-  } else {
-    recentGrid.classList.remove("empty-placeholder");
-    state.recents.forEach((t) => {
-      const card = document.createElement("div");
-      card.className = "recent-card";
-      const cover = document.createElement("div");
-      cover.className = "cover-sm";
-      const name = document.createElement("div");
-      name.className = "track-name";
-      name.textContent = t.name;
-      const sub = document.createElement("div");
-      sub.className = "track-sub";
-      sub.textContent = t.duration ? formatTime(t.duration) : "—";
-      const textWrap = document.createElement("div");
-      textWrap.style.minWidth = "0";
-      textWrap.appendChild(name);
-      textWrap.appendChild(sub);
-      card.appendChild(textWrap);
-      card.appendChild(cover);
-      card.addEventListener("click", () => {
-        const idx = state.tracks.findIndex((tr) => tr.id === t.id);
-        if (idx >= 0) playIndex(idx);
-      });
-      recentGrid.appendChild(card);
-    });
+const MP4_FIELDS = {
+  "©nam": "title",
+  "©ART": "artist",
+  aART: "albumArtist",
+  "©alb": "album",
+  "©day": "year",
+  "©gen": "genre",
+  "©lyr": "lyrics",
+};
+
+function readAscii(bytes, start, length) {
+  let out = "";
+  for (let i = start; i < start + length && i < bytes.length; i++) {
+    out += String.fromCharCode(bytes[i]);
   }
+  return out;
+}
 
-  // Recommended static demo
-  const recommended = [
-    { name: "Neon Nights", artist: "Citywave" },
-    { name: "Midnight Drive", artist: "Aurora Sky" },
-    { name: "Chill Vibes", artist: "LoungeLab" },
-    { name: "Deep Focus", artist: "ZeroNoise" },
-  ];
-  recommendGrid.innerHTML = "";
-  recommended.forEach((rec) => {
-    const card = document.createElement("div");
-    card.className = "recommend-card";
-    const cover = document.createElement("div");
-    cover.className = "cover-lg";
-    const name = document.createElement("div");
-    name.className = "track-name";
-    name.textContent = rec.name;
-    const sub = document.createElement("div");
-    sub.className = "track-sub";
-    sub.textContent = rec.artist;
-    card.appendChild(cover);
-    card.appendChild(name);
-    card.appendChild(sub);
-    recommendGrid.appendChild(card);
-  });
+function readUint32BE(bytes, pos) {
+  return (
+    ((bytes[pos] << 24) >>> 0) +
+    (bytes[pos + 1] << 16) +
+    (bytes[pos + 2] << 8) +
+    bytes[pos + 3]
+  );
 }
 
-// Load specific track without autoplay
-function loadTrack(index) {
-  if (!state.tracks[index]) return;
-  state.currentIndex = index;
-  const track = state.tracks[index];
-  if (!track.url) {
-    console.warn("Track URL missing (not yet hydrated):", track);
-    return;
+function readUint32LE(bytes, pos) {
+  return (
+    bytes[pos] +
+    (bytes[pos + 1] << 8) +
+    (bytes[pos + 2] << 16) +
+    ((bytes[pos + 3] << 24) >>> 0)
+  );
+}
+
+function readSynchsafe(bytes, pos) {
+  return (
+    (bytes[pos] << 21) |
+    (bytes[pos + 1] << 14) |
+    (bytes[pos + 2] << 7) |
+    bytes[pos + 3]
+  );
+}
+
+function decodeBytes(bytes, label) {
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch {
+    return "";
   }
-  audio.src = track.url;
-  trackTitleEl.textContent = track.name;
-  trackSubtitleEl.textContent = "FlowMusic • Local file";
+}
 
-  totalTimeEl.textContent = track.duration
-    ? formatTime(track.duration)
-    : "0:00";
+// Latin-1 tags in our libraries are very often Windows-1251 Cyrillic
+function decodeLatin1(bytes) {
+  let high = 0;
+  let cyrillic = 0;
+  for (const b of bytes) {
+    if (b >= 0x80) high++;
+    if (b >= 0xc0) cyrillic++;
+  }
+  if (high && cyrillic * 2 >= high) {
+    const text = decodeBytes(bytes, "windows-1251");
+    if (text) return text;
+  }
+  return decodeBytes(bytes, "iso-8859-1");
+}
 
-  seekBar.value = 0;
-  currentTimeEl.textContent = "0:00";
+// ID3 text encodings: 0 latin1, 1 UTF-16 + BOM, 2 UTF-16BE, 3 UTF-8
+function decodeId3Text(bytes, encoding) {
+  let text;
+  if (encoding === 1) {
+    const le = !(bytes[0] === 0xfe && bytes[1] === 0xff);
+    text = decodeBytes(bytes, le ? "utf-16le" : "utf-16be");
+  } else if (encoding === 2) {
+    text = decodeBytes(bytes, "utf-16be");
+  } else if (encoding === 3) {
+    text = decodeBytes(bytes, "utf-8");
+  } else {
+    text = decodeLatin1(bytes);
+  }
+  return text.replace(/^\uFEFF/, "");
+}
 
-  updatePlaylistActive();
-  // WebAudio graph is initialized on first user gesture (play)
+function findId3Terminator(bytes, start, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = start; i + 1 < bytes.length; i += 2) {
+      if (bytes[i] === 0 && bytes[i + 1] === 0) return i;
+    }
+    return bytes.length;
+  }
+  const i = bytes.indexOf(0, start);
+  return i === -1 ? bytes.length : i;
 }
 
-// Load + play
-function playIndex(index) {
-  if (!state.tracks[index]) return;
-  loadTrack(index);
-  addRecent(state.tracks[index]);
-  play();
+// Reads one encoded, null-terminated string: returns [text, nextPos]
+function readId3String(bytes, start, encoding) {
+  const end = findId3Terminator(bytes, start, encoding);
+  const width = encoding === 1 || encoding === 2 ? 2 : 1;
+  return [decodeId3Text(bytes.subarray(start, end), encoding), end + width];
 }
 
-function updatePlaylistActive() {
-  const items = playlistEl.querySelectorAll(".playlist-item");
-  items.forEach((li) => li.classList.remove("active"));
-  if (!state.tracks.length) return;
-  const current = playlistEl.querySelector(
-    `.playlist-item[data-index="${state.currentIndex}"]`
-  );
-  if (current) current.classList.add("active");
+function removeUnsync(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return Uint8Array.from(out);
 }
 
-// Playback controls
+function isId3FrameId(bytes, pos, length) {
+  if (pos + length > bytes.length) return false;
+  for (let i = pos; i < pos + length; i++) {
+    const c = bytes[i];
+    if (!((c >= 0x41 && c <= 0x5a) || (c >= 0x30 && c <= 0x39))) return false;
+  }
+  return true;
+}
+
+function readId3v2Frames(bytes) {
+  const major = bytes[3];
+  const flags = bytes[5];
+  const size = readSynchsafe(bytes, 6);
+  let tag = bytes.subarray(10, 10 + size);
+  if (flags & 0x80 && major < 4) tag = removeUnsync(tag);
+
+  let pos = 0;
+  if (flags & 0x40) {
+    // Skip extended header
+    pos = major === 4 ? readSynchsafe(tag, 0) : readUint32BE(tag, 0) + 4;
+  }
+
+  return readId3Frames(tag, pos, major);
+}
+
+// Frames from pos onwards; CHAP frames hold frames of their own in the same format
+function readId3Frames(tag, pos, major) {
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+  const frames = [];
+
+  while (pos + headerLength <= tag.length && isId3FrameId(tag, pos, idLength)) {
+    const id = readAscii(tag, pos, idLength);
+    let frameSize;
+    if (major === 2) {
+      frameSize = (tag[pos + 3] << 16) | (tag[pos + 4] << 8) | tag[pos + 5];
+    } else if (major === 4) {
+      frameSize = readSynchsafe(tag, pos + 4);
+      // Some taggers write plain sizes in v2.4 frames
+      const plain = readUint32BE(tag, pos + 4);
+      const next = pos + headerLength + frameSize;
+      if (
+        plain !== frameSize &&
+        next < tag.length &&
+        tag[next] !== 0 &&
+        !isId3FrameId(tag, next, 4) &&
+        isId3FrameId(tag, pos + headerLength + plain, 4)
+      ) {
+        frameSize = plain;
+      }
+    } else {
+      frameSize = readUint32BE(tag, pos + 4);
+    }
+
+    const formatFlags = major === 2 ? 0 : tag[pos + 9];
+    let data = tag.subarray(pos + headerLength, pos + headerLength + frameSize);
+    pos += headerLength + frameSize;
+
+    const compressed =
+      major === 4 ? formatFlags & 0x0c : major === 3 ? formatFlags & 0xc0 : 0;
+    if (compressed) continue;
+    if (major === 4) {
+      if (formatFlags & 0x01) data = data.subarray(4);
+      if (formatFlags & 0x02) data = removeUnsync(data);
+    }
+    frames.push({ id, data });
+  }
+  return frames;
+}
+
+function parseId3Picture(frame) {
+  const data = frame.data;
+  const encoding = data[0];
+  let pos = 1;
+  let mime;
+  if (frame.id === "PIC") {
+    mime = readAscii(data, 1, 3);
+    pos = 4;
+  } else {
+    const end = data.indexOf(0, 1);
+    if (end === -1) return null;
+    mime = readAscii(data, 1, end - 1);
+    pos = end + 1;
+  }
+  const type = data[pos];
+  const [, dataStart] = readId3String(data, pos + 1, encoding);
+  if (mime === "-->") return null; // linked image
+  return { mime, type, data: data.subarray(dataStart) };
+}
+
+// USLT: encoding, language, description, then the whole text
+function parseId3Lyrics(frame) {
+  const data = frame.data;
+  const encoding = data[0];
+  const [, textStart] = readId3String(data, 4, encoding);
+  return decodeId3Text(data.subarray(textStart), encoding).trim();
+}
+
+// SYLT: encoding, language, timestamp format, content type, description,
+// then (text, 32-bit time) pairs. Only millisecond timestamps can be used.
+function parseId3SyncedLyrics(frame) {
+  const data = frame.data;
+  const encoding = data[0];
+  if (data[4] !== 2) return null;
+  let [, pos] = readId3String(data, 6, encoding);
+  const lines = [];
+  while (pos < data.length) {
+    const [text, next] = readId3String(data, pos, encoding);
+    if (next + 4 > data.length) break;
+    lines.push({ time: readUint32BE(data, next) / 1000, text: text.replace(/^\n/, "") });
+    pos = next + 4;
+  }
+  return lines.length ? lines : null;
+}
+
+// CHAP: element id, start and end times (ms), start and end byte offsets,
+// then embedded frames, usually a TIT2 with the chapter title
+function parseId3Chapter(frame, major) {
+  const data = frame.data;
+  const idEnd = data.indexOf(0);
+  if (idEnd === -1 || idEnd + 17 > data.length) return null;
+  const title = readId3Frames(data, idEnd + 17, major).find((f) => f.id === "TIT2");
+  return {
+    start: readUint32BE(data, idEnd + 1) / 1000,
+    title: title ? decodeId3Text(title.data.subarray(1), title.data[0]).replace(/\0/g, "").trim() : "",
+  };
+}
+
+function parseId3v2(bytes, tags) {
+  const pictures = [];
+  const chapters = [];
+  for (const frame of readId3v2Frames(bytes)) {
+    const field = ID3_TEXT_FRAMES[frame.id];
+    if (field) {
+      const text = decodeId3Text(frame.data.subarray(1), frame.data[0]);
+      const values = text.split("\0").map((v) => v.trim()).filter(Boolean);
+      if (values.length && !tags[field]) tags[field] = values.join(", ");
+    } else if (frame.id === "APIC" || frame.id === "PIC") {
+      const pic = parseId3Picture(frame);
+      if (pic && pic.data.length) pictures.push(pic);
+    } else if ((frame.id === "USLT" || frame.id === "ULT") && !tags.lyrics) {
+      tags.lyrics = parseId3Lyrics(frame);
+    } else if ((frame.id === "SYLT" || frame.id === "SLT") && !tags.syncedLyrics) {
+      tags.syncedLyrics = parseId3SyncedLyrics(frame);
+    } else if (frame.id === "CHAP") {
+      const chapter = parseId3Chapter(frame, bytes[3]);
+      if (chapter) chapters.push(chapter);
+    }
+  }
+  const front = pictures.find((p) => p.type === 3) || pictures[0];
+  if (front && !tags.picture) tags.picture = front;
+  if (chapters.length && !tags.chapters) tags.chapters = chapters;
+}
+
+function parseId3v1(bytes, tags) {
+  const pos = bytes.length - 128;
+  if (pos < 0 || readAscii(bytes, pos, 3) !== "TAG") return;
+  const field = (start, length) => {
+    const raw = bytes.subarray(pos + start, pos + start + length);
+    const end = raw.indexOf(0);
+    return decodeLatin1(end === -1 ? raw : raw.subarray(0, end)).trim();
+  };
+  tags.title = tags.title || field(3, 30);
+  tags.artist = tags.artist || field(33, 30);
+  tags.album = tags.album || field(63, 30);
+  tags.year = tags.year || field(93, 4);
+  if (!tags.trackNo && bytes[pos + 125] === 0 && bytes[pos + 126]) {
+    tags.trackNo = String(bytes[pos + 126]);
+  }
+  if (!tags.genre && ID3V1_GENRES[bytes[pos + 127]]) {
+    tags.genre = ID3V1_GENRES[bytes[pos + 127]];
+  }
+}
+
+function parseFlacPicture(bytes) {
+  let pos = 0;
+  const type = readUint32BE(bytes, pos);
+  const mimeLength = readUint32BE(bytes, pos + 4);
+  const mime = readAscii(bytes, pos + 8, mimeLength);
+  pos += 8 + mimeLength;
+  pos += 4 + readUint32BE(bytes, pos); // description
+  pos += 16; // width, height, depth, colours
+  const length = readUint32BE(bytes, pos);
+  return { mime, type, data: bytes.subarray(pos + 4, pos + 4 + length) };
+}
+
+function base64ToBytes(text) {
+  try {
+    const bin = atob(text.replace(/\s+/g, ""));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  } catch {
+    return null;
+  }
+}
+
+function parseVorbisComments(bytes, tags) {
+  let pos = 4 + readUint32LE(bytes, 0); // vendor string
+  const count = readUint32LE(bytes, pos);
+  pos += 4;
+  for (let i = 0; i < count && pos + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, pos);
+    const entry = decodeBytes(bytes.subarray(pos + 4, pos + 4 + length), "utf-8");
+    pos += 4 + length;
+
+    const eq = entry.indexOf("=");
+    if (eq <= 0) continue;
+    const key = entry.slice(0, eq).toUpperCase();
+    const value = entry.slice(eq + 1).trim();
+    if (!value) continue;
+
+    const field = VORBIS_FIELDS[key];
+    if (field) {
+      tags[field] = tags[field] ? `${tags[field]}, ${value}` : value;
+    } else if (key === "METADATA_BLOCK_PICTURE" && !tags.picture) {
+      const raw = base64ToBytes(value);
+      if (raw) tags.picture = parseFlacPicture(raw);
+    }
+  }
+}
+
+function parseFlac(bytes, start, tags) {
+  let pos = start + 4;
+  while (pos + 4 <= bytes.length) {
+    const header = bytes[pos];
+    const type = header & 0x7f;
+    const length = (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3];
+    const block = bytes.subarray(pos + 4, pos + 4 + length);
+    if (type === 4) parseVorbisComments(block, tags);
+    else if (type === 6) {
+      const pic = parseFlacPicture(block);
+      if (!tags.picture || pic.type === 3) tags.picture = pic;
+    }
+    pos += 4 + length;
+    if (header & 0x80) break; // last metadata block
+  }
+}
+
+// Reassembles the first packets of the first logical Ogg stream
+function readOggPackets(bytes, wanted) {
+  const packets = [];
+  let current = [];
+  let serial = null;
+  let pos = 0;
+  while (pos + 27 <= bytes.length && packets.length < wanted) {
+    if (readAscii(bytes, pos, 4) !== "OggS") break;
+    const pageSerial = readUint32LE(bytes, pos + 14);
+    const segments = bytes[pos + 26];
+    let dataPos = pos + 27 + segments;
+    const own = serial === null || pageSerial === serial;
+    if (serial === null) serial = pageSerial;
+    for (let i = 0; i < segments; i++) {
+      const length = bytes[pos + 27 + i];
+      if (own) {
+        current.push(bytes.subarray(dataPos, dataPos + length));
+        if (length < 255) {
+          const total = current.reduce((sum, part) => sum + part.length, 0);
+          const packet = new Uint8Array(total);
+          let offset = 0;
+          current.forEach((part) => {
+            packet.set(part, offset);
+            offset += part.length;
+          });
+          packets.push(packet);
+          current = [];
+        }
+      }
+      dataPos += length;
+    }
+    pos = dataPos;
+  }
+  return packets;
+}
+
+function parseOgg(bytes, tags) {
+  const packets = readOggPackets(bytes, 2);
+  const comments = packets[1];
+  if (!comments) return;
+  if (readAscii(comments, 1, 6) === "vorbis") {
+    parseVorbisComments(comments.subarray(7), tags);
+  } else if (readAscii(comments, 0, 8) === "OpusTags") {
+    parseVorbisComments(comments.subarray(8), tags);
+  } else if (readAscii(packets[0], 1, 4) === "FLAC") {
+    parseVorbisComments(comments.subarray(4), tags);
+  }
+}
+
+function readMp4Atoms(bytes, start, end) {
+  const atoms = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = readUint32BE(bytes, pos);
+    const type = readAscii(bytes, pos + 4, 4);
+    let header = 8;
+    if (size === 1) {
+      size = readUint32BE(bytes, pos + 8) * 2 ** 32 + readUint32BE(bytes, pos + 12);
+      header = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < header) break;
+    atoms.push({ type, start: pos + header, end: Math.min(end, pos + size) });
+    pos += size;
+  }
+  return atoms;
+}
+
+function findMp4Atom(bytes, parent, path) {
+  let atom = parent;
+  for (const type of path) {
+    let start = atom.start;
+    // "meta" is a full box (4 bytes version/flags) except in some QuickTime files
+    if (atom.type === "meta" && readAscii(bytes, start + 4, 4) !== "hdlr") {
+      start += 4;
+    }
+    atom = readMp4Atoms(bytes, start, atom.end).find((a) => a.type === type);
+    if (!atom) return null;
+  }
+  return atom;
+}
+
+function readUint64BE(bytes, pos) {
+  return readUint32BE(bytes, pos) * 2 ** 32 + readUint32BE(bytes, pos + 4);
+}
+
+// Nero chapters (moov/udta/chpl): start times in 100 ns units, each with a short title
+function parseMp4NeroChapters(bytes, chpl) {
+  let pos = chpl.start + (bytes[chpl.start] ? 8 : 4);
+  const count = bytes[pos++];
+  const chapters = [];
+  for (let i = 0; i < count && pos + 9 <= chpl.end; i++) {
+    const length = bytes[pos + 8];
+    chapters.push({
+      start: readUint64BE(bytes, pos) / 1e7,
+      title: decodeBytes(bytes.subarray(pos + 9, pos + 9 + length), "utf-8").trim(),
+    });
+    pos += 9 + length;
+  }
+  return chapters;
+}
+
+// QuickTime chapters: a text track named by another track's tref/chap, whose
+// samples (a 16-bit length, then the title) run one after another in time
+function parseMp4ChapterTrack(bytes, moov) {
+  const traks = readMp4Atoms(bytes, moov.start, moov.end).filter((a) => a.type === "trak");
+  const trackId = (trak) => {
+    const tkhd = findMp4Atom(bytes, trak, ["tkhd"]);
+    return tkhd ? readUint32BE(bytes, tkhd.start + (bytes[tkhd.start] === 1 ? 20 : 12)) : 0;
+  };
+  let chapterId = 0;
+  for (const trak of traks) {
+    const chap = findMp4Atom(bytes, trak, ["tref", "chap"]);
+    if (chap && chap.end - chap.start >= 4) chapterId = readUint32BE(bytes, chap.start);
+  }
+  const text = chapterId && traks.find((trak) => trackId(trak) === chapterId);
+  const mdhd = text && findMp4Atom(bytes, text, ["mdia", "mdhd"]);
+  const stbl = text && findMp4Atom(bytes, text, ["mdia", "minf", "stbl"]);
+  if (!mdhd || !stbl) return [];
+  const timescale = readUint32BE(bytes, mdhd.start + (bytes[mdhd.start] === 1 ? 20 : 12)) || 1;
+  const boxes = readMp4Atoms(bytes, stbl.start, stbl.end);
+  const box = (type) => boxes.find((a) => a.type === type);
+  const stts = box("stts");
+  const stsz = box("stsz");
+  const stsc = box("stsc");
+  const stco = box("stco") || box("co64");
+  if (!stts || !stsz || !stsc || !stco) return [];
+
+  const starts = [];
+  let time = 0;
+  for (let i = 0, n = readUint32BE(bytes, stts.start + 4); i < n; i++) {
+    const entry = stts.start + 8 + i * 8;
+    for (let j = readUint32BE(bytes, entry); j > 0; j--) {
+      starts.push(time / timescale);
+      time += readUint32BE(bytes, entry + 4);
+    }
+  }
+  const fixedSize = readUint32BE(bytes, stsz.start + 4);
+  const sampleSize = (i) => fixedSize || readUint32BE(bytes, stsz.start + 12 + i * 4);
+  const wide = stco.type === "co64";
+  const chunkCount = readUint32BE(bytes, stco.start + 4);
+  const chunkOffset = (i) => (wide ? readUint64BE(bytes, stco.start + 8 + i * 8) : readUint32BE(bytes, stco.start + 8 + i * 4));
+  const runs = readUint32BE(bytes, stsc.start + 4);
+
+  const chapters = [];
+  let sample = 0;
+  for (let chunk = 0; chunk < chunkCount && sample < starts.length; chunk++) {
+    // The last stsc run whose first chunk (1-based) is at or before this one
+    let perChunk = 0;
+    for (let r = 0; r < runs; r++) {
+      const run = stsc.start + 8 + r * 12;
+      if (readUint32BE(bytes, run) - 1 <= chunk) perChunk = readUint32BE(bytes, run + 4);
+    }
+    let pos = chunkOffset(chunk);
+    for (let k = 0; k < perChunk && sample < starts.length; k++, sample++) {
+      const length = pos + 2 <= bytes.length ? (bytes[pos] << 8) | bytes[pos + 1] : 0;
+      const raw = bytes.subarray(pos + 2, pos + 2 + length);
+      const utf16 = raw[0] === 0xfe && raw[1] === 0xff;
+      chapters.push({ start: starts[sample], title: decodeBytes(utf16 ? raw.subarray(2) : raw, utf16 ? "utf-16be" : "utf-8").trim() });
+      pos += sampleSize(sample);
+    }
+  }
+  return chapters;
+}
+
+function parseMp4(bytes, tags) {
+  const root = { type: "", start: 0, end: bytes.length };
+  const moov = findMp4Atom(bytes, root, ["moov"]);
+  if (!moov) return;
+  const chpl = findMp4Atom(bytes, moov, ["udta", "chpl"]);
+  const chapters = chpl ? parseMp4NeroChapters(bytes, chpl) : parseMp4ChapterTrack(bytes, moov);
+  if (chapters.length) tags.chapters = chapters;
+  const ilst = findMp4Atom(bytes, moov, ["udta", "meta", "ilst"]);
+  if (!ilst) return;
+  for (const item of readMp4Atoms(bytes, ilst.start, ilst.end)) {
+    const data = readMp4Atoms(bytes, item.start, item.end).find(
+      (a) => a.type === "data"
+    );
+    if (!data) continue;
+    const kind = readUint32BE(bytes, data.start) & 0xffffff;
+    const payload = bytes.subarray(data.start + 8, data.end);
+
+    const field = MP4_FIELDS[item.type];
+    if (field) {
+      tags[field] = decodeBytes(payload, "utf-8").trim();
+    } else if (item.type === "trkn" && payload.length >= 4) {
+      tags.trackNo = String((payload[2] << 8) | payload[3]);
+    } else if (item.type === "gnre" && payload.length >= 2) {
+      tags.genre = ID3V1_GENRES[((payload[0] << 8) | payload[1]) - 1] || "";
+    } else if (item.type === "covr" && !tags.picture) {
+      tags.picture = { mime: kind === 14 ? "image/png" : "image/jpeg", type: 3, data: payload };
+    }
+  }
+}
+
+function pictureMime(pic) {
+  const d = pic.data;
+  if (d[0] === 0x89 && d[1] === 0x50) return "image/png";
+  if (d[0] === 0xff && d[1] === 0xd8) return "image/jpeg";
+  if (readAscii(d, 0, 3) === "GIF") return "image/gif";
+  const mime = (pic.mime || "").toLowerCase();
+  if (mime === "jpg" || mime === "image/jpg") return "image/jpeg";
+  if (mime === "png") return "image/png";
+  return mime.includes("/") ? mime : "image/jpeg";
+}
+
+function cleanTags(tags) {
+  const out = {};
+  ["title", "artist", "albumArtist", "album", "genre"].forEach((key) => {
+    const value = (tags[key] || "").replace(/\0/g, "").trim();
+    if (value) out[key] = value;
+  });
+  const trackNo = parseInt(tags.trackNo, 10);
+  if (trackNo > 0) out.trackNo = trackNo;
+  const year = parseInt(tags.year, 10);
+  if (year > 0) out.year = year;
+  if (out.genre) {
+    // "(17)" / "(17)Rock" style ID3v1 genre references
+    out.genre = out.genre.replace(/^\((\d+)\)(.*)$/, (m, n, rest) =>
+      rest.trim() || ID3V1_GENRES[n] || ""
+    );
+    if (/^\d+$/.test(out.genre)) out.genre = ID3V1_GENRES[out.genre] || "";
+    if (!out.genre) delete out.genre;
+  }
+  return out;
+}
+
+// Sorted, with unusable start times dropped; null when there are none
+function cleanChapters(chapters) {
+  const out = (chapters || [])
+    .filter((c) => isFinite(c.start) && c.start >= 0)
+    .map((c) => ({ start: c.start, title: (c.title || "").replace(/\0/g, "").trim() }))
+    .sort((a, b) => a.start - b.start);
+  return out.length ? out : null;
+}
+
+// Returns { tags, cover, lyrics, chapters } where cover is an image Blob or null,
+// lyrics is LRC or plain text, preferring synced lyrics, and chapters is
+// [{ start, title }] or null
+function readTags(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const tags = {};
+  try {
+    let start = 0;
+    if (readAscii(bytes, 0, 3) === "ID3") {
+      parseId3v2(bytes, tags);
+      start = 10 + readSynchsafe(bytes, 6) + (bytes[5] & 0x10 ? 10 : 0);
+    }
+    const magic = readAscii(bytes, start, 4);
+    if (magic === "fLaC") parseFlac(bytes, start, tags);
+    else if (magic === "OggS") parseOgg(bytes.subarray(start), tags);
+    else if (readAscii(bytes, start + 4, 4) === "ftyp") parseMp4(bytes, tags);
+    parseId3v1(bytes, tags);
+  } catch (e) {
+    console.warn("Could not read tags:", e);
+  }
+
+  let cover = null;
+  if (tags.picture && tags.picture.data.length) {
+    cover = new Blob([tags.picture.data], { type: pictureMime(tags.picture) });
+  }
+  const lyrics = tags.syncedLyrics ? buildLrc(tags.syncedLyrics) : (tags.lyrics || "").trim() || null;
+  return { tags: cleanTags(tags), cover, lyrics, chapters: cleanChapters(tags.chapters) };
+}
+
+function applyTags(track, tags) {
+  track.title = tags.title || null;
+  track.artist = tags.artist || tags.albumArtist || null;
+  track.album = tags.album || null;
+  track.trackNo = tags.trackNo || null;
+  track.year = tags.year || null;
+  track.genre = tags.genre || null;
+  track.name = tags.title || baseName(track.fileName || track.name);
+}
+
+function baseName(fileName) {
+  return fileName.replace(/\.[^/.]+$/, "");
+}
+
+function trackSubtitle(track) {
+  const parts = [track.artist, track.album].filter(Boolean);
+  if (track.year) parts.push(track.year);
+  return parts.length ? parts.join(" • ") : "FlowMusic • Local file";
+}
+
+function applyCover(el, track) {
+  el.style.backgroundImage = track && track.coverUrl ? `url("${track.coverUrl}")` : "";
+  el.classList.toggle("has-art", !!(track && track.coverUrl));
+}
+
+// Storage
+function saveTracks() {
+  try {
+    const payload = state.tracks.map((t) => ({
+      id: t.id,
+      name: t.name,
+      fileName: t.fileName || null,
+      path: t.path || null,
+      hash: t.hash || null,
+      addedAt: t.addedAt || null,
+      title: t.title || null,
+      artist: t.artist || null,
+      album: t.album || null,
+      trackNo: t.trackNo || null,
+      year: t.year || null,
+      genre: t.genre || null,
+      size: t.size || null,
+      // url and coverUrl are recreated from IndexedDB on startup
+      duration: t.duration || null,
+      loudness: t.loudness || null,
+    }));
+    localStorage.setItem(STORAGE_KEY_TRACKS, JSON.stringify(payload));
+  } catch (e) {
+    console.warn("Unable to save tracks:", e);
+  }
+}
+
+function loadTracks() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_TRACKS);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return;
+    state.tracks = parsed.map((t) => ({
+      id: t.id,
+      name: t.name,
+      fileName: t.fileName || null,
+      path: t.path || null,
+      hash: t.hash || null,
+      addedAt: t.addedAt || null,
+      title: t.title || null,
+      artist: t.artist || null,
+      album: t.album || null,
+      trackNo: t.trackNo || null,
+      year: t.year || null,
+      genre: t.genre || null,
+      size: t.size || null,
+      url: null,
+      coverUrl: null,
+      duration: t.duration,
+      loudness: t.loudness || null,
+    }));
+  } catch (e) {
+    console.warn("Unable to load tracks:", e);
+  }
+}
+
+function saveRecents() {
+  try {
+    localStorage.setItem(STORAGE_KEY_RECENTS, JSON.stringify(state.recents));
+  } catch (e) {
+    console.warn("Unable to save recents:", e);
+  }
+}
+
+function loadRecents() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_RECENTS);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return;
+    state.recents = parsed;
+  } catch (e) {
+    console.warn("Unable to load recents:", e);
+  }
+}
+
+function saveQueue() {
+  try {
+    localStorage.setItem(STORAGE_KEY_QUEUE, JSON.stringify(state.queue));
+  } catch (e) {
+    console.warn("Unable to save queue:", e);
+  }
+}
+
+function loadQueue() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_QUEUE);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return;
+    state.queue = parsed;
+  } catch (e) {
+    console.warn("Unable to load queue:", e);
+  }
+}
+
+function saveShuffleState() {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY_SHUFFLE,
+      JSON.stringify({
+        isShuffle: state.isShuffle,
+        order: state.shuffleOrder,
+        anchorId: state.contextAnchorId,
+        playlistId: state.contextPlaylistId,
+        history: state.history,
+      })
+    );
+  } catch (e) {
+    console.warn("Unable to save shuffle order:", e);
+  }
+}
+
+// Where playback was, so a reload picks up the same song and position
+const SESSION_SAVE_INTERVAL_MS = 5000;
+const TABS = ["home", "search", "mysongs", "profile"];
+let lastSessionSave = 0;
+let resumePosition = null; // restored position, applied once the deck has metadata
+let sessionReady = false; // nothing is saved until the last session has been restored
+
+function saveSession() {
+  if (!sessionReady) return;
+  lastSessionSave = Date.now();
+  const track = audio.src ? state.tracks[state.currentIndex] : null;
+  try {
+    localStorage.setItem(
+      STORAGE_KEY_SESSION,
+      JSON.stringify({
+        trackId: track ? track.id : null,
+        position: track ? (resumePosition !== null ? resumePosition : audio.currentTime || 0) : 0,
+        repeatMode: state.repeatMode,
+        tab: state.currentTab,
+        playlistId: state.activePlaylistId,
+      })
+    );
+  } catch (e) {
+    console.warn("Unable to save session:", e);
+  }
+}
+
+function loadSession() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_SESSION);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return null;
+    if (["off", "all", "one"].includes(parsed.repeatMode)) state.repeatMode = parsed.repeatMode;
+    if (TABS.includes(parsed.tab)) state.currentTab = parsed.tab;
+    return parsed;
+  } catch (e) {
+    console.warn("Unable to load session:", e);
+    return null;
+  }
+}
+
+// Loads the saved track paused at its saved position; false if it is gone
+function restoreSession(session) {
+  if (session.playlistId) selectPlaylist(session.playlistId);
+  const index = state.tracks.findIndex((t) => t.id === session.trackId);
+  if (index < 0 || !state.tracks[index].url) return false;
+  loadTrack(index);
+  const position = Number(session.position) || 0;
+  if (position >= 1) setResumePosition(position);
+  saveSession();
+  return true;
+}
+
+// The loaded track starts from position once its deck has metadata; until it
+// plays, the resume button shows where it will pick up. A deck handed over
+// mid-playback just jumps there, with no button to offer.
+function setResumePosition(position, { handoff = false } = {}) {
+  resumePosition = position;
+  currentTimeEl.textContent = formatTime(position);
+  btnResume.textContent = t("player.resumeFrom", { time: formatTime(position) });
+  btnResume.hidden = handoff;
+  // A deck that already has metadata won't fire loadedmetadata again
+  if (audio.readyState >= 1) applyResumePosition();
+}
+
+function applyResumePosition() {
+  if (resumePosition === null || !audio.duration) return;
+  // Right at the end there is nothing left to resume
+  if (resumePosition < audio.duration - 1) audio.currentTime = resumePosition;
+  else clearResume();
+  resumePosition = null;
+  // Already playing: the deck is where the button would have taken it
+  if (!audio.paused) btnResume.hidden = true;
+  handleTimeUpdate();
+}
+
+function clearResume() {
+  resumePosition = null;
+  btnResume.hidden = true;
+}
+
+window.addEventListener("pagehide", saveSession);
+
+function loadShuffleState() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_SHUFFLE);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return;
+    state.isShuffle = !!parsed.isShuffle;
+    state.shuffleOrder = Array.isArray(parsed.order) ? parsed.order : [];
+    state.history = Array.isArray(parsed.history) ? parsed.history : [];
+    state.contextAnchorId = parsed.anchorId || null;
+    state.contextPlaylistId = parsed.playlistId || null;
+    btnShuffle.classList.toggle("active", state.isShuffle);
+  } catch (e) {
+    console.warn("Unable to load shuffle order:", e);
+  }
+}
+
+function saveEqSettings() {
+  try {
+    localStorage.setItem(STORAGE_KEY_EQ, JSON.stringify(eqSettings));
+  } catch (e) {
+    console.warn("Unable to save equalizer settings:", e);
+  }
+}
+
+function loadEqSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_EQ);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return;
+    const clampDb = (v) => Math.max(-EQ_RANGE_DB, Math.min(EQ_RANGE_DB, Number(v) || 0));
+    eqSettings = {
+      enabled: !!parsed.enabled,
+      preamp: clampDb(parsed.preamp),
+      gains: EQ_BANDS.map((_, i) => clampDb(parsed.gains && parsed.gains[i])),
+      preset: typeof parsed.preset === "string" ? parsed.preset : null,
+      customPresets:
+        parsed.customPresets && typeof parsed.customPresets === "object"
+          ? parsed.customPresets
+          : {},
+    };
+  } catch (e) {
+    console.warn("Unable to load equalizer settings:", e);
+  }
+}
+
+function saveTransitionSettings() {
+  try {
+    localStorage.setItem(STORAGE_KEY_TRANSITIONS, JSON.stringify(transitionSettings));
+  } catch (e) {
+    console.warn("Unable to save transition settings:", e);
+  }
+}
+
+function loadTransitionSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_TRANSITIONS);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return;
+    const fade = Number(parsed.crossfade) || 0;
+    transitionSettings = {
+      gapless: parsed.gapless !== false,
+      crossfade: Math.min(MAX_CROSSFADE_SEC, Math.max(0, fade)),
+      curve: CROSSFADE_CURVES.includes(parsed.curve) ? parsed.curve : "equal-power",
+    };
+  } catch (e) {
+    console.warn("Unable to load transition settings:", e);
+  }
+}
+
+function saveNormalizationSettings() {
+  try {
+    localStorage.setItem(STORAGE_KEY_NORMALIZATION, JSON.stringify(normalizationSettings));
+  } catch (e) {
+    console.warn("Unable to save normalization settings:", e);
+  }
+}
+
+function loadNormalizationSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_NORMALIZATION);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return;
+    const target = Number(parsed.target);
+    normalizationSettings = {
+      mode: NORMALIZATION_MODES.includes(parsed.mode) ? parsed.mode : "track",
+      target: NORMALIZATION_TARGETS.includes(target) ? target : -18,
+      limiter: parsed.limiter !== false,
+    };
+  } catch (e) {
+    console.warn("Unable to load normalization settings:", e);
+  }
+}
+
+function saveVisualizerSettings() {
+  try {
+    localStorage.setItem(STORAGE_KEY_VISUALIZER, JSON.stringify(visualizerSettings));
+  } catch (e) {
+    console.warn("Unable to save visualizer settings:", e);
+  }
+}
+
+function loadVisualizerSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_VISUALIZER);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return;
+    const clamp = (v, min, max, fallback) =>
+      Number.isFinite(Number(v)) ? Math.min(max, Math.max(min, Number(v))) : fallback;
+    visualizerSettings = {
+      mode: VISUALIZER_MODES[parsed.mode] ? parsed.mode : "bars",
+      theme: VISUALIZER_THEMES[parsed.theme] ? parsed.theme : "Neon",
+      sensitivity: clamp(parsed.sensitivity, 0.5, 3, 1),
+      smoothing: clamp(parsed.smoothing, 0, 0.95, 0.8),
+    };
+  } catch (e) {
+    console.warn("Unable to load visualizer settings:", e);
+  }
+}
+
+function saveVolume(vol) {
+  try {
+    localStorage.setItem(STORAGE_KEY_VOLUME, String(vol));
+  } catch {}
+}
+
+function loadVolume() {
+  const raw = localStorage.getItem(STORAGE_KEY_VOLUME);
+  const v = raw !== null ? parseFloat(raw) : 0.8;
+  const volume = isNaN(v) ? 0.8 : Math.min(1, Math.max(0, v));
+  decks.forEach((deck) => {
+    deck.volume = volume;
+  });
+  volumeBar.value = volume;
+}
+
+// Playlists
+function createId() {
+  return `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function loadPlaylists() {
+  try {
+    const playlists = await idbGetAllPlaylists();
+    state.playlists = playlists.sort((a, b) => a.createdAt - b.createdAt);
+  } catch (e) {
+    console.warn("Unable to load playlists:", e);
+  }
+}
+
+function savePlaylist(playlist) {
+  idbPutPlaylist(playlist).catch((e) => {
+    console.warn("Unable to save playlist:", e);
+  });
+}
+
+function getPlaylist(id) {
+  return state.playlists.find((p) => p.id === id) || null;
+}
+
+function getActivePlaylist() {
+  return getPlaylist(state.activePlaylistId);
+}
+
+// Library indices of a playlist's songs, or of the whole library for null
+function getListIndices(playlist) {
+  if (!playlist) return state.tracks.map((_, index) => index);
+  return playlist.trackIds
+    .map((id) => state.tracks.findIndex((t) => t.id === id))
+    .filter((index) => index >= 0);
+}
+
+// Library indices of the list that playback steps through. This is the list
+// the song was started from, which need not be the one open in the browser.
+function getContextIndices() {
+  return getListIndices(getPlaylist(state.contextPlaylistId));
+}
+
+function setPlaybackContext(playlistId, firstId) {
+  if (state.contextPlaylistId === playlistId) return;
+  state.contextPlaylistId = playlistId;
+  if (state.isShuffle) buildShuffleOrder(firstId);
+}
+
+function createPlaylist(name, trackIds = []) {
+  const playlist = {
+    id: createId(),
+    name,
+    trackIds: [...trackIds],
+    createdAt: Date.now(),
+  };
+  state.playlists.push(playlist);
+  savePlaylist(playlist);
+  return playlist;
+}
+
+function promptPlaylistName(initial) {
+  const name = window.prompt(t("playlist.namePrompt"), initial || "");
+  return name && name.trim() ? name.trim() : null;
+}
+
+function handleNewPlaylist() {
+  const name = promptPlaylistName(t("playlist.defaultName", { n: state.playlists.length + 1 }));
+  if (!name) return null;
+  const playlist = createPlaylist(name);
+  selectPlaylist(playlist.id);
+  return playlist;
+}
+
+function handleRenamePlaylist() {
+  const playlist = getActivePlaylist();
+  if (!playlist) return;
+  const name = promptPlaylistName(playlist.name);
+  if (!name) return;
+  playlist.name = name;
+  savePlaylist(playlist);
+  renderPlaylist();
+}
+
+function handleDuplicatePlaylist() {
+  const playlist = getActivePlaylist();
+  if (!playlist) return;
+  const copy = createPlaylist(t("playlist.copyName", { name: playlist.name }), playlist.trackIds);
+  selectPlaylist(copy.id);
+}
+
+function handleDeletePlaylist() {
+  const playlist = getActivePlaylist();
+  if (!playlist) return;
+  if (!window.confirm(t("playlist.confirmDelete", { name: playlist.name }))) {
+    return;
+  }
+  state.playlists = state.playlists.filter((p) => p.id !== playlist.id);
+  idbDeletePlaylist(playlist.id).catch((e) => {
+    console.warn("Unable to delete playlist:", e);
+  });
+  selectPlaylist(null);
+}
+
+function selectPlaylist(id) {
+  state.activePlaylistId = getPlaylist(id) ? id : null;
+  renderPlaylist();
+  saveSession();
+}
+
+function addTrackToPlaylist(playlist, trackId) {
+  if (playlist.trackIds.includes(trackId)) return;
+  playlist.trackIds.push(trackId);
+  savePlaylist(playlist);
+  renderPlaylist();
+}
+
+function removeTrackFromPlaylist(playlist, trackId) {
+  playlist.trackIds = playlist.trackIds.filter((id) => id !== trackId);
+  savePlaylist(playlist);
+  renderPlaylist();
+}
+
+// Play queue
+function playNext(trackId) {
+  state.queue.unshift(trackId);
+  saveQueue();
+  renderQueue();
+}
+
+function addToQueue(trackId) {
+  state.queue.push(trackId);
+  saveQueue();
+  renderQueue();
+}
+
+function removeFromQueue(pos) {
+  state.queue.splice(pos, 1);
+  saveQueue();
+  renderQueue();
+}
+
+function clearQueue() {
+  state.queue = [];
+  saveQueue();
+  renderQueue();
+}
+
+// Drops queued ids whose tracks are no longer in the library
+function pruneQueue() {
+  const known = new Set(state.tracks.map((t) => t.id));
+  const kept = state.queue.filter((id) => known.has(id));
+  if (kept.length !== state.queue.length) {
+    state.queue = kept;
+    saveQueue();
+  }
+}
+
+// Player drawers: only one is open at a time
+const drawers = [
+  { panel: queuePanel, button: btnQueue },
+  { panel: lyricsPanel, button: btnLyrics, onOpen: () => renderLyrics() },
+  { panel: eqPanel, button: btnEq, onOpen: () => renderEqPanel() },
+  { panel: settingsPanel, button: btnSettings, onOpen: () => renderSettingsPanel() },
+  { panel: sleepPanel, button: btnSleep, onOpen: () => renderSleepTimer() },
+  { panel: practicePanel, button: btnPractice, onOpen: () => renderPractice() },
+  { panel: bookmarksPanel, button: btnBookmarks, onOpen: () => renderBookmarks() },
+];
+
+function toggleDrawer(panel, force) {
+  const open = force !== undefined ? force : panel.classList.contains("hidden");
+  drawers.forEach((drawer) => {
+    const show = open && drawer.panel === panel;
+    drawer.panel.classList.toggle("hidden", !show);
+    drawer.button.classList.toggle("active", show);
+    if (show && drawer.onOpen) drawer.onOpen();
+  });
+}
+
+function renderQueue() {
+  queueCountEl.textContent = state.queue.length || "";
+  queueListEl.innerHTML = "";
+  if (!state.queue.length) {
+    queueListEl.appendChild(buildEmptyItem(t("queue.empty"), t("queue.emptyHint"), false));
+    return;
+  }
+  state.queue.forEach((id, pos) => {
+    const track = state.tracks.find((t) => t.id === id);
+    if (!track) return;
+    const li = buildTrackItem(track, { menu: false });
+    li.dataset.pos = pos;
+    li.draggable = true;
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "more-btn";
+    remove.title = t("queue.remove");
+    remove.textContent = "✕";
+    remove.addEventListener("click", (e) => {
+      e.stopPropagation();
+      removeFromQueue(pos);
+    });
+    li.querySelector(".meta").appendChild(remove);
+    li.addEventListener("click", () => {
+      state.queue.splice(pos, 1);
+      saveQueue();
+      renderQueue();
+      const idx = state.tracks.indexOf(track);
+      if (idx >= 0) playIndex(idx, { fromQueue: true });
+    });
+    queueListEl.appendChild(li);
+  });
+}
+
+// Drag-to-reorder for list elements whose items carry data-pos
+function enableDragReorder(listEl, onMove) {
+  let fromPos = null;
+
+  const clearMarkers = () => {
+    listEl
+      .querySelectorAll(".drop-before, .drop-after")
+      .forEach((el) => el.classList.remove("drop-before", "drop-after"));
+  };
+
+  listEl.addEventListener("dragstart", (e) => {
+    const li = e.target.closest("[data-pos]");
+    if (!li || !li.draggable) return;
+    fromPos = Number(li.dataset.pos);
+    li.classList.add("dragging");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(fromPos));
+  });
+
+  listEl.addEventListener("dragover", (e) => {
+    if (fromPos === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+    clearMarkers();
+    const li = e.target.closest("[data-pos]");
+    if (!li) return;
+    const rect = li.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    li.classList.add(after ? "drop-after" : "drop-before");
+  });
+
+  listEl.addEventListener("drop", (e) => {
+    if (fromPos === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const li = e.target.closest("[data-pos]");
+    if (li) {
+      const rect = li.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      let toPos = Number(li.dataset.pos) + (after ? 1 : 0);
+      if (toPos > fromPos) toPos -= 1;
+      if (toPos !== fromPos) onMove(fromPos, toPos);
+    }
+    clearMarkers();
+    fromPos = null;
+  });
+
+  listEl.addEventListener("dragend", () => {
+    listEl.querySelectorAll(".dragging").forEach((el) => el.classList.remove("dragging"));
+    clearMarkers();
+    fromPos = null;
+  });
+}
+
+function moveItem(list, from, to) {
+  const [item] = list.splice(from, 1);
+  list.splice(to, 0, item);
+}
+
+function moveQueueItem(from, to) {
+  moveItem(state.queue, from, to);
+  saveQueue();
+  renderQueue();
+}
+
+// Reorders the visible list: the active playlist, or the library itself
+function movePlaylistItem(from, to) {
+  const playlist = getActivePlaylist();
+  if (playlist) {
+    const ids = getListIndices(playlist).map((i) => state.tracks[i].id);
+    moveItem(ids, from, to);
+    playlist.trackIds = ids;
+    savePlaylist(playlist);
+  } else {
+    const current = state.tracks[state.currentIndex];
+    moveItem(state.tracks, from, to);
+    if (current) state.currentIndex = state.tracks.indexOf(current);
+    saveTracks();
+  }
+  renderPlaylist();
+}
+
+// Library removal
+function resetNowPlaying() {
+  finishPlay(false);
+  finishTransition();
+  cancelPreload();
+  delete audio.dataset.trackId;
+  audio.removeAttribute("src");
+  audio.load();
+  // Marked so a language change re-translates the placeholder
+  trackTitleEl.dataset.i18n = "player.noTrack";
+  trackSubtitleEl.dataset.i18n = "player.addSongsHint";
+  trackTitleEl.textContent = t("player.noTrack");
+  trackSubtitleEl.textContent = t("player.addSongsHint");
+  applyCover(trackCoverEl, null);
+  totalTimeEl.textContent = "0:00";
+  currentTimeEl.textContent = "0:00";
+  seekBar.value = 0;
+  drawSeekWave();
+  clearResume();
+  setLyrics(null, null);
+  applyPractice(null);
+  renderBookmarks();
+  updateMediaMetadata(null);
+  updateMediaPlaybackState();
+  saveSession();
+}
+
+async function removeTracks(ids) {
+  const removing = new Set(ids);
+  if (!removing.size) return;
+
+  const current = state.tracks[state.currentIndex] || null;
+  const removedCurrent = !!current && removing.has(current.id);
+  const wasPlaying = state.isPlaying;
+
+  // Next surviving track in the current list takes over from a removed one
+  let successor = null;
+  if (removedCurrent) {
+    const context = getContextIndices().map((i) => state.tracks[i]);
+    const pos = context.indexOf(current);
+    const ordered = [...context.slice(pos + 1), ...context.slice(0, pos)];
+    successor = ordered.find((t) => !removing.has(t.id)) || null;
+    if (!successor) {
+      successor = state.tracks.find((t) => !removing.has(t.id)) || null;
+    }
+  }
+
+  state.tracks
+    .filter((t) => removing.has(t.id))
+    .forEach((t) => {
+      if (t.url) URL.revokeObjectURL(t.url);
+      if (t.coverUrl) URL.revokeObjectURL(t.coverUrl);
+    });
+  state.tracks = state.tracks.filter((t) => !removing.has(t.id));
+  state.recents = state.recents.filter((t) => !removing.has(t.id));
+  state.queue = state.queue.filter((id) => !removing.has(id));
+  state.playlists.forEach((playlist) => {
+    const kept = playlist.trackIds.filter((id) => !removing.has(id));
+    if (kept.length !== playlist.trackIds.length) {
+      playlist.trackIds = kept;
+      savePlaylist(playlist);
+    }
+  });
+  removing.forEach((id) => state.selectedIds.delete(id));
+  removing.forEach((id) => delete practiceByTrack[id]);
+  removing.forEach((id) => delete longFormByTrack[id]);
+  saveLongFormState();
+
+  if (removedCurrent) {
+    pause();
+    if (successor) {
+      loadTrack(state.tracks.indexOf(successor));
+      if (wasPlaying) play();
+    } else {
+      state.currentIndex = 0;
+      resetNowPlaying();
+    }
+  } else if (current) {
+    state.currentIndex = state.tracks.indexOf(current);
+  }
+
+  saveTracks();
+  saveRecents();
+  saveQueue();
+  savePracticeSettings();
+  renderPlaylist();
+  renderHome();
+  renderQueue();
+  profileCount.textContent = state.tracks.length;
+
+  for (const id of removing) {
+    try {
+      await idbDeleteTrack(id);
+    } catch (e) {
+      console.warn("Unable to delete track from IndexedDB:", e);
+    }
+  }
+  if (state.currentTab === "profile") renderStorage();
+}
+
+function confirmRemoveTracks(ids) {
+  const names = ids
+    .map((id) => state.tracks.find((t) => t.id === id))
+    .filter(Boolean)
+    .map((t) => t.name);
+  if (!names.length) return;
+  const question =
+    names.length === 1
+      ? t("track.confirmDelete", { name: names[0] })
+      : t("track.confirmDeleteMany", { count: names.length });
+  if (!window.confirm(question)) return;
+  removeTracks(ids);
+}
+
+function setSelecting(on) {
+  state.isSelecting = on;
+  state.selectedIds.clear();
+  renderPlaylist();
+}
+
+function toggleSelected(trackId) {
+  if (state.selectedIds.has(trackId)) state.selectedIds.delete(trackId);
+  else state.selectedIds.add(trackId);
+  renderPlaylist();
+}
+
+function handleRemoveSelected() {
+  confirmRemoveTracks([...state.selectedIds]);
+}
+
+// Storage view (Profile tab)
+async function ensureTrackSizes() {
+  let changed = false;
+  for (const t of state.tracks) {
+    if (t.size) continue;
+    try {
+      const rec = await idbGetTrack(t.id);
+      if (rec && rec.blob) {
+        t.size = rec.blob.size + (rec.cover ? rec.cover.size : 0);
+        changed = true;
+      }
+    } catch (e) {
+      console.warn("Could not read track size:", e);
+    }
+  }
+  if (changed) saveTracks();
+}
+
+async function renderStorage() {
+  await ensureTrackSizes();
+  const total = state.tracks.reduce((sum, t) => sum + (t.size || 0), 0);
+  let summary = t("storage.library", { size: formatBytes(total), songs: t("count.songs", { count: state.tracks.length }) });
+  let pct = 0;
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      if (quota) {
+        summary += ` • ${t("storage.site", { used: formatBytes(usage), quota: formatBytes(quota) })}`;
+        pct = (usage / quota) * 100;
+      }
+    } catch (e) {
+      console.warn("Storage estimate failed:", e);
+    }
+  }
+  storageSummaryEl.textContent = summary;
+  storageMeterFill.style.width = `${Math.min(100, pct).toFixed(1)}%`;
+
+  storageListEl.innerHTML = "";
+  [...state.tracks]
+    .sort((a, b) => (b.size || 0) - (a.size || 0))
+    .forEach((track) => {
+      const li = document.createElement("li");
+      li.className = "playlist-item";
+      const title = document.createElement("span");
+      title.className = "title";
+      title.textContent = track.name;
+      const meta = document.createElement("span");
+      meta.className = "meta";
+      const size = document.createElement("span");
+      size.textContent = formatBytes(track.size);
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "more-btn";
+      del.title = t("track.delete");
+      del.textContent = "✕";
+      del.addEventListener("click", () => confirmRemoveTracks([track.id]));
+      meta.appendChild(size);
+      meta.appendChild(del);
+      li.appendChild(title);
+      li.appendChild(meta);
+      storageListEl.appendChild(li);
+    });
+}
+
+// IndexedDB records with no entry in the saved track list
+async function findOrphanRecords() {
+  const known = new Set(state.tracks.map((t) => t.id));
+  const keys = await idbGetAllTrackKeys();
+  const orphans = [];
+  for (const key of keys) {
+    if (known.has(key)) continue;
+    const rec = await idbGetTrack(key);
+    if (rec) orphans.push(rec);
+  }
+  return orphans;
+}
+
+async function restoreOrphan(rec) {
+  const track = {
+    id: rec.id,
+    name: rec.name,
+    fileName: rec.fileName || rec.name,
+    size: rec.blob ? rec.blob.size : null,
+    url: rec.blob ? URL.createObjectURL(rec.blob) : null,
+    coverUrl: rec.cover ? URL.createObjectURL(rec.cover) : null,
+    duration: null,
+    chapters: rec.chapters,
+  };
+  applyTags(track, rec.tags || {});
+  state.tracks.push(track);
+  saveTracks();
+  renderPlaylist();
+  profileCount.textContent = state.tracks.length;
+}
+
+async function handleFindOrphans() {
+  orphanListEl.innerHTML = "";
+  orphanListEl.classList.remove("hidden");
+  let orphans;
+  try {
+    orphans = await findOrphanRecords();
+  } catch (e) {
+    console.warn("Orphan scan failed:", e);
+    orphans = [];
+  }
+
+  if (!orphans.length) {
+    const li = document.createElement("li");
+    li.className = "playlist-item";
+    li.style.opacity = "0.6";
+    li.textContent = t("storage.noOrphans");
+    orphanListEl.appendChild(li);
+    return;
+  }
+
+  orphans.forEach((rec) => {
+    const li = document.createElement("li");
+    li.className = "playlist-item";
+    const title = document.createElement("span");
+    title.className = "title";
+    title.textContent = rec.name || rec.id;
+    const meta = document.createElement("span");
+    meta.className = "meta";
+    const size = document.createElement("span");
+    size.textContent = formatBytes(rec.blob ? rec.blob.size : 0);
+    const restore = document.createElement("button");
+    restore.type = "button";
+    restore.className = "more-btn";
+    restore.title = t("storage.restoreOrphan");
+    restore.textContent = "↺";
+    restore.addEventListener("click", async () => {
+      await restoreOrphan(rec);
+      li.remove();
+      renderStorage();
+    });
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "more-btn";
+    del.title = t("storage.deleteOrphan");
+    del.textContent = "✕";
+    del.addEventListener("click", async () => {
+      try {
+        await idbDeleteTrack(rec.id);
+        li.remove();
+        renderStorage();
+      } catch (e) {
+        console.warn("Unable to delete orphan:", e);
+      }
+    });
+    meta.appendChild(size);
+    meta.appendChild(restore);
+    meta.appendChild(del);
+    li.appendChild(title);
+    li.appendChild(meta);
+    orphanListEl.appendChild(li);
+  });
+
+  const total = orphans.reduce((sum, rec) => sum + (rec.blob ? rec.blob.size : 0), 0);
+  const li = document.createElement("li");
+  li.className = "playlist-item";
+  const label = document.createElement("span");
+  label.className = "title";
+  label.textContent = t("storage.orphans", { count: orphans.length, size: formatBytes(total) });
+  const delAll = document.createElement("button");
+  delAll.type = "button";
+  delAll.className = "btn small-btn";
+  delAll.textContent = t("storage.deleteAll");
+  delAll.addEventListener("click", async () => {
+    for (const rec of orphans) {
+      try {
+        await idbDeleteTrack(rec.id);
+      } catch (e) {
+        console.warn("Unable to delete orphan:", e);
+      }
+    }
+    orphanListEl.innerHTML = "";
+    orphanListEl.classList.add("hidden");
+    renderStorage();
+  });
+  li.appendChild(label);
+  li.appendChild(delAll);
+  orphanListEl.prepend(li);
+}
+
+// Track context menu ("⋯" on list items)
+let trackMenuEl = null;
+
+function closeTrackMenu() {
+  if (trackMenuEl) {
+    trackMenuEl.remove();
+    trackMenuEl = null;
+  }
+}
+
+function openTrackMenu(anchor, track) {
+  const items = [
+    { label: t("track.playNext"), action: () => playNext(track.id) },
+    { label: t("track.addToQueue"), action: () => addToQueue(track.id) },
+  ];
+  state.playlists.forEach((playlist) => {
+    if (playlist.trackIds.includes(track.id)) return;
+    items.push({
+      label: t("track.addToPlaylist", { name: playlist.name }),
+      action: () => addTrackToPlaylist(playlist, track.id),
+    });
+  });
+  items.push({
+    label: t("track.addToNewPlaylist"),
+    action: () => {
+      const name = promptPlaylistName(track.name);
+      if (name) createPlaylist(name, [track.id]);
+      renderPlaylist();
+    },
+  });
+  const active = getActivePlaylist();
+  if (active && active.trackIds.includes(track.id)) {
+    items.push({
+      label: t("track.removeFromPlaylist", { name: active.name }),
+      action: () => removeTrackFromPlaylist(active, track.id),
+    });
+  }
+  items.push({
+    label: t("track.editLyrics"),
+    action: () => openLyricsEditor(track),
+  });
+  const longForm = isLongForm(track);
+  if (longForm) {
+    const { finished } = longFormEntry(track.id);
+    items.push({
+      label: finished ? t("longform.markUnfinished") : t("longform.markFinished"),
+      action: () => setLongFormFinished(track, !finished),
+    });
+  }
+  items.push({
+    label: longForm ? t("longform.menuOff") : t("longform.menuOn"),
+    action: () => setLongForm(track, !longForm),
+  });
+  items.push({
+    label: t("track.reanalyse"),
+    action: () => queueTrackAnalysis([track.id], { first: true }),
+  });
+  items.push({
+    label: t("track.delete"),
+    action: () => confirmRemoveTracks([track.id]),
+  });
+  showMenu(anchor, items);
+}
+
+// Popup menu of { label, action } items next to the anchor element
+function showMenu(anchor, items) {
+  closeTrackMenu();
+  trackMenuEl = document.createElement("div");
+  trackMenuEl.className = "track-menu";
+  items.forEach((item) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = item.label;
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      closeTrackMenu();
+      item.action();
+    });
+    trackMenuEl.appendChild(btn);
+  });
+  document.body.appendChild(trackMenuEl);
+
+  const rect = anchor.getBoundingClientRect();
+  const menuRect = trackMenuEl.getBoundingClientRect();
+  const left = Math.min(rect.right - menuRect.width, window.innerWidth - menuRect.width - 8);
+  const top =
+    rect.bottom + menuRect.height > window.innerHeight
+      ? rect.top - menuRect.height
+      : rect.bottom;
+  trackMenuEl.style.left = `${Math.max(8, left)}px`;
+  trackMenuEl.style.top = `${Math.max(8, top)}px`;
+}
+
+document.addEventListener("click", (e) => {
+  if (trackMenuEl && !trackMenuEl.contains(e.target)) closeTrackMenu();
+});
+window.addEventListener("resize", closeTrackMenu);
+
+// Modal dialogs, e.g. for import reports and long-running jobs
+let dialogEl = null;
+let dialogDismiss = null; // resolves the open dialog when it is dismissed
+
+function closeDialog() {
+  dialogDismiss = null;
+  if (dialogEl) {
+    dialogEl.remove();
+    dialogEl = null;
+  }
+}
+
+// Backdrop clicks and Escape only close dialogs that allow it
+function dismissDialog() {
+  const dismiss = dialogDismiss;
+  if (!dismiss) return;
+  closeDialog();
+  dismiss();
+}
+
+function openModal(title, onDismiss) {
+  dismissDialog();
+  closeDialog();
+  dialogEl = document.createElement("div");
+  dialogEl.className = "modal-backdrop";
+  dialogEl.addEventListener("click", (e) => {
+    if (e.target === dialogEl) dismissDialog();
+  });
+  dialogDismiss = onDismiss;
+
+  const box = document.createElement("div");
+  box.className = "modal";
+  box.setAttribute("role", "dialog");
+  box.setAttribute("aria-modal", "true");
+  const heading = document.createElement("div");
+  heading.className = "modal-title";
+  heading.textContent = title;
+  box.appendChild(heading);
+  dialogEl.appendChild(box);
+  document.body.appendChild(dialogEl);
+  return box;
+}
+
+function appendModalActions(box, buttons) {
+  const actions = document.createElement("div");
+  actions.className = "modal-actions";
+  buttons.forEach((btn) => actions.appendChild(btn));
+  box.appendChild(actions);
+}
+
+function buildModalButton(label, onClick, danger = false) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = danger ? "btn small-btn danger-btn" : "btn small-btn";
+  btn.textContent = label;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+// Resolves with the value of the chosen action, or undefined when dismissed
+function showDialog({ title, message = "", items = [], actions = [{ label: t("common.ok") }] }) {
+  return new Promise((resolve) => {
+    const box = openModal(title, () => resolve(undefined));
+    if (message) {
+      const text = document.createElement("p");
+      text.className = "modal-message";
+      text.textContent = message;
+      box.appendChild(text);
+    }
+    if (items.length) {
+      const list = document.createElement("ul");
+      list.className = "modal-list";
+      items.forEach((item) => {
+        const li = document.createElement("li");
+        li.textContent = item;
+        list.appendChild(li);
+      });
+      box.appendChild(list);
+    }
+    const buttons = actions.map((action) =>
+      buildModalButton(
+        action.label,
+        () => {
+          closeDialog();
+          resolve(action.value);
+        },
+        action.danger
+      )
+    );
+    appendModalActions(box, buttons);
+    buttons[buttons.length - 1].focus();
+  });
+}
+
+const PROGRESS_LOG_LIMIT = 500;
+
+// Progress for long jobs; the job polls `cancelled` between steps
+function showProgressDialog(title) {
+  const box = openModal(title, null);
+  const label = document.createElement("p");
+  label.className = "modal-message";
+  label.textContent = t("common.preparing");
+  const bar = document.createElement("progress");
+  bar.className = "modal-progress";
+  bar.max = 1;
+  bar.value = 0;
+  box.appendChild(label);
+  box.appendChild(bar);
+
+  let log = null;
+
+  const progress = {
+    cancelled: false,
+    update(done, total, text) {
+      bar.value = total ? Math.min(1, done / total) : 0;
+      if (text) label.textContent = text;
+    },
+    // Per-item status lines, e.g. one per imported file
+    log(text, status) {
+      if (!log) {
+        log = document.createElement("ul");
+        log.className = "modal-list modal-log";
+        bar.after(log);
+      }
+      const li = document.createElement("li");
+      li.textContent = text;
+      if (status) li.dataset.status = status;
+      log.appendChild(li);
+      if (log.children.length > PROGRESS_LOG_LIMIT) log.firstChild.remove();
+      log.scrollTop = log.scrollHeight;
+    },
+    close() {
+      if (dialogEl && dialogEl.contains(box)) closeDialog();
+    },
+  };
+  const cancel = buildModalButton(t("common.cancel"), () => {
+    progress.cancelled = true;
+    cancel.disabled = true;
+    label.textContent = t("common.cancelling");
+  });
+  appendModalActions(box, [cancel]);
+  return progress;
+}
+
+document.addEventListener("keydown", (e) => {
+  if (dialogEl && e.key === "Escape") dismissDialog();
+});
+
+function renderPlaylistBrowser() {
+  playlistChipsEl.innerHTML = "";
+  const lists = [
+    { id: null, name: t("playlist.allSongs"), count: state.tracks.length },
+    ...state.playlists.map((p) => ({
+      id: p.id,
+      name: p.name,
+      count: p.trackIds.length,
+    })),
+  ];
+  lists.forEach((list) => {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "playlist-chip";
+    chip.classList.toggle("active", list.id === state.activePlaylistId);
+    chip.textContent = `${list.name} · ${formatNumber(list.count)}`;
+    chip.addEventListener("click", () => selectPlaylist(list.id));
+    playlistChipsEl.appendChild(chip);
+  });
+
+  const hasPlaylist = !!getActivePlaylist();
+  btnPlaylistExport.disabled = !getListIndices(getActivePlaylist()).length;
+  btnPlaylistRename.disabled = !hasPlaylist;
+  btnPlaylistDuplicate.disabled = !hasPlaylist;
+  btnPlaylistDelete.disabled = !hasPlaylist;
+
+  btnSelectMode.classList.toggle("active", state.isSelecting);
+  btnSelectMode.textContent = t(state.isSelecting ? "playlist.done" : "playlist.select");
+  btnRemoveSelected.hidden = !state.isSelecting;
+  btnRemoveSelected.disabled = !state.selectedIds.size;
+  btnRemoveSelected.textContent = t("playlist.deleteSelected", { count: state.selectedIds.size });
+}
+
+// Placeholder row for an empty list
+function buildEmptyItem(title, hint, dot = true) {
+  const empty = document.createElement("li");
+  empty.className = "playlist-item";
+  empty.style.opacity = "0.65";
+  const titleEl = document.createElement("span");
+  titleEl.className = "title";
+  titleEl.textContent = title;
+  const meta = document.createElement("span");
+  meta.className = "meta";
+  if (dot) {
+    const dotEl = document.createElement("span");
+    dotEl.className = "dot";
+    meta.appendChild(dotEl);
+  }
+  const hintEl = document.createElement("span");
+  hintEl.textContent = hint;
+  meta.appendChild(hintEl);
+  empty.appendChild(titleEl);
+  empty.appendChild(meta);
+  return empty;
+}
+
+// Rendering playlist
+function renderPlaylist() {
+  renderPlaylistBrowser();
+  playlistEl.innerHTML = "";
+  const playlist = getActivePlaylist();
+  if (playlist && state.tracks.length > 0 && !getListIndices(playlist).length) {
+    playlistEl.appendChild(buildEmptyItem(t("playlist.emptyList"), t("playlist.emptyListHint")));
+    return;
+  }
+  if (state.tracks.length === 0) {
+    playlistEl.appendChild(buildEmptyItem(t("playlist.emptyLibrary"), t("playlist.emptyLibraryHint")));
+    return;
+  }
+
+  getListIndices(playlist).forEach((index, pos) => {
+    const track = state.tracks[index];
+    const li = buildTrackItem(track);
+    li.dataset.index = index;
+    li.dataset.pos = pos;
+    li.draggable = !state.isSelecting;
+
+    if (index === state.currentIndex) {
+      li.classList.add("active");
+    }
+
+    if (state.isSelecting) {
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.className = "select-box";
+      box.checked = state.selectedIds.has(track.id);
+      box.tabIndex = -1;
+      li.classList.add("selectable");
+      li.classList.toggle("selected", box.checked);
+      li.prepend(box);
+      li.addEventListener("click", () => toggleSelected(track.id));
+    } else {
+      li.addEventListener("click", () => {
+        playIndex(index, { fromList: true });
+      });
+    }
+
+    playlistEl.appendChild(li);
+  });
+}
+
+function buildMoreButton(track) {
+  const more = document.createElement("button");
+  more.type = "button";
+  more.className = "more-btn";
+  more.title = t("track.more");
+  more.textContent = "⋯";
+  more.addEventListener("click", (e) => {
+    e.stopPropagation();
+    openTrackMenu(more, track);
+  });
+  return more;
+}
+
+// Shared row markup for the playlist, queue and search results
+function buildTrackItem(track, { menu = true } = {}) {
+  const li = document.createElement("li");
+  li.className = "playlist-item";
+  li.dataset.trackId = track.id;
+
+  const info = document.createElement("span");
+  info.className = "info";
+
+  const title = document.createElement("span");
+  title.className = "title";
+  title.textContent = track.name;
+  info.appendChild(title);
+
+  if (track.artist) {
+    const artist = document.createElement("span");
+    artist.className = "artist";
+    artist.textContent = track.artist;
+    info.appendChild(artist);
+  }
+  if (isLongForm(track)) info.appendChild(buildLongFormStatus(track));
+
+  const meta = document.createElement("span");
+  meta.className = "meta";
+
+  const dot = document.createElement("span");
+  dot.className = "dot";
+
+  const durationSpan = document.createElement("span");
+  durationSpan.textContent = track.duration
+    ? formatTime(track.duration)
+    : "--:--";
+
+  meta.appendChild(dot);
+  meta.appendChild(durationSpan);
+  if (menu) meta.appendChild(buildMoreButton(track));
+
+  li.appendChild(info);
+  li.appendChild(meta);
+  return li;
+}
+
+function renderHome() {
+  // Recents
+  recentGrid.innerHTML = "";
+  if (!state.recents.length) {
+    recentGrid.textContent = t("home.recentEmpty");
+    recentGrid.classList.add("empty-placeholder");
+  } else {
+    recentGrid.classList.remove("empty-placeholder");
+    state.recents.forEach((t) => {
+      const track = state.tracks.find((tr) => tr.id === t.id);
+      const card = document.createElement("div");
+      card.className = "recent-card";
+      const cover = document.createElement("div");
+      cover.className = "cover-sm";
+      applyCover(cover, track);
+      const name = document.createElement("div");
+      name.className = "track-name";
+      name.textContent = track ? track.name : t.name;
+      const sub = document.createElement("div");
+      sub.className = "track-sub";
+      const duration = t.duration ? formatTime(t.duration) : "—";
+      sub.textContent = track && track.artist ? `${track.artist} • ${duration}` : duration;
+      const textWrap = document.createElement("div");
+      textWrap.style.minWidth = "0";
+      textWrap.appendChild(name);
+      textWrap.appendChild(sub);
+      card.appendChild(textWrap);
+      card.appendChild(cover);
+      if (track) card.appendChild(buildMoreButton(track));
+      card.addEventListener("click", () => {
+        const idx = state.tracks.findIndex((tr) => tr.id === t.id);
+        if (idx >= 0) playIndex(idx);
+      });
+      recentGrid.appendChild(card);
+    });
+  }
+
+  // Recommendations from the library and the play log
+  const recommended = buildRecommendations(state.tracks, state.plays, Date.now());
+  recommendGrid.innerHTML = "";
+  recommendGrid.classList.toggle("empty-placeholder", !recommended.length);
+  if (!recommended.length) {
+    recommendGrid.textContent = t(state.tracks.length ? "home.recommendListen" : "home.recommendAdd");
+    return;
+  }
+  recommended.forEach((rec) => {
+    const track = state.tracks.find((t) => t.id === rec.trackId);
+    const { key, params } = rec.reason;
+    const reasonText = t(`recommend.${key}`, "hour" in params ? { ...params, hour: formatHour(params.hour) } : params);
+    const card = document.createElement("div");
+    card.className = "recommend-card";
+    card.title = reasonText;
+    const cover = document.createElement("div");
+    cover.className = "cover-lg";
+    applyCover(cover, track);
+    const name = document.createElement("div");
+    name.className = "track-name";
+    name.textContent = track.name;
+    const sub = document.createElement("div");
+    sub.className = "track-sub";
+    sub.textContent = track.artist || t("home.unknownArtist");
+    const reason = document.createElement("div");
+    reason.className = "track-reason";
+    reason.textContent = reasonText;
+    card.appendChild(cover);
+    card.appendChild(name);
+    card.appendChild(sub);
+    card.appendChild(reason);
+    card.appendChild(buildMoreButton(track));
+    card.addEventListener("click", () => {
+      const idx = state.tracks.indexOf(track);
+      if (idx >= 0) playIndex(idx);
+    });
+    recommendGrid.appendChild(card);
+  });
+}
+
+// Load specific track without autoplay
+function loadTrack(index, { handoff = false } = {}) {
+  if (!state.tracks[index]) return;
+  rememberProgress();
+  state.currentIndex = index;
+  const track = state.tracks[index];
+  if (!track.url) {
+    console.warn("Track URL missing (not yet hydrated):", track);
+    return;
+  }
+  let preloaded = false;
+  if (preloadedTrackId === track.id) {
+    // Already buffered in the standby deck: switch decks instead of reloading
+    const previous = audio;
+    audio = standbyDeck();
+    preloadedTrackId = null;
+    preloaded = true;
+    if (!handoff) {
+      silenceDeck(previous);
+      resetDeckGain(audio);
+    }
+  } else {
+    cancelPreload();
+    audio.src = track.url;
+  }
+  audio.dataset.trackId = track.id;
+  applyNormalization(audio, track);
+  audio.loop = deckShouldLoop();
+  clearResume();
+  loadLyrics(track);
+  applyPractice(track.id);
+  if (track.chapters === undefined) backfillChapters(track);
+  delete trackTitleEl.dataset.i18n;
+  delete trackSubtitleEl.dataset.i18n;
+  trackTitleEl.textContent = track.name;
+  trackSubtitleEl.textContent = trackSubtitle(track);
+  applyCover(trackCoverEl, track);
+  updateMediaMetadata(track);
+
+  totalTimeEl.textContent = track.duration
+    ? formatTime(track.duration)
+    : "0:00";
+
+  seekBar.value = 0;
+  currentTimeEl.textContent = "0:00";
+  resumeLongForm(track, { handoff });
+  renderBookmarks();
+  // Tracks imported before waveforms existed get analysed when first loaded
+  if (needsAnalysis(track)) queueTrackAnalysis([track.id], { first: true });
+
+  updatePlaylistActive();
+  saveSession();
+  // A preloaded deck has already fired loadedmetadata
+  if (preloaded && audio.readyState >= 1) handleLoadedMetadata();
+  // WebAudio graph is initialized on first user gesture (play)
+}
+
+// Load + play
+function playIndex(index, { fromQueue = false, fromHistory = false, fromList = false, handoff = false } = {}) {
+  if (!state.tracks[index]) return;
+  if (!handoff) finishTransition();
+  const id = state.tracks[index].id;
+  // A song picked from the open list plays through that list; one picked
+  // elsewhere (home, search) stays in the current list if it is part of it
+  if (fromList) setPlaybackContext(state.activePlaylistId, id);
+  else if (!fromQueue && !getContextIds().includes(id)) setPlaybackContext(null, id);
+  if (!fromQueue) state.contextAnchorId = id;
+  if (!fromHistory && state.history[state.history.length - 1] !== id) {
+    state.history.push(id);
+    state.history = state.history.slice(-HISTORY_LIMIT);
+  }
+  saveShuffleState();
+  loadTrack(index, { handoff });
+  addRecent(state.tracks[index]);
+  play();
+}
+
+function updatePlaylistActive() {
+  const items = playlistEl.querySelectorAll(".playlist-item");
+  items.forEach((li) => li.classList.remove("active"));
+  if (!state.tracks.length) return;
+  const current = playlistEl.querySelector(
+    `.playlist-item[data-index="${state.currentIndex}"]`
+  );
+  if (current) current.classList.add("active");
+}
+
+// Playback controls
 function play() {
   if (!state.tracks.length) return;
   if (!state.tracks[state.currentIndex]?.url) return;
   // Ensure WebAudio graph is created/resumed as part of a user gesture
   ensureAudioGraph();
 
-  // Some browsers start AudioContext in 'suspended' until user gesture
-  if (audioCtx && audioCtx.state === "suspended") {
-    audioCtx.resume().catch(() => {});
+  // Some browsers start AudioContext in 'suspended' until user gesture
+  if (audioCtx && audioCtx.state === "suspended") {
+    audioCtx.resume().catch(() => {});
+  }
+
+  btnResume.hidden = true;
+  audio.play().then(() => {
+    state.isPlaying = true;
+    btnPlay.textContent = "⏸";
+    startVisualizer();
+    startTransitionWatcher();
+    updateMediaPlaybackState();
+  }).catch((err) => {
+    console.warn("Play failed:", err);
+  });
+}
+
+function pause() {
+  cancelCountIn();
+  finishTransition();
+  stopTransitionWatcher();
+  audio.pause();
+  state.isPlaying = false;
+  btnPlay.textContent = "▶";
+  stopVisualizer();
+  updateMediaPlaybackState();
+  saveSession();
+  rememberProgress();
+}
+
+function togglePlayPause() {
+  if (!state.tracks.length) return;
+  if (state.isPlaying) pause();
+  else play();
+}
+
+// Position in the list to continue from (queued tracks don't move it)
+function getContextAnchorIndex() {
+  const idx = state.tracks.findIndex((t) => t.id === state.contextAnchorId);
+  return idx >= 0 ? idx : state.currentIndex;
+}
+
+// Works out what "next" would play without changing any state, so the
+// crossfade engine can preload it; applyNextStep() commits the choice
+let pendingShuffleOrder = null;
+
+function resolveNextStep() {
+  const known = new Set(state.tracks.map((t) => t.id));
+  const queuePos = state.queue.findIndex((id) => known.has(id));
+  if (queuePos >= 0) {
+    return { index: indexOfTrackId(state.queue[queuePos]), queuePos };
+  }
+
+  const context = getContextIndices();
+  if (!context.length) return null;
+
+  if (state.isShuffle) {
+    syncShuffleOrder();
+    const order = state.shuffleOrder;
+    const pos = order.indexOf(state.contextAnchorId);
+    if (pos < order.length - 1) return { index: indexOfTrackId(order[pos + 1]) };
+    if (state.repeatMode !== "all") return null;
+
+    // Every track has played once: start a fresh pass
+    if (!pendingShuffleOrder || pendingShuffleOrder.length !== order.length) {
+      let fresh = shuffleArray(order);
+      if (fresh.length > 1 && fresh[0] === state.contextAnchorId) {
+        fresh = [...fresh.slice(1), fresh[0]];
+      }
+      pendingShuffleOrder = fresh;
+    }
+    return { index: indexOfTrackId(pendingShuffleOrder[0]), shuffleOrder: pendingShuffleOrder };
+  }
+
+  const pos = context.indexOf(getContextAnchorIndex());
+  if (pos < context.length - 1) return { index: context[pos + 1] };
+  if (state.repeatMode === "all") return { index: context[0] };
+  return null;
+}
+
+function applyNextStep(step) {
+  if (step.queuePos !== undefined) {
+    state.queue.splice(0, step.queuePos + 1);
+    saveQueue();
+    renderQueue();
+  }
+  if (step.shuffleOrder) {
+    state.shuffleOrder = step.shuffleOrder;
+    pendingShuffleOrder = null;
+  }
+}
+
+function nextTrack() {
+  if (!state.tracks.length) return;
+  const step = resolveNextStep();
+  if (!step) {
+    if (!getContextIndices().length) return;
+    // off or one, just stop if at end
+    audio.currentTime = 0;
+    pause();
+    return;
+  }
+  applyNextStep(step);
+  playIndex(step.index, { fromQueue: step.queuePos !== undefined });
+}
+
+function prevTrack() {
+  if (!state.tracks.length) return;
+  if (audio.currentTime > 3) {
+    audio.currentTime = 0;
+    return;
+  }
+
+  if (state.isShuffle) {
+    prevFromHistory();
+    return;
+  }
+
+  // From a queued track, go back to where the list left off
+  const anchor = getContextAnchorIndex();
+  if (anchor !== state.currentIndex) {
+    playIndex(anchor);
+    return;
+  }
+
+  const context = getContextIndices();
+  if (!context.length) return;
+  const pos = context.indexOf(state.currentIndex);
+  if (pos > 0) {
+    playIndex(context[pos - 1]);
+  } else {
+    playIndex(context[context.length - 1]);
+  }
+}
+
+// Shuffle
+function shuffleArray(list) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function getContextIds() {
+  return getContextIndices().map((i) => state.tracks[i].id);
+}
+
+// New permutation of the list with firstId (if any) kept in front
+function buildShuffleOrder(firstId) {
+  const rest = shuffleArray(getContextIds().filter((id) => id !== firstId));
+  state.shuffleOrder = getContextIds().includes(firstId) ? [firstId, ...rest] : rest;
+  saveShuffleState();
+}
+
+// Keeps the order in step with the list: drops removed tracks and
+// scatters new ones through the part that hasn't played yet
+function syncShuffleOrder() {
+  const ids = getContextIds();
+  const known = new Set(ids);
+  const order = state.shuffleOrder.filter((id) => known.has(id));
+  const inOrder = new Set(order);
+  const pos = order.indexOf(state.contextAnchorId);
+  ids
+    .filter((id) => !inOrder.has(id))
+    .forEach((id) => {
+      const start = pos + 1;
+      const at = start + Math.floor(Math.random() * (order.length - start + 1));
+      order.splice(at, 0, id);
+    });
+  state.shuffleOrder = order;
+}
+
+function indexOfTrackId(id) {
+  return state.tracks.findIndex((t) => t.id === id);
+}
+
+function playTrackId(id, options) {
+  const idx = indexOfTrackId(id);
+  if (idx >= 0) playIndex(idx, options);
+}
+
+function prevFromHistory() {
+  const known = new Set(state.tracks.map((t) => t.id));
+  state.history = state.history.filter((id) => known.has(id));
+  const current = state.tracks[state.currentIndex];
+  if (current && state.history[state.history.length - 1] === current.id) {
+    state.history.pop();
+  }
+  const prevId = state.history[state.history.length - 1];
+  if (!prevId) {
+    audio.currentTime = 0;
+    saveShuffleState();
+    return;
+  }
+  playTrackId(prevId, { fromHistory: true });
+}
+
+function toggleShuffle() {
+  state.isShuffle = !state.isShuffle;
+  btnShuffle.classList.toggle("active", state.isShuffle);
+  if (state.isShuffle) {
+    // Keep the current track and shuffle everything after it
+    const current = state.tracks[state.currentIndex];
+    buildShuffleOrder(current ? current.id : null);
+  } else {
+    state.shuffleOrder = [];
+    saveShuffleState();
+  }
+}
+
+function cycleRepeatMode() {
+  // off -> all -> one -> off
+  if (state.repeatMode === "off") state.repeatMode = "all";
+  else if (state.repeatMode === "all") state.repeatMode = "one";
+  else state.repeatMode = "off";
+
+  renderRepeatMode();
+  saveSession();
+}
+
+function renderRepeatMode() {
+  btnRepeat.classList.toggle("active", state.repeatMode !== "off");
+  // Repeat-one loops seamlessly on the deck itself
+  audio.loop = deckShouldLoop();
+  btnRepeat.textContent =
+    state.repeatMode === "one" ? "🔂" : "🔁";
+}
+
+// Seek + volume
+function handleTimeUpdate() {
+  if (audio.duration) {
+    const pct = (audio.currentTime / audio.duration) * 100;
+    seekBar.value = pct;
+  }
+  currentTimeEl.textContent = formatTime(audio.currentTime);
+  drawSeekWave();
+  updateLyricsHighlight();
+  updateChapterHighlight();
+  trackListening();
+  if (state.isPlaying && Date.now() - lastSessionSave > SESSION_SAVE_INTERVAL_MS) {
+    saveSession();
+    rememberProgress();
+  }
+}
+
+function handleLoadedMetadata() {
+  totalTimeEl.textContent = formatTime(audio.duration);
+
+  const track = state.tracks[state.currentIndex];
+  if (track && !track.duration) {
+    track.duration = audio.duration;
+    saveTracks();
+    renderPlaylist();
+  }
+  applyResumePosition();
+  updateMediaPosition();
+}
+
+function seekTo(time) {
+  if (!audio.duration) return;
+  clearResume();
+  audio.currentTime = Math.max(0, Math.min(audio.duration, time));
+  currentTimeEl.textContent = formatTime(audio.currentTime);
+  drawSeekWave();
+}
+
+function seekBy(delta) {
+  seekTo(audio.currentTime + delta);
+}
+
+function handleSeekInput() {
+  if (!audio.duration) return;
+  const pct = parseFloat(seekBar.value);
+  clearResume();
+  audio.currentTime = (pct / 100) * audio.duration;
+  currentTimeEl.textContent = formatTime(audio.currentTime);
+  drawSeekWave();
+}
+
+// Waveform seek bar: the range input sits invisibly on top for click/drag/keys
+function seekWaveDuration() {
+  const track = state.tracks[state.currentIndex];
+  return audio.duration || (track && track.duration) || 0;
+}
+
+// Measured on resize rather than per draw, which runs on every timeupdate
+let seekWaveWidth = 0;
+let seekWaveHeight = 0;
+
+function resizeSeekWave() {
+  const rect = seekWaveCanvas.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  seekWaveWidth = rect.width;
+  seekWaveHeight = rect.height;
+  seekWaveCanvas.width = Math.round(rect.width * dpr);
+  seekWaveCanvas.height = Math.round(rect.height * dpr);
+  seekWaveCanvas.getContext("2d").setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+function drawSeekWave() {
+  // Not laid out at the last resize (e.g. before the first one)
+  if (!seekWaveWidth || !seekWaveHeight) resizeSeekWave();
+  if (!seekWaveWidth || !seekWaveHeight) return;
+  const ctx = seekWaveCanvas.getContext("2d");
+  const width = seekWaveWidth;
+  const height = seekWaveHeight;
+  const played = (parseFloat(seekBar.value) || 0) / 100;
+  const playedX = played * width;
+  const playedColor = "#00ffc6";
+  const restColor = "rgba(255,255,255,0.22)";
+
+  ctx.clearRect(0, 0, width, height);
+  const track = state.tracks[state.currentIndex];
+  const peaks = track && track.peaks;
+  if (peaks && peaks.length) {
+    const step = WAVEFORM_BAR_WIDTH + WAVEFORM_BAR_GAP;
+    const bars = Math.max(1, Math.floor(width / step));
+    for (let i = 0; i < bars; i++) {
+      const from = Math.floor((i / bars) * peaks.length);
+      const to = Math.max(from + 1, Math.floor(((i + 1) / bars) * peaks.length));
+      let v = 0;
+      for (let j = from; j < to; j++) v = Math.max(v, peaks[j]);
+      const h = Math.max(2, (v / 255) * height);
+      const x = i * step;
+      ctx.fillStyle = x + WAVEFORM_BAR_WIDTH <= playedX ? playedColor : restColor;
+      ctx.fillRect(x, (height - h) / 2, WAVEFORM_BAR_WIDTH, h);
+    }
+  } else {
+    // No waveform yet (or the track was too long to analyse): a plain bar
+    const barHeight = 4;
+    const y = (height - barHeight) / 2;
+    ctx.fillStyle = restColor;
+    ctx.fillRect(0, y, width, barHeight);
+    ctx.fillStyle = playedColor;
+    ctx.fillRect(0, y, playedX, barHeight);
+  }
+
+  const loop = practice.loop;
+  const duration = seekWaveDuration();
+  if (loop && loop.b !== null && duration) {
+    ctx.fillStyle = "rgba(0,255,198,0.14)";
+    ctx.fillRect((loop.a / duration) * width, 0, ((loop.b - loop.a) / duration) * width, height);
+  }
+  positionAbMarkers();
+
+  // Chapter starts as full-height ticks, bookmarks as short ones along the top
+  if (track && duration) {
+    ctx.fillStyle = "rgba(255,255,255,0.55)";
+    (track.chapters || []).forEach(({ start }) => {
+      if (start > 0) ctx.fillRect(Math.round((start / duration) * width), 0, 1, height);
+    });
+    ctx.fillStyle = "#ffd166";
+    (longFormEntry(track.id).bookmarks || []).forEach(({ time }) => {
+      ctx.fillRect(Math.round((time / duration) * width) - 1, 0, 3, Math.min(6, height));
+    });
+  }
+
+  if (seekHoverRatio !== null) {
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.fillRect(Math.round(seekHoverRatio * width), 0, 1, height);
+  }
+}
+
+function handleSeekHover(e) {
+  const rect = seekWaveEl.getBoundingClientRect();
+  const duration = seekWaveDuration();
+  if (!rect.width || !duration) {
+    handleSeekLeave();
+    return;
+  }
+  seekHoverRatio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+  const time = seekHoverRatio * duration;
+  const track = state.tracks[state.currentIndex];
+  const chapters = track && track.chapters;
+  const chapterIndex = chapterIndexAt(chapters, time);
+  seekTooltipEl.textContent = chapterIndex >= 0
+    ? `${formatTime(time)} • ${chapterTitle(chapters, chapterIndex)}`
+    : formatTime(time);
+  seekTooltipEl.hidden = false;
+  const half = seekTooltipEl.offsetWidth / 2;
+  const x = Math.min(rect.width - half, Math.max(half, seekHoverRatio * rect.width));
+  seekTooltipEl.style.left = `${x}px`;
+  drawSeekWave();
+}
+
+function handleSeekLeave() {
+  seekHoverRatio = null;
+  seekTooltipEl.hidden = true;
+  drawSeekWave();
+}
+
+// The sleep timer fades on top of the user's level without moving the slider
+function applyVolume() {
+  const vol = parseFloat(volumeBar.value) * sleepVolumeFactor;
+  decks.forEach((deck) => {
+    deck.volume = Math.min(1, Math.max(0, vol));
+  });
+}
+
+function handleVolumeInput() {
+  applyVolume();
+  saveVolume(parseFloat(volumeBar.value));
+}
+
+// On ended
+function handleEnded() {
+  if (abLoopTrackEnded()) return;
+  rememberProgress();
+  finishPlay(true);
+  if (sleepTimerTrackEnded()) return;
+  if (state.repeatMode === "one") {
+    audio.currentTime = 0;
+    play();
+    return;
+  }
+  nextTrack();
+}
+
+function addRecent(track) {
+  const entry = {
+    id: track.id,
+    name: track.name,
+    duration: track.duration || null,
+  };
+  state.recents = state.recents.filter((t) => t.id !== track.id);
+  state.recents.unshift(entry);
+  state.recents = state.recents.slice(0, 8);
+  saveRecents();
+  renderHome();
+}
+
+// Play-event log: one entry per listen of a track
+async function loadPlays() {
+  try {
+    const plays = await idbGetAllPlays();
+    state.plays = plays.sort((a, b) => a.start - b.start);
+  } catch (e) {
+    console.warn("Unable to load play history:", e);
+  }
+}
+
+function recordPlay(event) {
+  state.plays.push(event);
+  idbAddPlay(event)
+    .then((id) => {
+      event.id = id;
+    })
+    .catch((e) => console.warn("Unable to save play:", e));
+}
+
+// Follows the active deck from timeupdate; seeks do not count as listening
+function trackListening() {
+  const track = state.tracks[state.currentIndex];
+  if (!track || !state.isPlaying) return;
+  const pos = audio.currentTime;
+  if (currentPlay && currentPlay.trackId !== track.id) finishPlay(false);
+  // Repeat-one loops the element without an "ended" event
+  if (currentPlay && currentPlay.lastPos > currentPlay.duration - 1.5 && pos < 1.5) {
+    finishPlay(true);
+  }
+  if (!currentPlay) {
+    currentPlay = {
+      trackId: track.id,
+      start: Date.now(),
+      listened: 0,
+      lastPos: pos,
+      duration: audio.duration || track.duration || 0,
+    };
+    return;
+  }
+  const delta = pos - currentPlay.lastPos;
+  if (delta > 0 && delta < 2 * (audio.playbackRate || 1)) currentPlay.listened += delta;
+  currentPlay.lastPos = pos;
+  if (audio.duration) currentPlay.duration = audio.duration;
+}
+
+function finishPlay(completed) {
+  const play = currentPlay;
+  currentPlay = null;
+  if (!play || play.listened < MIN_PLAY_SEC) return;
+  const skipped =
+    !completed &&
+    (play.duration
+      ? play.listened < play.duration * SKIP_RATIO
+      : play.listened < SKIP_UNKNOWN_DURATION_SEC);
+  recordPlay({
+    trackId: play.trackId,
+    start: play.start,
+    end: Date.now(),
+    listened: Math.round(play.listened * 10) / 10,
+    duration: play.duration ? Math.round(play.duration * 10) / 10 : null,
+    completed: !!completed,
+    skipped,
+  });
+  renderHome();
+  if (state.currentTab === "profile") renderStats();
+}
+
+window.addEventListener("pagehide", () => finishPlay(false));
+
+// Recommendations
+const RECOMMENDATION_LIMIT = 8;
+const RECOMMENDATIONS_PER_KIND = 3;
+
+function trackAddedAt(track) {
+  if (track.addedAt) return track.addedAt;
+  // ids of older imports start with the import timestamp
+  const stamp = parseInt(track.id, 10);
+  return stamp > 1e12 ? stamp : null;
+}
+
+function hourDistance(a, b) {
+  const d = Math.abs(a - b) % 24;
+  return Math.min(d, 24 - d);
+}
+
+// Pure: the same tracks, play log and clock always give the same list, so it can
+// be checked against a recorded history. -> [{ trackId, kind, reason, score }]
+// where reason is { key, params } for the "recommend.*" messages
+function buildRecommendations(tracks, plays, now, limit = RECOMMENDATION_LIMIT) {
+  const nowMs = now instanceof Date ? now.getTime() : now;
+  const hour = new Date(nowMs).getHours();
+  const byId = new Map(tracks.map((t) => [t.id, t]));
+  const stats = new Map();
+  const artistPlays = new Map();
+  plays.forEach((p) => {
+    const track = byId.get(p.trackId);
+    if (!track) return;
+    let s = stats.get(p.trackId);
+    if (!s) {
+      s = { plays: 0, completed: 0, skipped: 0, lastPlayed: 0, lastMonth: 0, nearHour: 0 };
+      stats.set(p.trackId, s);
+    }
+    s.plays++;
+    if (p.completed) s.completed++;
+    if (p.skipped) s.skipped++;
+    s.lastPlayed = Math.max(s.lastPlayed, p.start);
+    if (nowMs - p.start <= 30 * DAY_MS && !p.skipped) s.lastMonth++;
+    if (hourDistance(new Date(p.start).getHours(), hour) <= 1 && !p.skipped) s.nearHour++;
+    if (track.artist && !p.skipped) {
+      artistPlays.set(track.artist, (artistPlays.get(track.artist) || 0) + 1);
+    }
+  });
+  const topArtist = [...artistPlays.entries()].sort(
+    (a, b) => b[1] - a[1] || a[0].localeCompare(b[0])
+  )[0];
+
+  const candidates = [];
+  tracks.forEach((track) => {
+    const s = stats.get(track.id) || { plays: 0, completed: 0, skipped: 0, lastMonth: 0, nearHour: 0 };
+    const completion = s.plays ? (s.plays - s.skipped) / s.plays : 0;
+    // Songs the listener keeps skipping are never suggested
+    if (s.plays >= 3 && s.skipped / s.plays >= 0.6) return;
+    const add = (kind, score, key, params = {}) =>
+      candidates.push({ trackId: track.id, kind, score, reason: { key, params } });
+
+    const idleDays = s.plays ? Math.floor((nowMs - s.lastPlayed) / DAY_MS) : 0;
+    if (s.plays >= 5 && completion >= 0.6 && idleDays >= 30) {
+      add(
+        "forgotten",
+        50 + s.plays * completion * 2 + Math.min(30, idleDays / 10),
+        "forgotten",
+        { count: Math.floor(idleDays / 7) }
+      );
+    }
+    if (s.lastMonth >= 3 && completion >= 0.6) {
+      add("favourite", 40 + s.lastMonth * 3 * completion, "favourite", { count: s.lastMonth });
+    }
+    if (s.nearHour >= 2 && completion >= 0.5) {
+      add("time-of-day", 35 + s.nearHour * 4, "timeOfDay", { hour });
+    }
+    const addedAt = trackAddedAt(track);
+    if (!s.plays) {
+      const addedDays = addedAt ? Math.floor((nowMs - addedAt) / DAY_MS) : null;
+      if (addedDays !== null && addedDays <= 30) {
+        if (addedDays === 0) add("new", 60, "newToday");
+        else add("new", 30 + (30 - addedDays), "new", { count: addedDays });
+      } else {
+        add("unplayed", 10, "unplayed");
+      }
+    }
+    if (s.plays && completion >= 0.5) {
+      add("replay", 5 + completion * 5, "replay", { count: s.plays });
+    }
+    if (topArtist && track.artist === topArtist[0] && s.plays <= 2) {
+      add("artist", 20 + Math.min(15, topArtist[1] / 2), "artist", { artist: topArtist[0] });
+    }
+  });
+
+  // Best reason per track, a few of each kind, ties broken by id for stable output
+  candidates.sort((a, b) => b.score - a.score || (a.trackId < b.trackId ? -1 : 1));
+  const picked = [];
+  const seen = new Set();
+  const perKind = new Map();
+  const take = (c) => {
+    picked.push(c);
+    seen.add(c.trackId);
+    perKind.set(c.kind, (perKind.get(c.kind) || 0) + 1);
+  };
+  candidates.forEach((c) => {
+    if (picked.length >= limit || seen.has(c.trackId)) return;
+    if ((perKind.get(c.kind) || 0) >= RECOMMENDATIONS_PER_KIND) return;
+    take(c);
+  });
+  // Top up from whatever is left if the per-kind cap left empty slots
+  candidates.forEach((c) => {
+    if (picked.length < limit && !seen.has(c.trackId)) take(c);
+  });
+  return picked;
+}
+
+// Listening stats
+const STATS_RANGES = {
+  week: { days: 7 },
+  month: { days: 30 },
+  all: { days: null },
+};
+const STATS_TOP_COUNT = 5;
+const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+let statsRange = "week";
+
+function dayKey(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function formatListenTime(sec) {
+  const minutes = Math.round((sec || 0) / 60);
+  if (minutes < 60) return formatUnit(minutes, "minute");
+  const hours = formatUnit(Math.floor(minutes / 60), "hour");
+  return minutes % 60 ? `${hours} ${formatUnit(minutes % 60, "minute")}` : hours;
+}
+
+function playsBetween(plays, from, to) {
+  return plays.filter((p) => (from === null || p.start >= from) && (to === null || p.start < to));
+}
+
+function rankBy(map, limit) {
+  return [...map.values()]
+    .sort((a, b) => b.plays - a.plays || b.listened - a.listened || (a.key < b.key ? -1 : 1))
+    .slice(0, limit);
+}
+
+// -> { listened, plays, skips, tracks, topTracks, topArtists, hours: 7 x 24 seconds (Mon first) }
+function buildListeningStats(tracks, plays, limit = STATS_TOP_COUNT) {
+  const byId = new Map(tracks.map((t) => [t.id, t]));
+  const perTrack = new Map();
+  const perArtist = new Map();
+  const hours = WEEKDAY_LABELS.map(() => new Array(24).fill(0));
+  const bump = (map, key, extra, play) => {
+    let entry = map.get(key);
+    if (!entry) {
+      entry = { key, plays: 0, listened: 0, ...extra };
+      map.set(key, entry);
+    }
+    if (!play.skipped) entry.plays++;
+    entry.listened += play.listened || 0;
+  };
+  let listened = 0;
+  let skips = 0;
+  plays.forEach((p) => {
+    listened += p.listened || 0;
+    if (p.skipped) skips++;
+    const start = new Date(p.start);
+    hours[(start.getDay() + 6) % 7][start.getHours()] += p.listened || 0;
+    const track = byId.get(p.trackId);
+    // Removed songs still count towards listening time
+    if (!track) return;
+    bump(perTrack, track.id, { track }, p);
+    if (track.artist) bump(perArtist, track.artist, { artist: track.artist }, p);
+  });
+  return {
+    listened,
+    plays: plays.length,
+    skips,
+    tracks: perTrack.size,
+    topTracks: rankBy(perTrack, limit).filter((e) => e.plays),
+    topArtists: rankBy(perArtist, limit).filter((e) => e.plays),
+    hours,
+  };
+}
+
+// Days in a row with at least one play; the current streak survives until today is over
+function listeningStreaks(plays, now) {
+  const days = [...new Set(plays.map((p) => dayKey(p.start)))].sort();
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  days.forEach((key) => {
+    const d = new Date(`${key}T12:00:00`);
+    run = prev && Math.round((d - prev) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = d;
+  });
+  const last = days[days.length - 1];
+  const today = dayKey(now);
+  const yesterday = dayKey(now - DAY_MS);
+  return { current: last === today || last === yesterday ? run : 0, longest, days: days.length };
+}
+
+function buildYearInReview(tracks, plays, year) {
+  const from = new Date(year, 0, 1).getTime();
+  const to = new Date(year + 1, 0, 1).getTime();
+  const yearPlays = playsBetween(plays, from, to);
+  const stats = buildListeningStats(tracks, yearPlays);
+  const months = MONTH_LABELS.map(() => 0);
+  yearPlays.forEach((p) => {
+    months[new Date(p.start).getMonth()] += p.listened || 0;
+  });
+  const hourTotals = new Array(24).fill(0);
+  stats.hours.forEach((row) => row.forEach((sec, h) => (hourTotals[h] += sec)));
+  const peakHour = hourTotals.indexOf(Math.max(...hourTotals));
+  const peakMonth = months.indexOf(Math.max(...months));
+  const artists = new Set(
+    yearPlays.map((p) => tracks.find((t) => t.id === p.trackId)?.artist).filter(Boolean)
+  );
+  return {
+    year,
+    minutesListened: Math.round(stats.listened / 60),
+    plays: stats.plays,
+    skips: stats.skips,
+    songs: stats.tracks,
+    artists: artists.size,
+    daysListened: new Set(yearPlays.map((p) => dayKey(p.start))).size,
+    longestStreak: listeningStreaks(yearPlays, to).longest,
+    topHour: stats.listened ? peakHour : null,
+    topMonth: stats.listened ? MONTH_LABELS[peakMonth] : null,
+    topTracks: stats.topTracks.map((e) => ({
+      name: e.track.name,
+      artist: e.track.artist || null,
+      plays: e.plays,
+      minutes: Math.round(e.listened / 60),
+    })),
+    topArtists: stats.topArtists.map((e) => ({
+      name: e.artist,
+      plays: e.plays,
+      minutes: Math.round(e.listened / 60),
+    })),
+    monthlyMinutes: Object.fromEntries(MONTH_LABELS.map((m, i) => [m, Math.round(months[i] / 60)])),
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per play of the year, with song details resolved from the library
+function buildPlaysCsv(tracks, plays) {
+  const byId = new Map(tracks.map((t) => [t.id, t]));
+  const rows = [["start", "end", "title", "artist", "album", "seconds_listened", "duration", "completed", "skipped"]];
+  plays.forEach((p) => {
+    const track = byId.get(p.trackId) || {};
+    rows.push([
+      new Date(p.start).toISOString(),
+      p.end ? new Date(p.end).toISOString() : "",
+      track.name || p.trackId,
+      track.artist,
+      track.album,
+      p.listened,
+      p.duration,
+      p.completed ? 1 : 0,
+      p.skipped ? 1 : 0,
+    ]);
+  });
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+function buildStatsList(listEl, entries, label) {
+  listEl.innerHTML = "";
+  if (!entries.length) {
+    const li = document.createElement("li");
+    li.className = "stats-empty";
+    li.textContent = t("stats.nothingYet");
+    listEl.appendChild(li);
+    return;
+  }
+  entries.forEach((entry) => {
+    const li = document.createElement("li");
+    const name = document.createElement("span");
+    name.className = "title";
+    name.textContent = label(entry);
+    const meta = document.createElement("span");
+    meta.className = "meta";
+    meta.textContent = `${t("count.plays", { count: entry.plays })} • ${formatListenTime(entry.listened)}`;
+    li.appendChild(name);
+    li.appendChild(meta);
+    listEl.appendChild(li);
+  });
+}
+
+function renderStatsHeatmap(hours) {
+  const max = Math.max(1, ...hours.flat());
+  statsHeatmapEl.innerHTML = "";
+  hours.forEach((row, day) => {
+    const label = document.createElement("span");
+    label.className = "stats-heatmap-label";
+    label.textContent = formatWeekday(day);
+    statsHeatmapEl.appendChild(label);
+    row.forEach((sec, hour) => {
+      const cell = document.createElement("span");
+      cell.className = "stats-heatmap-cell";
+      cell.style.opacity = sec ? (0.25 + 0.75 * (sec / max)).toFixed(2) : "";
+      cell.classList.toggle("active", sec > 0);
+      cell.title = `${formatWeekday(day)} ${formatHour(hour)} — ${formatListenTime(sec)}`;
+      statsHeatmapEl.appendChild(cell);
+    });
+  });
+}
+
+function renderStats() {
+  const now = Date.now();
+  const days = STATS_RANGES[statsRange].days;
+  const plays = playsBetween(state.plays, days ? now - days * DAY_MS : null, null);
+  const stats = buildListeningStats(state.tracks, plays);
+  const streaks = listeningStreaks(state.plays, now);
+
+  statsRangeEl.querySelectorAll("button").forEach((btn) =>
+    btn.classList.toggle("active", btn.dataset.range === statsRange)
+  );
+  statsSummaryEl.innerHTML = "";
+  [
+    [formatListenTime(stats.listened), t("stats.listened")],
+    [formatNumber(stats.plays), t("stats.playsCaption", { count: stats.plays })],
+    [
+      stats.plays ? intl(Intl.NumberFormat, { style: "percent" }).format(stats.skips / stats.plays) : "—",
+      t("stats.skipped"),
+    ],
+    [t("count.days", { count: streaks.current }), t("stats.currentStreak")],
+    [t("count.days", { count: streaks.longest }), t("stats.longestStreak")],
+  ].forEach(([value, caption]) => {
+    const tile = document.createElement("div");
+    tile.className = "stats-tile";
+    const strong = document.createElement("strong");
+    strong.textContent = value;
+    const span = document.createElement("span");
+    span.textContent = caption;
+    tile.appendChild(strong);
+    tile.appendChild(span);
+    statsSummaryEl.appendChild(tile);
+  });
+  buildStatsList(statsTopTracksEl, stats.topTracks, (e) =>
+    e.track.artist ? `${e.track.name} — ${e.track.artist}` : e.track.name
+  );
+  buildStatsList(statsTopArtistsEl, stats.topArtists, (e) => e.artist);
+  renderStatsHeatmap(stats.hours);
+}
+
+async function openYearInReview() {
+  const now = new Date();
+  // Early January still shows the year that just ended
+  const year = now.getMonth() === 0 && now.getDate() <= 14 ? now.getFullYear() - 1 : now.getFullYear();
+  const review = buildYearInReview(state.tracks, state.plays, year);
+  const items = [
+    t("review.listened", {
+      time: formatListenTime(review.minutesListened * 60),
+      plays: t("count.plays", { count: review.plays }),
+    }),
+    t("review.library", {
+      songs: t("count.songs", { count: review.songs }),
+      artists: t("count.artists", { count: review.artists }),
+    }),
+    t("review.days", {
+      days: t("count.days", { count: review.daysListened }),
+      streak: t("count.days", { count: review.longestStreak }),
+    }),
+  ];
+  if (review.topTracks[0]) items.push(t("review.topSong", { name: review.topTracks[0].name }));
+  if (review.topArtists[0]) items.push(t("review.topArtist", { name: review.topArtists[0].name }));
+  if (review.topMonth) {
+    // topMonth is an English key in the exported JSON
+    const month = formatMonth(MONTH_LABELS.indexOf(review.topMonth));
+    items.push(t("review.busiest", { month, hour: formatHour(review.topHour) }));
+  }
+  const format = await showDialog({
+    title: t("review.title", { year: String(year) }),
+    message: review.plays ? "" : t("review.empty"),
+    items: review.plays ? items : [],
+    actions: [
+      { label: t("review.exportJson"), value: "json" },
+      { label: t("review.exportCsv"), value: "csv" },
+      { label: t("common.close") },
+    ],
+  });
+  if (format === "json") {
+    downloadFile(`flowmusic-${year}-review.json`, JSON.stringify(review, null, 2), "application/json");
+  } else if (format === "csv") {
+    const from = new Date(year, 0, 1).getTime();
+    const to = new Date(year + 1, 0, 1).getTime();
+    downloadFile(
+      `flowmusic-${year}-plays.csv`,
+      buildPlaysCsv(state.tracks, playsBetween(state.plays, from, to)),
+      "text/csv"
+    );
+  }
+}
+
+statsRangeEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-range]");
+  if (!btn) return;
+  statsRange = btn.dataset.range;
+  renderStats();
+});
+btnYearReview.addEventListener("click", openYearInReview);
+
+// Add files
+const AUDIO_EXTENSIONS = [".mp3", ".wav", ".m4a", ".m4b", ".ogg", ".oga", ".opus", ".flac"];
+
+function isAudioFile(file) {
+  // .m3u/.pls report audio/x-mpegurl, audio/x-scpls
+  if (isPlaylistFile(file)) return false;
+  if (file.type.startsWith("audio/")) return true;
+  const lower = file.name.toLowerCase();
+  return AUDIO_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+async function sha256Hex(buffer) {
+  // crypto.subtle only exists in secure contexts; without it duplicates aren't detected
+  if (!window.crypto || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Same size and SHA-256 as a file already in the library; older tracks are hashed on demand
+async function findDuplicateByHash(size, hash, sizeIndex) {
+  for (const candidate of sizeIndex.get(size) || []) {
+    const track = state.tracks.find((t) => t.id === candidate.id);
+    if (!track) continue;
+    if (!track.hash) {
+      track.hash = await sha256Hex(await candidate.blob.arrayBuffer());
+      saveTracks();
+    }
+    if (track.hash === hash) return track;
+  }
+  return null;
+}
+
+// -> { track, duplicate }; a duplicate returns the library track instead of adding a copy
+async function importFile(file, path = null, sizeIndex = null) {
+  const arrayBuffer = await readFileAsArrayBuffer(file);
+  const hash = await sha256Hex(arrayBuffer);
+  if (hash && sizeIndex) {
+    const existing = await findDuplicateByHash(arrayBuffer.byteLength, hash, sizeIndex);
+    if (existing) {
+      if (!existing.path && path) {
+        existing.path = path;
+        saveTracks();
+      }
+      return { track: existing, duplicate: true };
+    }
+  }
+  const blob = new Blob([arrayBuffer], { type: file.type || "audio/mpeg" });
+  const url = URL.createObjectURL(blob);
+  const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const { tags, cover, lyrics, chapters } = readTags(arrayBuffer);
+
+  const newTrack = {
+    id,
+    name: baseName(file.name),
+    fileName: file.name,
+    path: path || file.webkitRelativePath || null,
+    hash,
+    addedAt: Date.now(),
+    size: blob.size,
+    url,
+    coverUrl: cover ? URL.createObjectURL(cover) : null,
+    duration: null,
+    chapters,
+  };
+  applyTags(newTrack, tags);
+
+  try {
+    // Persist the file in IndexedDB (safe for large files)
+    await idbPutTrack({
+      id,
+      name: newTrack.name,
+      fileName: file.name,
+      type: blob.type,
+      blob,
+      tags,
+      cover,
+      lyrics: lyrics ? { text: lyrics, offset: 0, source: "embedded" } : null,
+      chapters,
+    });
+    state.tracks.push(newTrack);
+    saveTracks();
+    renderPlaylist();
+    profileCount.textContent = state.tracks.length;
+    if (sizeIndex) {
+      const list = sizeIndex.get(blob.size) || [];
+      list.push({ id, blob, crc: null });
+      sizeIndex.set(blob.size, list);
+    }
+
+    // If this is the first track added
+    if (state.tracks.length === 1) {
+      loadTrack(0);
+    }
+
+    // Load duration asynchronously
+    const tempAudio = new Audio();
+    tempAudio.src = url;
+    tempAudio.addEventListener("loadedmetadata", () => {
+      newTrack.duration = tempAudio.duration;
+      saveTracks();
+      renderPlaylist();
+      queueTrackAnalysis([id]);
+    });
+    tempAudio.addEventListener("error", () => queueTrackAnalysis([id]));
+  } catch (err) {
+    console.warn("Failed to save track to IndexedDB:", err);
+    // Fallback: keep in memory for this session
+    state.tracks.push(newTrack);
+    renderPlaylist();
+    profileCount.textContent = state.tracks.length;
+  }
+  return { track: newTrack, duplicate: false };
+}
+
+// Files from the picker or drop, or { file, path } pairs from a folder walk
+function toImportEntry(item) {
+  if (!(item instanceof Blob)) return item;
+  return { file: item, path: item.webkitRelativePath || null };
+}
+
+// One file at a time so a big folder isn't read into memory all at once.
+// -> { imported, duplicates: [{ label, track }], failed: [{ label, error }], cancelled }
+async function addFiles(items, progress = null) {
+  const entries = Array.from(items, toImportEntry).filter((entry) => isAudioFile(entry.file));
+  const report = { imported: [], duplicates: [], failed: [], cancelled: false };
+  if (!entries.length) return report;
+
+  const sizeIndex = await buildLibrarySizeIndex();
+  for (let i = 0; i < entries.length; i++) {
+    if (progress && progress.cancelled) {
+      report.cancelled = true;
+      break;
+    }
+    const { file, path } = entries[i];
+    const label = path || file.name;
+    if (progress) progress.update(i, entries.length, t("import.progress", { n: i + 1, total: entries.length, label }));
+    try {
+      const { track, duplicate } = await importFile(file, path, sizeIndex);
+      if (duplicate) {
+        report.duplicates.push({ label, track });
+        if (progress) progress.log(t("import.logDuplicate", { label, name: track.name }), "skipped");
+      } else {
+        report.imported.push(track);
+        if (progress) progress.log(t("import.logImported", { label }), "done");
+      }
+    } catch (err) {
+      console.warn("Failed to import file:", file.name, err);
+      report.failed.push({ label, error: String(err.message || err) });
+      if (progress) progress.log(t("import.logFailed", { label }), "failed");
+    }
+  }
+  if (progress) progress.update(entries.length, entries.length);
+  return report;
+}
+
+// Dropped folders arrive as file system entries and are walked recursively
+function readDirectoryBatch(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+function entryToFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+async function collectEntryFiles(entry, out) {
+  if (entry.isFile) {
+    const path = entry.fullPath.replace(/^\//, "");
+    // Loose files keep no path, like files from the picker
+    out.push({ file: await entryToFile(entry), path: path.includes("/") ? path : null });
+    return;
+  }
+  if (!entry.isDirectory) return;
+  const reader = entry.createReader();
+  // readEntries hands back a limited batch per call until it returns nothing
+  for (;;) {
+    const batch = await readDirectoryBatch(reader);
+    if (!batch.length) break;
+    for (const child of batch) await collectEntryFiles(child, out);
+  }
+}
+
+async function importDroppedItems(dataTransfer) {
+  // Entries must be taken while the drop event is still being dispatched
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === "file" && item.webkitGetAsEntry)
+    .map((item) => item.webkitGetAsEntry())
+    .filter(Boolean);
+  if (!entries.length) {
+    await importFiles(dataTransfer.files, null, { dropped: true });
+    return;
+  }
+  const progress = showProgressDialog(t("import.progressTitle"));
+  progress.update(0, 0, t("import.scanning"));
+  const files = [];
+  try {
+    for (const entry of entries) await collectEntryFiles(entry, files);
+  } catch (err) {
+    console.warn("Failed to read dropped folder:", err);
+  }
+  await importFiles(files, progress, { dropped: true });
+}
+
+// Playlist files (M3U/M3U8, PLS, XSPF)
+const PLAYLIST_EXTENSIONS = [".m3u", ".m3u8", ".pls", ".xspf"];
+const XSPF_NS = "http://xspf.org/ns/0/";
+
+function isPlaylistFile(file) {
+  const lower = file.name.toLowerCase();
+  return PLAYLIST_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+// Audio and playlist files can arrive together from the picker, a folder or a drop
+async function importFiles(items, progress = null, { dropped = false } = {}) {
+  const entries = Array.from(items, toImportEntry);
+  // A ZIP picked or dropped on its own is a library backup; ZIPs inside folders are not
+  const backup = entries.find((entry) => !entry.path && isBackupFile(entry.file));
+  if (backup) {
+    if (progress) progress.close();
+    await importLibraryBackup(backup.file);
+    return;
+  }
+  const playlistFiles = entries.filter((entry) => isPlaylistFile(entry.file)).map((entry) => entry.file);
+  const lyricsEntries = entries.filter((entry) => isLyricsFile(entry.file));
+  const unsupported = entries.filter(
+    (entry) => !isAudioFile(entry.file) && !isPlaylistFile(entry.file) && !isLyricsFile(entry.file)
+  );
+  if (!progress) progress = showProgressDialog(t("import.progressTitle"));
+  const report = await addFiles(entries, progress);
+  // Songs that were already in the library can still get lyrics or be in a playlist
+  const imported = [...report.imported, ...report.duplicates.map((d) => d.track)];
+  const unmatchedLyrics = report.cancelled ? [] : await attachLyricsFiles(lyricsEntries, imported);
+  progress.close();
+
+  const skipped = [
+    ...report.duplicates.map((d) => t("import.duplicateOf", { label: d.label, name: d.track.name })),
+    ...report.failed.map((f) => `${f.label} — ${f.error}`),
+    ...unmatchedLyrics.map((label) => t("import.noLyricsMatch", { label })),
+    ...unsupported.map((entry) => t("import.notAudio", { label: entry.path || entry.file.name })),
+  ];
+  // Folders and drops of several files always get a summary, single files
+  // only when something was skipped
+  const bulk = dropped ? entries.length > 1 : entries.some((entry) => entry.path);
+  if (bulk || skipped.length || report.cancelled) {
+    const parts = [t("import.imported", { count: report.imported.length })];
+    if (bulk || report.duplicates.length) parts.push(t("import.duplicates", { count: report.duplicates.length }));
+    if (report.failed.length) parts.push(t("import.failed", { count: report.failed.length }));
+    if (bulk || unsupported.length) parts.push(t("import.unsupported", { count: unsupported.length }));
+    if (report.cancelled) parts.push(t("import.cancelled"));
+    await showDialog({ title: t("import.title"), message: parts.join(" "), items: skipped });
+  }
+  if (report.cancelled) return;
+
+  for (const file of playlistFiles) {
+    try {
+      await importPlaylistFile(file, imported);
+    } catch (err) {
+      console.warn("Failed to import playlist:", file.name, err);
+      showDialog({ title: t("import.couldNotRead", { name: file.name }), message: String(err.message || err) });
+    }
+  }
+}
+
+async function readTextFile(file) {
+  const bytes = new Uint8Array(await readFileAsArrayBuffer(file));
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes).replace(/^\uFEFF/, "");
+  } catch {
+    // Plain .m3u and .lrc files are often saved in a legacy code page
+    return decodeLatin1(bytes);
+  }
+}
+
+// -> { name, entries: [{ location, title, duration }] }
+function parseM3u(text) {
+  const entries = [];
+  let name = null;
+  let pending = {};
+  text.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    if (!line) return;
+    const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+    if (extinf) {
+      const duration = parseFloat(extinf[1]);
+      pending = { duration: duration > 0 ? duration : null, title: extinf[2].trim() || null };
+    } else if (/^#PLAYLIST:/i.test(line)) {
+      name = line.slice(10).trim() || null;
+    } else if (!line.startsWith("#")) {
+      entries.push({ location: line, title: null, duration: null, ...pending });
+      pending = {};
+    }
+  });
+  return { name, entries };
+}
+
+function parsePls(text) {
+  const byIndex = new Map();
+  text.split(/\r?\n/).forEach((raw) => {
+    const match = raw.trim().match(/^(File|Title|Length)(\d+)\s*=(.*)$/i);
+    if (!match) return;
+    const index = Number(match[2]);
+    const entry = byIndex.get(index) || { location: null, title: null, duration: null };
+    const value = match[3].trim();
+    const key = match[1].toLowerCase();
+    if (key === "file") entry.location = value;
+    else if (key === "title") entry.title = value || null;
+    else if (parseFloat(value) > 0) entry.duration = parseFloat(value);
+    byIndex.set(index, entry);
+  });
+  const entries = [...byIndex.keys()]
+    .sort((a, b) => a - b)
+    .map((index) => byIndex.get(index))
+    .filter((entry) => entry.location);
+  return { name: null, entries };
+}
+
+function parseXspf(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error(t("playlist.invalidXspf"));
+  const child = (el, tag) => {
+    const found = el.getElementsByTagNameNS(XSPF_NS, tag)[0] || el.getElementsByTagName(tag)[0];
+    return found ? found.textContent.trim() : null;
+  };
+  const playlist = doc.documentElement;
+  const titleEl = Array.from(playlist.children).find((el) => el.localName === "title");
+  const tracks = Array.from(playlist.getElementsByTagNameNS(XSPF_NS, "track"));
+  const entries = (tracks.length ? tracks : Array.from(playlist.getElementsByTagName("track")))
+    .map((el) => {
+      const location = child(el, "location");
+      const duration = parseInt(child(el, "duration"), 10);
+      return {
+        location: location ? decodeUriPath(location) : null,
+        title: child(el, "title"),
+        duration: duration > 0 ? duration / 1000 : null,
+      };
+    })
+    .filter((entry) => entry.location);
+  return { name: titleEl ? titleEl.textContent.trim() || null : null, entries };
+}
+
+function decodeUriPath(location) {
+  try {
+    return decodeURIComponent(location.replace(/^file:\/\/(localhost)?/i, ""));
+  } catch {
+    return location;
+  }
+}
+
+function isRemoteLocation(location) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(location) && !/^file:/i.test(location);
+}
+
+// Lower-cased path segments, so "C:\Music\A.mp3" and "../music/a.mp3" compare by tail
+function pathSegments(path) {
+  const plain = /^file:/i.test(path) ? decodeUriPath(path) : path;
+  return plain
+    .replace(/\\/g, "/")
+    .split("/")
+    .filter((part) => part && part !== "." && part !== "..")
+    .map((part) => part.toLowerCase());
+}
+
+function trackPath(track) {
+  return track.path || track.fileName || track.name;
+}
+
+// Best match is the track sharing the longest run of trailing path segments;
+// tracks that arrived with the playlist win ties
+function resolvePlaylistEntry(entry, candidates) {
+  const wanted = pathSegments(entry.location);
+  let best = null;
+  let bestRank = 0;
+  candidates.forEach(({ track, segments, fresh }) => {
+    let shared = 0;
+    while (
+      shared < wanted.length &&
+      shared < segments.length &&
+      wanted[wanted.length - 1 - shared] === segments[segments.length - 1 - shared]
+    ) {
+      shared++;
+    }
+    const rank = shared * 2 + (fresh ? 1 : 0);
+    if (shared && rank > bestRank) {
+      best = track;
+      bestRank = rank;
+    }
+  });
+  return best;
+}
+
+async function importPlaylistFile(file, importedTracks = []) {
+  const text = await readTextFile(file);
+  const lower = file.name.toLowerCase();
+  const parsed = lower.endsWith(".xspf")
+    ? parseXspf(text)
+    : lower.endsWith(".pls")
+      ? parsePls(text)
+      : parseM3u(text);
+
+  const fresh = new Set(importedTracks.map((t) => t.id));
+  const candidates = state.tracks.map((track) => ({
+    track,
+    segments: pathSegments(trackPath(track)),
+    fresh: fresh.has(track.id),
+  }));
+  const trackIds = [];
+  const unresolved = [];
+  parsed.entries.forEach((entry) => {
+    const track = isRemoteLocation(entry.location)
+      ? null
+      : resolvePlaylistEntry(entry, candidates);
+    if (track) trackIds.push(track.id);
+    else unresolved.push(entry.title ? `${entry.title} — ${entry.location}` : entry.location);
+  });
+
+  const name = parsed.name || baseName(file.name);
+  if (trackIds.length) {
+    const playlist = createPlaylist(name, trackIds);
+    selectPlaylist(playlist.id);
+    switchTab("mysongs");
+  }
+  if (unresolved.length) {
+    showDialog({
+      title: t("playlist.importedTitle", { name }),
+      message: t("playlist.unmatched", { matched: trackIds.length, count: parsed.entries.length }),
+      items: unresolved,
+    });
+  }
+  return { trackIds, unresolved };
+}
+
+function exportEntryPath(track) {
+  return trackPath(track).replace(/\\/g, "/");
+}
+
+function exportTitle(track) {
+  return track.artist && track.title ? `${track.artist} - ${track.title}` : track.name;
+}
+
+function buildM3u8(name, tracks) {
+  const lines = ["#EXTM3U", `#PLAYLIST:${name}`];
+  tracks.forEach((track) => {
+    const duration = track.duration ? Math.round(track.duration) : -1;
+    lines.push(`#EXTINF:${duration},${exportTitle(track)}`, exportEntryPath(track));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function buildPls(name, tracks) {
+  const lines = ["[playlist]"];
+  tracks.forEach((track, i) => {
+    const n = i + 1;
+    lines.push(`File${n}=${exportEntryPath(track)}`, `Title${n}=${exportTitle(track)}`);
+    lines.push(`Length${n}=${track.duration ? Math.round(track.duration) : -1}`);
+  });
+  lines.push(`NumberOfEntries=${tracks.length}`, "Version=2");
+  return lines.join("\n") + "\n";
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function buildXspf(name, tracks) {
+  const items = tracks.map((track) => {
+    const location = exportEntryPath(track).split("/").map(encodeURIComponent).join("/");
+    const fields = [`      <location>${escapeXml(location)}</location>`];
+    if (track.title || track.name) fields.push(`      <title>${escapeXml(track.title || track.name)}</title>`);
+    if (track.artist) fields.push(`      <creator>${escapeXml(track.artist)}</creator>`);
+    if (track.album) fields.push(`      <album>${escapeXml(track.album)}</album>`);
+    if (track.trackNo) fields.push(`      <trackNum>${track.trackNo}</trackNum>`);
+    if (track.duration) fields.push(`      <duration>${Math.round(track.duration * 1000)}</duration>`);
+    return `    <track>\n${fields.join("\n")}\n    </track>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<playlist version="1" xmlns="${XSPF_NS}">`,
+    `  <title>${escapeXml(name)}</title>`,
+    "  <trackList>",
+    ...items,
+    "  </trackList>",
+    "</playlist>",
+    "",
+  ].join("\n");
+}
+
+function downloadFile(fileName, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function safeFileName(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, "_").trim() || "playlist";
+}
+
+// Exports whatever list is open: the whole library or the active playlist
+function exportActiveList(format) {
+  const playlist = getActivePlaylist();
+  const name = playlist ? playlist.name : t("playlist.libraryName");
+  const tracks = getListIndices(playlist).map((index) => state.tracks[index]);
+  const formats = {
+    m3u8: [buildM3u8, "audio/x-mpegurl"],
+    pls: [buildPls, "audio/x-scpls"],
+    xspf: [buildXspf, "application/xspf+xml"],
+  };
+  const [build, type] = formats[format];
+  downloadFile(`${safeFileName(name)}.${format}`, build(name, tracks), type);
+}
+
+function openExportMenu(anchor) {
+  showMenu(anchor, [
+    { label: t("playlist.exportAs", { format: "M3U8" }), action: () => exportActiveList("m3u8") },
+    { label: t("playlist.exportAs", { format: "PLS" }), action: () => exportActiveList("pls") },
+    { label: t("playlist.exportAs", { format: "XSPF" }), action: () => exportActiveList("xspf") },
+  ]);
+}
+
+// Library backup: a stored (uncompressed) ZIP with the audio files and a manifest
+const BACKUP_FORMAT = "flowmusic-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_CHUNK_BYTES = 8 * 1024 * 1024;
+const ZIP_MAX_32 = 0xffffffff;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32Update(crc, bytes) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Reads the blob in slices so multi-GB files never sit in memory at once
+async function crc32Blob(blob, onBytes) {
+  let crc = 0;
+  for (let pos = 0; pos < blob.size; pos += BACKUP_CHUNK_BYTES) {
+    const chunk = blob.slice(pos, Math.min(blob.size, pos + BACKUP_CHUNK_BYTES));
+    crc = crc32Update(crc, new Uint8Array(await readFileAsArrayBuffer(chunk)));
+    if (onBytes) onBytes(chunk.size);
+  }
+  return crc;
+}
+
+function isBackupFile(file) {
+  return /\.zip$/i.test(file.name);
+}
+
+function setUint64(view, offset, value) {
+  view.setUint32(offset, value % 0x100000000, true);
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+function getUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Local file header; sizes move to a ZIP64 extra field when they overflow 32 bits
+function zipLocalHeader(entry, stamp) {
+  const name = new TextEncoder().encode(entry.name);
+  const zip64 = entry.size >= ZIP_MAX_32;
+  const header = new Uint8Array(30 + name.length + (zip64 ? 20 : 0));
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 0x04034b50, true);
+  view.setUint16(4, zip64 ? 45 : 20, true);
+  view.setUint16(6, 0x0800, true); // UTF-8 names
+  view.setUint16(8, 0, true); // stored
+  view.setUint16(10, stamp.time, true);
+  view.setUint16(12, stamp.date, true);
+  view.setUint32(14, entry.crc, true);
+  view.setUint32(18, zip64 ? ZIP_MAX_32 : entry.size, true);
+  view.setUint32(22, zip64 ? ZIP_MAX_32 : entry.size, true);
+  view.setUint16(26, name.length, true);
+  view.setUint16(28, zip64 ? 20 : 0, true);
+  header.set(name, 30);
+  if (zip64) {
+    view.setUint16(30 + name.length, 0x0001, true);
+    view.setUint16(32 + name.length, 16, true);
+    setUint64(view, 34 + name.length, entry.size);
+    setUint64(view, 42 + name.length, entry.size);
+  }
+  return header;
+}
+
+function zipCentralHeader(entry, stamp) {
+  const name = new TextEncoder().encode(entry.name);
+  const bigSize = entry.size >= ZIP_MAX_32;
+  const bigOffset = entry.offset >= ZIP_MAX_32;
+  const extraLength = bigSize || bigOffset ? 4 + (bigSize ? 16 : 0) + (bigOffset ? 8 : 0) : 0;
+  const header = new Uint8Array(46 + name.length + extraLength);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 0x02014b50, true);
+  view.setUint16(4, 45, true);
+  view.setUint16(6, extraLength ? 45 : 20, true);
+  view.setUint16(8, 0x0800, true);
+  view.setUint16(10, 0, true);
+  view.setUint16(12, stamp.time, true);
+  view.setUint16(14, stamp.date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, bigSize ? ZIP_MAX_32 : entry.size, true);
+  view.setUint32(24, bigSize ? ZIP_MAX_32 : entry.size, true);
+  view.setUint16(28, name.length, true);
+  view.setUint16(30, extraLength, true);
+  view.setUint32(42, bigOffset ? ZIP_MAX_32 : entry.offset, true);
+  header.set(name, 46);
+  if (extraLength) {
+    let pos = 46 + name.length;
+    view.setUint16(pos, 0x0001, true);
+    view.setUint16(pos + 2, extraLength - 4, true);
+    pos += 4;
+    if (bigSize) {
+      setUint64(view, pos, entry.size);
+      setUint64(view, pos + 8, entry.size);
+      pos += 16;
+    }
+    if (bigOffset) setUint64(view, pos, entry.offset);
+  }
+  return header;
+}
+
+function zipEndRecords(count, cdOffset, cdSize) {
+  const zip64 = count >= 0xffff || cdOffset >= ZIP_MAX_32 || cdSize >= ZIP_MAX_32;
+  const out = new Uint8Array((zip64 ? 76 : 0) + 22);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  if (zip64) {
+    view.setUint32(0, 0x06064b50, true);
+    setUint64(view, 4, 44);
+    view.setUint16(12, 45, true);
+    view.setUint16(14, 45, true);
+    setUint64(view, 24, count);
+    setUint64(view, 32, count);
+    setUint64(view, 40, cdSize);
+    setUint64(view, 48, cdOffset);
+    // locator pointing back at the ZIP64 end record
+    view.setUint32(56, 0x07064b50, true);
+    setUint64(view, 64, cdOffset + cdSize);
+    view.setUint32(72, 1, true);
+    pos = 76;
+  }
+  view.setUint32(pos, 0x06054b50, true);
+  view.setUint16(pos + 8, Math.min(count, 0xffff), true);
+  view.setUint16(pos + 10, Math.min(count, 0xffff), true);
+  view.setUint32(pos + 12, Math.min(cdSize, ZIP_MAX_32), true);
+  view.setUint32(pos + 16, Math.min(cdOffset, ZIP_MAX_32), true);
+  return out;
+}
+
+// The archive is assembled from the stored blobs themselves, so nothing is copied
+async function buildZip(files, progress) {
+  const stamp = dosDateTime(new Date());
+  const total = files.reduce((sum, f) => sum + f.blob.size, 0);
+  let done = 0;
+  const parts = [];
+  const entries = [];
+  let offset = 0;
+  for (const file of files) {
+    if (progress.cancelled) return null;
+    const crc = await crc32Blob(file.blob, (bytes) => {
+      done += bytes;
+      progress.update(
+        done,
+        total,
+        t("backup.packing", { name: file.name, done: formatBytes(done), total: formatBytes(total) })
+      );
+    });
+    const entry = { name: file.name, size: file.blob.size, crc, offset };
+    const header = zipLocalHeader(entry, stamp);
+    parts.push(header, file.blob);
+    entries.push(entry);
+    offset += header.length + entry.size;
+  }
+  const central = entries.map((entry) => zipCentralHeader(entry, stamp));
+  const cdSize = central.reduce((sum, h) => sum + h.length, 0);
+  parts.push(...central, zipEndRecords(entries.length, offset, cdSize));
+  return new Blob(parts, { type: "application/zip" });
+}
+
+async function readBlobBytes(blob, start, end) {
+  return new Uint8Array(await readFileAsArrayBuffer(blob.slice(start, end)));
+}
+
+// Central directory of a ZIP (ZIP64 aware) -> Map(name -> entry with a lazy blob)
+async function readZipDirectory(file) {
+  const tailStart = Math.max(0, file.size - 65557);
+  const tail = await readBlobBytes(file, tailStart, file.size);
+  const tailView = new DataView(tail.buffer);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tailView.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error(t("backup.notZip"));
+  let count = tailView.getUint16(eocd + 10, true);
+  let cdSize = tailView.getUint32(eocd + 12, true);
+  let cdOffset = tailView.getUint32(eocd + 16, true);
+  if (eocd >= 20 && tailView.getUint32(eocd - 20, true) === 0x07064b50) {
+    const recordOffset = getUint64(tailView, eocd - 12);
+    const record = await readBlobBytes(file, recordOffset, recordOffset + 56);
+    const view = new DataView(record.buffer);
+    if (view.getUint32(0, true) !== 0x06064b50) throw new Error(t("backup.brokenDirectory"));
+    count = getUint64(view, 32);
+    cdSize = getUint64(view, 40);
+    cdOffset = getUint64(view, 48);
+  }
+
+  const cd = await readBlobBytes(file, cdOffset, cdOffset + cdSize);
+  const view = new DataView(cd.buffer);
+  const entries = new Map();
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) throw new Error(t("backup.brokenDirectory"));
+    const flags = view.getUint16(pos + 8, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const nameBytes = cd.subarray(pos + 46, pos + 46 + nameLength);
+    const entry = {
+      name: flags & 0x0800 ? new TextDecoder().decode(nameBytes) : decodeLatin1(nameBytes),
+      method: view.getUint16(pos + 10, true),
+      crc: view.getUint32(pos + 16, true),
+      size: view.getUint32(pos + 20, true),
+      offset: view.getUint32(pos + 42, true),
+    };
+    // ZIP64 extra: only the fields that overflowed are present, in this order
+    let extra = pos + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = view.getUint16(extra, true);
+      const length = view.getUint16(extra + 2, true);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (view.getUint32(pos + 24, true) === ZIP_MAX_32) field += 8; // uncompressed size
+        if (entry.size === ZIP_MAX_32) {
+          entry.size = getUint64(view, field);
+          field += 8;
+        }
+        if (entry.offset === ZIP_MAX_32) entry.offset = getUint64(view, field);
+      }
+      extra += 4 + length;
+    }
+    entries.set(entry.name, entry);
+    pos = extraEnd + commentLength;
+  }
+  return entries;
+}
+
+async function zipEntryBlob(file, entry, type = "") {
+  if (entry.method !== 0) throw new Error(t("backup.compressed", { name: entry.name }));
+  const header = await readBlobBytes(file, entry.offset, entry.offset + 30);
+  const view = new DataView(header.buffer);
+  if (view.getUint32(0, true) !== 0x04034b50) throw new Error(t("backup.brokenEntry", { name: entry.name }));
+  const start = entry.offset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+  return file.slice(start, start + entry.size, type);
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+// Every flowmusic_* key except the track list, which the manifest carries itself
+function collectStoredSettings() {
+  const settings = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith("flowmusic_") && key !== STORAGE_KEY_TRACKS) {
+      settings[key] = localStorage.getItem(key);
+    }
+  }
+  return settings;
+}
+
+async function exportLibraryBackup() {
+  const progress = showProgressDialog(t("backup.export"));
+  try {
+    const files = [];
+    const tracks = [];
+    const missing = [];
+    for (const track of state.tracks) {
+      const rec = await idbGetTrack(track.id);
+      if (!rec || !rec.blob) {
+        missing.push(track.name);
+        continue;
+      }
+      const file = `tracks/${track.id}/${safeFileName(track.fileName || track.name)}`;
+      const cover = rec.cover ? `covers/${track.id}` : null;
+      files.push({ name: file, blob: rec.blob });
+      if (cover) files.push({ name: cover, blob: rec.cover });
+      const { url, coverUrl, peaks, ...meta } = track;
+      tracks.push({
+        ...meta,
+        file,
+        cover,
+        type: rec.type || rec.blob.type || null,
+        tags: rec.tags || null,
+        lyrics: rec.lyrics || null,
+        peaks: peaks ? bytesToBase64(peaks) : null,
+      });
+    }
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      tracks,
+      playlists: state.playlists,
+      plays: state.plays.map(({ id, ...play }) => play),
+      settings: collectStoredSettings(),
+    };
+    files.push({
+      name: "manifest.json",
+      blob: new Blob([JSON.stringify(manifest, null, 2)], { type: "application/json" }),
+    });
+
+    const zip = await buildZip(files, progress);
+    progress.close();
+    if (!zip) return;
+    downloadFile(`flowmusic-backup-${new Date().toISOString().slice(0, 10)}.zip`, zip);
+    if (missing.length) {
+      showDialog({
+        title: t("backup.created"),
+        message: t("backup.skipped", { count: tracks.length }),
+        items: missing,
+      });
+    }
+  } catch (err) {
+    progress.close();
+    console.warn("Library export failed:", err);
+    showDialog({ title: t("backup.exportFailed"), message: String(err.message || err) });
+  }
+}
+
+// Blob size -> [{ id, blob }] of the current library, for duplicate checks
+async function buildLibrarySizeIndex() {
+  const index = new Map();
+  for (const track of state.tracks) {
+    const rec = await idbGetTrack(track.id);
+    if (!rec || !rec.blob) continue;
+    const list = index.get(rec.blob.size) || [];
+    list.push({ id: track.id, blob: rec.blob, crc: null });
+    index.set(rec.blob.size, list);
+  }
+  return index;
+}
+
+// Same id, or same size and CRC-32 as a file already in the library
+async function findDuplicateTrack(meta, entry, sizeIndex) {
+  if (state.tracks.some((t) => t.id === meta.id)) return meta.id;
+  for (const candidate of sizeIndex.get(entry.size) || []) {
+    if (candidate.crc === null) candidate.crc = await crc32Blob(candidate.blob);
+    if (candidate.crc === entry.crc) return candidate.id;
+  }
+  return null;
+}
+
+async function readBackupManifest(file) {
+  const entries = await readZipDirectory(file);
+  const manifestEntry = entries.get("manifest.json");
+  if (!manifestEntry) throw new Error(t("backup.notBackup"));
+  const blob = await zipEntryBlob(file, manifestEntry);
+  const manifest = JSON.parse(new TextDecoder().decode(await readFileAsArrayBuffer(blob)));
+  if (!manifest || manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.tracks)) {
+    throw new Error(t("backup.notBackup"));
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error(t("backup.newerVersion"));
+  }
+  return { entries, manifest };
+}
+
+async function importLibraryBackup(file) {
+  let backup;
+  try {
+    backup = await readBackupManifest(file);
+  } catch (err) {
+    console.warn("Library import failed:", err);
+    showDialog({ title: t("backup.importFailed"), message: String(err.message || err) });
+    return;
+  }
+  const { entries, manifest } = backup;
+  const playlists = Array.isArray(manifest.playlists) ? manifest.playlists : [];
+  const mode = await showDialog({
+    title: t("backup.import"),
+    message: t("backup.confirm", {
+      date: formatDate(manifest.exportedAt),
+      songs: t("count.songs", { count: manifest.tracks.length }),
+      playlists: t("count.playlists", { count: playlists.length }),
+    }),
+    actions: [
+      { label: t("common.cancel") },
+      { label: t("backup.replace"), value: "replace", danger: true },
+      { label: t("backup.merge"), value: "merge" },
+    ],
+  });
+  if (!mode) return;
+
+  const progress = showProgressDialog(t("backup.import"));
+  const failed = [];
+  const idMap = new Map(); // backup id -> library id
+  // Replace keeps the current library until every song from the backup is
+  // stored: new songs are written next to it, and ones with the same id wait
+  // to be written over their old copy
+  const staged = [];
+  const deferred = [];
+  let added = 0;
+  let duplicates = 0;
+  let replaced = false;
+  try {
+    const sizeIndex = mode === "merge" ? await buildLibrarySizeIndex() : new Map();
+    const total = manifest.tracks.reduce((sum, t) => {
+      const entry = entries.get(t.file);
+      return sum + (entry ? entry.size : 0);
+    }, 0);
+    let done = 0;
+
+    for (const meta of manifest.tracks) {
+      if (progress.cancelled) break;
+      const label = meta.name || meta.fileName || meta.id;
+      const entry = entries.get(meta.file);
+      if (!entry || !meta.id) {
+        failed.push(t("backup.missingFile", { label }));
+        continue;
+      }
+      const duplicate = mode === "merge" ? await findDuplicateTrack(meta, entry, sizeIndex) : idMap.get(meta.id);
+      if (duplicate) {
+        idMap.set(meta.id, duplicate);
+        duplicates++;
+        done += entry.size;
+        continue;
+      }
+      try {
+        const blob = await zipEntryBlob(file, entry, meta.type || "");
+        const crc = await crc32Blob(blob, (bytes) => {
+          done += bytes;
+          progress.update(
+            done,
+            total,
+            t("backup.restoring", { name: label, done: formatBytes(done), total: formatBytes(total) })
+          );
+        });
+        if (crc !== entry.crc) throw new Error(t("backup.checksum"));
+        const coverEntry = meta.cover ? entries.get(meta.cover) : null;
+        const cover = coverEntry ? await zipEntryBlob(file, coverEntry) : null;
+        const peaks = meta.peaks ? base64ToBytes(meta.peaks) : null;
+        const record = {
+          id: meta.id,
+          name: meta.name,
+          fileName: meta.fileName,
+          type: meta.type,
+          blob,
+          tags: meta.tags || {},
+          cover,
+          loudness: meta.loudness || null,
+          lyrics: meta.lyrics || null,
+          peaks,
+          chapters: meta.chapters,
+        };
+        const { file: _file, cover: _cover, type, tags, lyrics, ...trackMeta } = meta;
+        const track = {
+          ...trackMeta,
+          peaks,
+          url: URL.createObjectURL(blob),
+          coverUrl: cover ? URL.createObjectURL(cover) : null,
+        };
+        if (mode === "replace" && state.tracks.some((t) => t.id === meta.id)) {
+          deferred.push({ record, track });
+        } else {
+          await idbPutTrack(record);
+          if (mode === "merge") state.tracks.push(track);
+          else staged.push(track);
+        }
+        idMap.set(meta.id, meta.id);
+        added++;
+      } catch (err) {
+        console.warn("Could not restore track:", label, err);
+        failed.push(`${label} — ${err.message || err}`);
+      }
+    }
+
+    if (mode === "replace") {
+      replaced = !progress.cancelled && !failed.length;
+      if (replaced) {
+        progress.update(1, 1, t("backup.clearing"));
+        await replaceLibrary(staged, deferred);
+      } else {
+        await discardStagedTracks(staged, deferred);
+      }
+    }
+
+    if (mode === "merge" || replaced) {
+      playlists.forEach((saved) => {
+        if (!saved || !Array.isArray(saved.trackIds)) return;
+        const trackIds = saved.trackIds.map((id) => idMap.get(id)).filter(Boolean);
+        const existing = getPlaylist(saved.id);
+        if (existing) {
+          existing.trackIds.push(...trackIds.filter((id) => !existing.trackIds.includes(id)));
+          savePlaylist(existing);
+        } else {
+          const playlist = { ...saved, trackIds };
+          state.playlists.push(playlist);
+          savePlaylist(playlist);
+        }
+      });
+
+      // Plays of restored or matched songs; merging skips ones already logged
+      const logged = new Set(state.plays.map((p) => `${p.trackId}@${p.start}`));
+      (Array.isArray(manifest.plays) ? manifest.plays : []).forEach((play) => {
+        const trackId = play && idMap.get(play.trackId);
+        if (!trackId || logged.has(`${trackId}@${play.start}`)) return;
+        recordPlay({ ...play, trackId });
+      });
+      state.plays.sort((a, b) => a.start - b.start);
+    }
+  } finally {
+    saveTracks();
+    pruneQueue();
+    renderPlaylist();
+    renderHome();
+    renderQueue();
+    profileCount.textContent = state.tracks.length;
+    if (state.currentTab === "profile") renderStorage();
+    if (state.tracks.length && !audio.src) loadTrack(0);
+    progress.close();
+  }
+
+  const summary =
+    mode === "merge" || replaced ? [t("backup.restored", { count: added })] : [t("backup.notReplaced")];
+  if (duplicates) summary.push(t("import.duplicates", { count: duplicates }));
+  if (progress.cancelled) summary.push(t("import.cancelled"));
+  else if (replaced) summary.push(t("backup.reloadNotice"));
+  if (failed.length) summary.push(t("backup.failedList"));
+  await showDialog({
+    title: t("import.title"),
+    message: summary.join(" "),
+    items: failed,
+  });
+  if (replaced) {
+    // Written last, and the session isn't saved again on the way out, so
+    // nothing can overwrite the restored settings
+    sessionReady = false;
+    restoreStoredSettings(manifest.settings);
+    window.location.reload();
+  }
+}
+
+// Swaps the restored songs in for the current library, its playlists and plays
+async function replaceLibrary(staged, deferred) {
+  const swapped = new Map();
+  for (const { record, track } of deferred) {
+    try {
+      await idbPutTrack(record);
+      swapped.set(track.id, track);
+    } catch (e) {
+      // The old copy stays; it is still a song from the backup
+      console.warn("Could not replace track:", track.name, e);
+      if (track.url) URL.revokeObjectURL(track.url);
+      if (track.coverUrl) URL.revokeObjectURL(track.coverUrl);
+    }
+  }
+  const keep = new Set([...staged.map((t) => t.id), ...deferred.map((d) => d.track.id)]);
+  state.tracks = state.tracks.map((old) => {
+    const track = swapped.get(old.id);
+    if (!track) return old;
+    if (old.url) URL.revokeObjectURL(old.url);
+    if (old.coverUrl) URL.revokeObjectURL(old.coverUrl);
+    return track;
+  });
+  state.tracks.push(...staged);
+  await removeTracks(state.tracks.filter((t) => !keep.has(t.id)).map((t) => t.id));
+  for (const playlist of state.playlists) await idbDeletePlaylist(playlist.id);
+  state.playlists = [];
+  state.activePlaylistId = null;
+  state.contextPlaylistId = null;
+  await idbClearPlays();
+  state.plays = [];
+}
+
+// An unfinished Replace leaves the library as it was
+async function discardStagedTracks(staged, deferred) {
+  [...staged, ...deferred.map((d) => d.track)].forEach((track) => {
+    if (track.url) URL.revokeObjectURL(track.url);
+    if (track.coverUrl) URL.revokeObjectURL(track.coverUrl);
+  });
+  for (const track of staged) {
+    try {
+      await idbDeleteTrack(track.id);
+    } catch (e) {
+      console.warn("Unable to delete staged track:", e);
+    }
+  }
+}
+
+function restoreStoredSettings(settings) {
+  Object.entries(settings || {}).forEach(([key, value]) => {
+    if (!key.startsWith("flowmusic_") || key === STORAGE_KEY_TRACKS) return;
+    try {
+      localStorage.setItem(key, value);
+    } catch (e) {
+      console.warn("Unable to restore setting:", key, e);
+    }
+  });
+}
+
+// Drag & drop handling
+function preventDefaults(e) {
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+function isFileDrag(e) {
+  return !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes("Files");
+}
+
+["dragenter", "dragover", "dragleave", "drop"].forEach((event) => {
+  document.addEventListener(event, (e) => {
+    // Reordering list items is handled by enableDragReorder
+    if (!isFileDrag(e)) return;
+    if (event === "dragover" || event === "dragenter") {
+      preventDefaults(e);
+      dropZone.classList.add("drag-over");
+    } else if (event === "dragleave") {
+      preventDefaults(e);
+      if (!dropZone.contains(e.relatedTarget)) {
+        dropZone.classList.remove("drag-over");
+      }
+    } else if (event === "drop") {
+      preventDefaults(e);
+      dropZone.classList.remove("drag-over");
+      if (e.dataTransfer) importDroppedItems(e.dataTransfer);
+    }
+  });
+});
+
+// Search within "Менің әндерім": fuzzy, field-aware and indifferent to Cyrillic vs Latin
+const SEARCH_FIELDS = { name: 3, artist: 2, album: 1.5, genre: 1 }; // field -> weight
+const SEARCH_FIELD_ALIASES = {
+  title: "name",
+  name: "name",
+  artist: "artist",
+  album: "album",
+  genre: "genre",
+  tag: "genre",
+};
+const SEARCH_RESULT_LIMIT = 200;
+const SEARCH_DEBOUNCE_MS = 80;
+// Kazakh and Russian letters folded to what people type on a Latin keyboard
+const CYRILLIC_TO_LATIN = {
+  а: "a", ә: "a", б: "b", в: "v", г: "g", ғ: "g", д: "d", е: "e", ё: "e", ж: "zh",
+  з: "z", и: "i", й: "i", і: "i", к: "k", қ: "k", л: "l", м: "m", н: "n", ң: "n",
+  о: "o", ө: "o", п: "p", р: "r", с: "s", т: "t", у: "u", ұ: "u", ү: "u", ф: "f",
+  х: "h", һ: "h", ц: "ts", ч: "ch", ш: "sh", щ: "sch", ъ: "", ы: "y", ь: "", э: "e",
+  ю: "yu", я: "ya",
+};
+
+let searchTimer = null;
+let searchActiveIndex = -1;
+const searchIndexCache = new WeakMap(); // track -> { key, fields }
+
+// Lowercase Latin form of a string; map[i] is the source index of folded char i
+function foldText(value) {
+  const source = value === null || value === undefined ? "" : String(value);
+  const chars = [];
+  const map = [];
+  for (let i = 0; i < source.length; i++) {
+    const lower = source[i].toLowerCase();
+    let latin = CYRILLIC_TO_LATIN[lower];
+    if (latin === undefined) latin = lower.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    for (const ch of latin) {
+      chars.push(ch);
+      map.push(i);
+    }
+  }
+  const text = chars.join("");
+  const words = [];
+  text.replace(/[a-z0-9]+/g, (word, start) => {
+    words.push({ word, start, mask: letterMask(word) });
+    return word;
+  });
+  return { text, map, words, mask: letterMask(text) };
+}
+
+// Bit per letter a-z plus one for digits, to rule out matches before comparing strings
+function letterMask(text) {
+  let mask = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code >= 97 && code <= 122) mask |= 1 << (code - 97);
+    else if (code >= 48 && code <= 57) mask |= 1 << 26;
+  }
+  return mask;
+}
+
+function bitCount(mask) {
+  let count = 0;
+  for (let m = mask; m; m &= m - 1) count++;
+  return count;
+}
+
+// Folded fields are cached per track and rebuilt only when its tags change
+function searchFieldsOf(track) {
+  const key = `${track.name}\u0000${track.artist}\u0000${track.album}\u0000${track.genre}`;
+  const cached = searchIndexCache.get(track);
+  if (cached && cached.key === key) return cached.fields;
+  const fields = {};
+  Object.keys(SEARCH_FIELDS).forEach((name) => {
+    fields[name] = foldText(track[name]);
+  });
+  searchIndexCache.set(track, { key, fields });
+  return fields;
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = range(0, b.length + 1);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function range(from, to) {
+  return Array.from({ length: to - from }, (_, i) => from + i);
+}
+
+// Best way `token` occurs in a folded field -> { score, positions } or null
+function matchToken(token, field, tokenMask = letterMask(token)) {
+  const text = field.text;
+  if (!token || !text) return null;
+  // Each letter of the token missing from the field costs at least one edit
+  const missing = bitCount(tokenMask & ~field.mask);
+  if (missing > (token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0)) return null;
+
+  const at = text.indexOf(token);
+  if (at >= 0) {
+    const wordStart = at === 0 || !/[a-z0-9]/.test(text[at - 1]);
+    const whole = token.length === text.length;
+    return { score: 10 + (wordStart ? 6 : 0) + (whole ? 4 : 0), positions: range(at, at + token.length) };
+  }
+
+  // Letters in order with gaps, e.g. "dfpk" for "daft punk"
+  if (!missing && token.length >= 3) {
+    const positions = [];
+    let pos = 0;
+    for (const ch of token) {
+      pos = text.indexOf(ch, pos);
+      if (pos < 0) break;
+      positions.push(pos++);
+    }
+    const spread = positions.length === token.length
+      ? positions[positions.length - 1] - positions[0] + 1 - token.length
+      : Infinity;
+    if (spread <= token.length * 2) return { score: Math.max(1, 7 - spread * 0.5), positions };
+  }
+
+  // Typos: one edit per word of 4+ letters, two from 7, also against the start of a word
+  if (token.length < 4) return null;
+  const maxEdits = token.length >= 7 ? 2 : 1;
+  let best = null;
+  field.words.forEach(({ word, start, mask }) => {
+    if (bitCount(tokenMask & ~mask) > maxEdits) return;
+    const distance = Math.min(
+      editDistance(token, word, maxEdits),
+      word.length > token.length ? editDistance(token, word.slice(0, token.length), maxEdits) : maxEdits + 1
+    );
+    if (distance > maxEdits) return;
+    const score = 6 - distance * 2;
+    if (!best || score > best.score) {
+      best = { score, positions: range(start, start + Math.min(word.length, token.length)) };
+    }
+  });
+  return best;
+}
+
+// "5m", "90s", "3:30", "1h" -> seconds
+function parseDurationValue(value) {
+  const clock = value.match(/^(\d+):(\d{1,2})$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+  const unit = value.match(/^(\d+(?:\.\d+)?)\s*(h|m|min|s|sec)?$/);
+  if (!unit) return null;
+  const n = parseFloat(unit[1]);
+  if (unit[2] === "h") return n * 3600;
+  if (unit[2] === "m" || unit[2] === "min") return n * 60;
+  return n;
+}
+
+// duration:>5m, year:<=2010, duration:3m-5m
+function parseSearchFilter(field, raw) {
+  const parse = field === "duration" ? parseDurationValue : (v) => (/^\d+$/.test(v) ? Number(v) : null);
+  const between = raw.match(/^([^<>=]+)-([^<>=]+)$/);
+  if (between) {
+    const min = parse(between[1]);
+    const max = parse(between[2]);
+    return min === null || max === null ? null : { field, min, max };
+  }
+  const m = raw.match(/^(>=|<=|>|<|=)?(.+)$/);
+  const value = m ? parse(m[2]) : null;
+  return value === null ? null : { field, op: m[1] || "=", value };
+}
+
+// -> { terms: [{ field, text }], filters: [{ field, op, value } | { field, min, max }] }
+function parseSearchQuery(query) {
+  const terms = [];
+  const filters = [];
+  const pattern = /([a-z]+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/gi;
+  let m;
+  while ((m = pattern.exec(query))) {
+    const addTerms = (text, field = null) => {
+      text.split(/\s+/).forEach((part) => {
+        const folded = foldText(part).text;
+        if (/[a-z0-9]/.test(folded)) terms.push({ field, text: folded, mask: letterMask(folded) });
+      });
+    };
+    if (m[1]) {
+      const key = m[1].toLowerCase();
+      const value = m[2].replace(/^"|"$/g, "");
+      if (key === "duration" || key === "len" || key === "year") {
+        const filter = parseSearchFilter(key === "len" ? "duration" : key, value);
+        if (filter) filters.push(filter);
+      } else if (SEARCH_FIELD_ALIASES[key]) {
+        addTerms(value, SEARCH_FIELD_ALIASES[key]);
+      } else {
+        addTerms(m[0]);
+      }
+    } else {
+      addTerms(m[3] !== undefined ? m[3] : m[4]);
+    }
+  }
+  return { terms, filters };
+}
+
+function passesSearchFilter(track, filter) {
+  const raw = filter.field === "duration" ? track.duration : parseInt(track.year, 10);
+  if (!Number.isFinite(raw) || !raw) return false;
+  // Durations are compared in whole seconds so "duration:3:30" matches 3:30.4
+  const value = filter.field === "duration" ? Math.floor(raw) : raw;
+  if (filter.min !== undefined) return value >= filter.min && value <= filter.max;
+  switch (filter.op) {
+    case ">": return value > filter.value;
+    case "<": return value < filter.value;
+    case ">=": return value >= filter.value;
+    case "<=": return value <= filter.value;
+    default: return value === filter.value;
+  }
+}
+
+// Every term has to match some field; -> [{ track, score, highlights: { field: Set of char indices } }]
+function searchTracks(tracks, query) {
+  const { terms, filters } = parseSearchQuery(query);
+  if (!terms.length && !filters.length) return [];
+  const results = [];
+  tracks.forEach((track) => {
+    if (!filters.every((f) => passesSearchFilter(track, f))) return;
+    const fields = searchFieldsOf(track);
+    const highlights = {};
+    let score = 0;
+    for (const term of terms) {
+      let best = null;
+      (term.field ? [term.field] : Object.keys(SEARCH_FIELDS)).forEach((name) => {
+        const match = matchToken(term.text, fields[name], term.mask);
+        if (!match) return;
+        const weighted = match.score * SEARCH_FIELDS[name];
+        if (!best || weighted > best.score) best = { name, score: weighted, positions: match.positions };
+      });
+      if (!best) return;
+      score += best.score;
+      const marks = highlights[best.name] || (highlights[best.name] = new Set());
+      best.positions.forEach((p) => marks.add(fields[best.name].map[p]));
+    }
+    results.push({ track, score, highlights });
+  });
+  return results.sort((a, b) => b.score - a.score || a.track.name.localeCompare(b.track.name));
+}
+
+function appendHighlighted(el, text, indices) {
+  el.textContent = "";
+  if (!indices || !indices.size) {
+    el.textContent = text;
+    return;
+  }
+  let run = "";
+  let marked = false;
+  const flush = () => {
+    if (!run) return;
+    if (marked) {
+      const mark = document.createElement("mark");
+      mark.textContent = run;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(run));
+    }
+    run = "";
+  };
+  for (let i = 0; i < text.length; i++) {
+    const hit = indices.has(i);
+    if (hit !== marked) {
+      flush();
+      marked = hit;
+    }
+    run += text[i];
+  }
+  flush();
+}
+
+function buildSearchResult({ track, highlights }) {
+  const li = buildTrackItem(track);
+  li.dataset.trackId = track.id;
+  appendHighlighted(li.querySelector(".title"), track.name, highlights.name);
+  const artistEl = li.querySelector(".artist");
+  if (artistEl) appendHighlighted(artistEl, track.artist, highlights.artist);
+  // Album and genre aren't shown in the list, so say why the song matched
+  ["album", "genre"].forEach((field) => {
+    if (!highlights[field]) return;
+    const extra = document.createElement("span");
+    extra.className = "artist";
+    appendHighlighted(extra, track[field], highlights[field]);
+    li.querySelector(".info").appendChild(extra);
+  });
+  li.addEventListener("click", () => playSearchResult(track));
+  return li;
+}
+
+function playSearchResult(track) {
+  const idx = state.tracks.findIndex((t) => t.id === track.id);
+  if (idx >= 0) playIndex(idx);
+}
+
+function renderSearchResults() {
+  clearTimeout(searchTimer);
+  searchTimer = null;
+  searchActiveIndex = -1;
+  searchResults.innerHTML = "";
+  const query = searchInput.value.trim();
+  if (!query) return;
+  const matches = searchTracks(state.tracks, query);
+  if (!matches.length) {
+    const li = document.createElement("li");
+    li.className = "playlist-item";
+    li.style.opacity = "0.6";
+    li.textContent = t("search.noResults");
+    searchResults.appendChild(li);
+    return;
+  }
+  const fragment = document.createDocumentFragment();
+  matches.slice(0, SEARCH_RESULT_LIMIT).forEach((result) => fragment.appendChild(buildSearchResult(result)));
+  if (matches.length > SEARCH_RESULT_LIMIT) {
+    const more = document.createElement("li");
+    more.className = "playlist-item";
+    more.style.opacity = "0.6";
+    more.textContent = t("search.more", { count: matches.length - SEARCH_RESULT_LIMIT });
+    fragment.appendChild(more);
+  }
+  searchResults.appendChild(fragment);
+}
+
+// Typing re-searches after a short pause rather than on every keystroke
+function handleSearchInput() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(renderSearchResults, SEARCH_DEBOUNCE_MS);
+}
+
+function setSearchActive(index) {
+  const items = searchResults.querySelectorAll(".playlist-item[data-track-id]");
+  if (!items.length) return;
+  searchActiveIndex = Math.max(0, Math.min(items.length - 1, index));
+  items.forEach((li, i) => li.classList.toggle("focused", i === searchActiveIndex));
+  items[searchActiveIndex].scrollIntoView({ block: "nearest" });
+}
+
+function handleSearchKeydown(e) {
+  // Keys act on the results for what is typed now, not the last debounced search
+  if (searchTimer && ["ArrowDown", "ArrowUp", "Enter"].includes(e.key)) renderSearchResults();
+  if (e.key === "ArrowDown") {
+    e.preventDefault();
+    setSearchActive(searchActiveIndex + 1);
+  } else if (e.key === "ArrowUp") {
+    e.preventDefault();
+    setSearchActive(searchActiveIndex - 1);
+  } else if (e.key === "Enter") {
+    const items = searchResults.querySelectorAll(".playlist-item[data-track-id]");
+    const li = items[Math.max(0, searchActiveIndex)];
+    const track = li && state.tracks.find((t) => t.id === li.dataset.trackId);
+    if (track) playSearchResult(track);
+  } else if (e.key === "Escape" && searchInput.value) {
+    searchInput.value = "";
+    renderSearchResults();
+  }
+}
+
+searchInput.addEventListener("input", handleSearchInput);
+searchInput.addEventListener("keydown", handleSearchKeydown);
+
+// File input
+fileInput.addEventListener("change", (e) => {
+  if (e.target.files) importFiles(e.target.files);
+  fileInput.value = "";
+});
+
+folderInput.addEventListener("change", (e) => {
+  if (e.target.files) importFiles(e.target.files);
+  folderInput.value = "";
+});
+
+// Buttons
+btnPlay.addEventListener("click", togglePlayPause);
+btnResume.addEventListener("click", play);
+btnPrev.addEventListener("click", prevTrack);
+btnNext.addEventListener("click", nextTrack);
+btnShuffle.addEventListener("click", toggleShuffle);
+btnRepeat.addEventListener("click", cycleRepeatMode);
+btnPlaylistNew.addEventListener("click", handleNewPlaylist);
+btnPlaylistRename.addEventListener("click", handleRenamePlaylist);
+btnPlaylistDuplicate.addEventListener("click", handleDuplicatePlaylist);
+btnPlaylistDelete.addEventListener("click", handleDeletePlaylist);
+btnSelectMode.addEventListener("click", () => setSelecting(!state.isSelecting));
+btnRemoveSelected.addEventListener("click", handleRemoveSelected);
+btnPlaylistExport.addEventListener("click", (e) => {
+  e.stopPropagation();
+  openExportMenu(btnPlaylistExport);
+});
+btnFindOrphans.addEventListener("click", handleFindOrphans);
+btnBackupExport.addEventListener("click", exportLibraryBackup);
+btnBackupImport.addEventListener("click", () => backupFileInput.click());
+backupFileInput.addEventListener("change", () => {
+  const file = backupFileInput.files && backupFileInput.files[0];
+  backupFileInput.value = "";
+  if (file) importLibraryBackup(file);
+});
+btnQueue.addEventListener("click", () => toggleDrawer(queuePanel));
+btnQueueClose.addEventListener("click", () => toggleDrawer(queuePanel, false));
+btnQueueClear.addEventListener("click", clearQueue);
+enableDragReorder(queueListEl, moveQueueItem);
+btnEq.addEventListener("click", () => toggleDrawer(eqPanel));
+btnEqClose.addEventListener("click", () => toggleDrawer(eqPanel, false));
+btnSettings.addEventListener("click", () => toggleDrawer(settingsPanel));
+btnSleep.addEventListener("click", () => toggleDrawer(sleepPanel));
+btnSettingsClose.addEventListener("click", () => toggleDrawer(settingsPanel, false));
+optGapless.addEventListener("change", () => {
+  transitionSettings.gapless = optGapless.checked;
+  saveTransitionSettings();
+});
+optCrossfade.addEventListener("input", () => {
+  transitionSettings.crossfade = parseFloat(optCrossfade.value) || 0;
+  optCrossfadeValue.textContent = formatCrossfade(transitionSettings.crossfade);
+  saveTransitionSettings();
+});
+optFadeCurve.addEventListener("change", () => {
+  transitionSettings.curve = optFadeCurve.value;
+  saveTransitionSettings();
+});
+optVisMode.addEventListener("change", () => setVisualizer({ mode: optVisMode.value }));
+optVisTheme.addEventListener("change", () => setVisualizer({ theme: optVisTheme.value }));
+optVisSensitivity.addEventListener("input", () =>
+  setVisualizer({ sensitivity: parseFloat(optVisSensitivity.value) || 1 })
+);
+optVisSmoothing.addEventListener("input", () =>
+  setVisualizer({ smoothing: parseFloat(optVisSmoothing.value) || 0 })
+);
+btnVisMode.addEventListener("click", cycleVisualizerMode);
+btnVisFullscreen.addEventListener("click", toggleVisualizerFullscreen);
+waveCanvas.addEventListener("dblclick", toggleVisualizerFullscreen);
+document.addEventListener("fullscreenchange", handleFullscreenChange);
+document.addEventListener("webkitfullscreenchange", handleFullscreenChange);
+optNormalize.addEventListener("change", () => setNormalization({ mode: optNormalize.value }));
+optNormalizeTarget.addEventListener("change", () =>
+  setNormalization({ target: Number(optNormalizeTarget.value) })
+);
+optLimiter.addEventListener("change", () => setNormalization({ limiter: optLimiter.checked }));
+btnAnalyseMissing.addEventListener("click", () => handleAnalyseLibrary(false));
+btnAnalyseAll.addEventListener("click", () => handleAnalyseLibrary(true));
+eqEnabledInput.addEventListener("change", () => setEqEnabled(eqEnabledInput.checked));
+eqPresetSelect.addEventListener("change", () => applyEqPreset(eqPresetSelect.value));
+btnEqSave.addEventListener("click", saveCustomEqPreset);
+btnEqDelete.addEventListener("click", deleteCustomEqPreset);
+enableDragReorder(playlistEl, movePlaylistItem);
+
+// Audio events (only the active deck drives the UI)
+decks.forEach((deck) => {
+  deck.addEventListener("timeupdate", () => {
+    if (deck === audio) handleTimeUpdate();
+  });
+  deck.addEventListener("loadedmetadata", () => {
+    if (deck === audio) handleLoadedMetadata();
+  });
+  deck.addEventListener("ended", () => {
+    if (deck === audio) handleEnded();
+  });
+  deck.addEventListener("seeking", () => {
+    // A seek is not playback running past B, so the A–B loop lets it through
+    if (deck === audio) abLastPos = audio.currentTime;
+  });
+  deck.addEventListener("seeked", () => {
+    if (deck === audio) updateMediaPosition();
+  });
+});
+
+// Range inputs
+seekBar.addEventListener("input", handleSeekInput);
+seekWaveEl.addEventListener("pointermove", handleSeekHover);
+seekWaveEl.addEventListener("pointerleave", handleSeekLeave);
+volumeBar.addEventListener("input", handleVolumeInput);
+
+// Lyrics: LRC or plain text kept on the track's IndexedDB record as
+// { text, offset, source }, where offset (s) moves every line later
+const LYRICS_OFFSET_STEP = 0.25;
+
+let currentLyrics = null; // { trackId, stored, synced, lines: [{ time, text }] }
+let lyricsActiveLine = -1;
+
+function isLyricsFile(file) {
+  return /\.lrc$/i.test(file.name);
+}
+
+function formatLrcTime(sec) {
+  const m = Math.floor(sec / 60);
+  const s = sec - m * 60;
+  return `${String(m).padStart(2, "0")}:${s.toFixed(2).padStart(5, "0")}`;
+}
+
+function buildLrc(lines) {
+  return lines.map((line) => `[${formatLrcTime(line.time)}]${line.text}`).join("\n");
+}
+
+// -> { synced, lines: [{ time, text }] }; synced times include the file's [offset:] tag
+function parseLrc(text) {
+  let fileOffset = 0;
+  const timed = [];
+  const plain = [];
+  String(text || "").split(/\r?\n/).forEach((raw) => {
+    let rest = raw.trim();
+    const offset = rest.match(/^\[offset:\s*([+-]?\d+)\s*\]$/i);
+    if (offset) {
+      fileOffset = parseInt(offset[1], 10) / 1000;
+      return;
+    }
+    const times = [];
+    let m;
+    // A line can carry several timestamps when it repeats, e.g. a chorus
+    while ((m = rest.match(/^\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/))) {
+      const fraction = m[3] ? parseInt(m[3], 10) / 10 ** m[3].length : 0;
+      times.push(Number(m[1]) * 60 + Number(m[2]) + fraction);
+      rest = rest.slice(m[0].length).trim();
+    }
+    // Word timings of enhanced LRC are dropped
+    rest = rest.replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, "").trim();
+    if (times.length) times.forEach((time) => timed.push({ time, text: rest }));
+    else if (!/^\[[a-z]+:.*\]$/i.test(rest)) plain.push({ time: null, text: rest });
+  });
+  if (timed.length) {
+    // A positive [offset:] shows lines sooner
+    const lines = timed
+      .map((line) => ({ time: Math.max(0, line.time - fileOffset), text: line.text }))
+      .sort((a, b) => a.time - b.time);
+    return { synced: true, lines };
+  }
+  while (plain.length && !plain[0].text) plain.shift();
+  while (plain.length && !plain[plain.length - 1].text) plain.pop();
+  return { synced: false, lines: plain };
+}
+
+function setLyrics(trackId, stored) {
+  const parsed = stored ? parseLrc(stored.text) : { synced: false, lines: [] };
+  currentLyrics = trackId ? { trackId, stored: stored || null, ...parsed } : null;
+  lyricsActiveLine = -1;
+  renderLyrics();
+}
+
+async function loadLyrics(track) {
+  setLyrics(track.id, null);
+  try {
+    const rec = await idbGetTrack(track.id);
+    // Another track may have been loaded meanwhile
+    if (!currentLyrics || currentLyrics.trackId !== track.id) return;
+    setLyrics(track.id, rec ? rec.lyrics : null);
+  } catch (e) {
+    console.warn("Unable to load lyrics:", e);
+  }
+}
+
+async function saveTrackLyrics(trackId, lyrics) {
+  // Shown before the write, so quick offset nudges each build on the last one
+  if (currentLyrics && currentLyrics.trackId === trackId) setLyrics(trackId, lyrics);
+  const found = await idbUpdateTrack(trackId, (rec) => {
+    rec.lyrics = lyrics;
+  });
+  if (!found) throw new Error(t("lyrics.notStored"));
+}
+
+// .lrc files match songs with the same file name, preferring songs from the same drop and folder
+function findLyricsTrack({ file, path }, imported) {
+  const stem = baseName(file.name).toLowerCase();
+  const sameStem = (t) => baseName(t.fileName || t.name).toLowerCase() === stem;
+  const fresh = imported.filter(sameStem);
+  const dir = path ? path.slice(0, path.lastIndexOf("/") + 1) : null;
+  const sameDir = dir && fresh.find((t) => t.path && t.path.slice(0, t.path.lastIndexOf("/") + 1) === dir);
+  if (sameDir || fresh.length) return sameDir || fresh[0];
+  const library = state.tracks.filter(sameStem);
+  return library.length === 1 ? library[0] : null;
+}
+
+// -> labels of lyrics files that matched no song
+async function attachLyricsFiles(entries, imported) {
+  const unmatched = [];
+  for (const entry of entries) {
+    const label = entry.path || entry.file.name;
+    const track = findLyricsTrack(entry, imported);
+    if (!track) {
+      unmatched.push(label);
+      continue;
+    }
+    try {
+      const text = await readTextFile(entry.file);
+      await saveTrackLyrics(track.id, { text, offset: 0, source: "file" });
+    } catch (err) {
+      console.warn("Failed to attach lyrics:", label, err);
+      unmatched.push(label);
+    }
+  }
+  return unmatched;
+}
+
+function lyricsOffset() {
+  return (currentLyrics && currentLyrics.stored && currentLyrics.stored.offset) || 0;
+}
+
+function renderLyrics() {
+  lyricsActiveLine = -1;
+  lyricsView.innerHTML = "";
+  const synced = !!(currentLyrics && currentLyrics.synced);
+  const offset = lyricsOffset();
+  lyricsOffsetEl.textContent = `${offset > 0 ? "+" : ""}${offset.toFixed(2)} s`;
+  btnLyricsEarlier.disabled = !synced;
+  btnLyricsLater.disabled = !synced;
+  btnLyricsEdit.disabled = !currentLyrics;
+  lyricsView.classList.toggle("synced", synced);
+
+  if (!currentLyrics || !currentLyrics.lines.length) {
+    const empty = document.createElement("p");
+    empty.className = "lyrics-empty";
+    empty.textContent = t(currentLyrics ? "lyrics.none" : "lyrics.noSong");
+    lyricsView.appendChild(empty);
+    return;
+  }
+  currentLyrics.lines.forEach((line, index) => {
+    const p = document.createElement("p");
+    p.className = "lyrics-line";
+    p.textContent = line.text || "♪";
+    if (synced) {
+      p.dataset.index = index;
+      p.title = formatTime(line.time + offset);
+    }
+    lyricsView.appendChild(p);
+  });
+  updateLyricsHighlight();
+}
+
+// Called from timeupdate; marks the last line whose time has passed
+function updateLyricsHighlight() {
+  if (!currentLyrics || !currentLyrics.synced) return;
+  const t = audio.currentTime - lyricsOffset();
+  const lines = currentLyrics.lines;
+  let lo = 0;
+  let hi = lines.length - 1;
+  let index = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (lines[mid].time <= t) {
+      index = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  if (index === lyricsActiveLine) return;
+  const items = lyricsView.querySelectorAll(".lyrics-line");
+  if (items[lyricsActiveLine]) items[lyricsActiveLine].classList.remove("current");
+  lyricsActiveLine = index;
+  const current = items[index];
+  if (!current) return;
+  current.classList.add("current");
+  if (!lyricsPanel.classList.contains("hidden")) {
+    lyricsView.scrollTop = current.offsetTop - lyricsView.clientHeight / 2 + current.offsetHeight / 2;
+  }
+}
+
+function handleLyricsClick(e) {
+  const line = e.target.closest(".lyrics-line[data-index]");
+  if (!line || !currentLyrics) return;
+  seekTo(currentLyrics.lines[Number(line.dataset.index)].time + lyricsOffset());
+  updateLyricsHighlight();
+}
+
+function adjustLyricsOffset(delta) {
+  if (!currentLyrics || !currentLyrics.stored) return;
+  const offset = Math.round((lyricsOffset() + delta) * 100) / 100;
+  saveTrackLyrics(currentLyrics.trackId, { ...currentLyrics.stored, offset }).catch((e) =>
+    console.warn("Unable to save lyrics offset:", e)
+  );
+}
+
+async function openLyricsEditor(track) {
+  let rec = null;
+  try {
+    rec = await idbGetTrack(track.id);
+  } catch (e) {
+    console.warn("Unable to load lyrics:", e);
+  }
+  const stored = rec ? rec.lyrics : null;
+  const box = openModal(t("lyrics.editorTitle", { name: track.name }), () => {});
+  const hint = document.createElement("p");
+  hint.className = "modal-message";
+  hint.textContent = t("lyrics.editorHint");
+  const input = document.createElement("textarea");
+  input.className = "modal-textarea";
+  input.rows = 12;
+  input.value = stored ? stored.text : "";
+  box.appendChild(hint);
+  box.appendChild(input);
+
+  const save = (lyrics) => {
+    closeDialog();
+    saveTrackLyrics(track.id, lyrics).catch((err) => {
+      console.warn("Unable to save lyrics:", err);
+      showDialog({ title: t("lyrics.saveFailed"), message: String(err.message || err) });
+    });
+  };
+  const buttons = [];
+  if (stored) buttons.push(buildModalButton(t("lyrics.remove"), () => save(null), true));
+  buttons.push(buildModalButton(t("common.cancel"), closeDialog));
+  buttons.push(
+    buildModalButton(t("common.save"), () => {
+      const text = input.value.trim();
+      save(text ? { text, offset: stored ? stored.offset || 0 : 0, source: "pasted" } : null);
+    })
+  );
+  appendModalActions(box, buttons);
+  input.focus();
+}
+
+lyricsView.addEventListener("click", handleLyricsClick);
+btnLyricsEarlier.addEventListener("click", () => adjustLyricsOffset(-LYRICS_OFFSET_STEP));
+btnLyricsLater.addEventListener("click", () => adjustLyricsOffset(LYRICS_OFFSET_STEP));
+btnLyricsEdit.addEventListener("click", () => {
+  const track = currentLyrics && state.tracks.find((t) => t.id === currentLyrics.trackId);
+  if (track) openLyricsEditor(track);
+});
+btnLyricsClose.addEventListener("click", () => toggleDrawer(lyricsPanel, false));
+btnLyrics.addEventListener("click", () => toggleDrawer(lyricsPanel));
+
+// Long-form audio (podcasts, audiobooks): each track keeps its own position,
+// a finished flag and named bookmarks; chapters come from the file's tags
+const LONG_FORM_MIN_SEC = 20 * 60; // longer tracks are long-form unless switched off
+const LONG_FORM_DONE_SEC = 15; // stopping this close to the end counts as finished
+
+// track id -> { mode: "on" | "off", position, finished, bookmarks: [{ id, time, name }] }
+let longFormByTrack = {};
+let activeChapterIndex = -1;
+
+function loadLongFormState() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_LONGFORM);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === "object") longFormByTrack = parsed;
+  } catch (e) {
+    console.warn("Unable to load long-form progress:", e);
+  }
+}
+
+function saveLongFormState() {
+  try {
+    localStorage.setItem(STORAGE_KEY_LONGFORM, JSON.stringify(longFormByTrack));
+  } catch (e) {
+    console.warn("Unable to save long-form progress:", e);
+  }
+}
+
+function longFormEntry(trackId) {
+  return longFormByTrack[trackId] || {};
+}
+
+// Undefined fields are dropped, and so is an entry left with nothing in it
+function updateLongFormEntry(trackId, patch) {
+  const entry = { ...longFormByTrack[trackId], ...patch };
+  Object.keys(entry).forEach((key) => {
+    if (entry[key] === undefined) delete entry[key];
+  });
+  if (entry.bookmarks && !entry.bookmarks.length) delete entry.bookmarks;
+  if (!entry.mode && !entry.position && !entry.finished && !entry.bookmarks) delete longFormByTrack[trackId];
+  else longFormByTrack[trackId] = entry;
+  saveLongFormState();
+}
+
+function autoLongForm(track) {
+  return (track.duration || 0) >= LONG_FORM_MIN_SEC || !!(track.chapters && track.chapters.length > 1);
+}
+
+function isLongForm(track) {
+  const { mode } = longFormEntry(track.id);
+  return mode ? mode === "on" : autoLongForm(track);
+}
+
+// An explicit choice that matches the automatic one goes back to automatic
+function setLongForm(track, on) {
+  updateLongFormEntry(track.id, { mode: on === autoLongForm(track) ? undefined : on ? "on" : "off" });
+  renderPlaylist();
+  renderQueue();
+  renderSearchResults();
+  if (track.id === audio.dataset.trackId) renderBookmarks();
+}
+
+function setLongFormFinished(track, finished) {
+  updateLongFormEntry(track.id, { position: undefined, finished: finished || undefined });
+  refreshLongFormStatus(track);
+}
+
+// Stores where the loaded long-form track is: while it plays, on pause and
+// before another track replaces it
+function rememberProgress() {
+  // Off while a restore reloads the page, like saveSession
+  if (!sessionReady) return;
+  const track = state.tracks.find((t) => t.id === audio.dataset.trackId);
+  // A resume position that hasn't been applied yet is still the right one
+  if (!track || resumePosition !== null || !isLongForm(track)) return;
+  const duration = audio.duration || track.duration || 0;
+  const pos = audio.currentTime || 0;
+  if (duration && duration - pos <= LONG_FORM_DONE_SEC) {
+    updateLongFormEntry(track.id, { position: undefined, finished: true });
+  } else if (pos >= 1) {
+    updateLongFormEntry(track.id, { position: Math.floor(pos), finished: undefined });
+  }
+  refreshLongFormStatus(track);
+}
+
+// Called from loadTrack: a long-form track starts where it was left
+function resumeLongForm(track, { handoff = false } = {}) {
+  if (!isLongForm(track)) return;
+  const { position } = longFormEntry(track.id);
+  if (position >= 1) setResumePosition(position, { handoff });
+}
+
+// "Finished", "Not started" or a progress bar with the time left
+function buildLongFormStatus(track) {
+  const { position, finished } = longFormEntry(track.id);
+  const status = document.createElement("span");
+  status.className = "longform-status";
+  if (finished) {
+    status.classList.add("finished");
+    status.textContent = `✓ ${t("longform.finished")}`;
+  } else if (position && track.duration) {
+    const bar = document.createElement("span");
+    bar.className = "longform-progress";
+    const fill = document.createElement("span");
+    fill.style.width = `${Math.min(100, (position / track.duration) * 100)}%`;
+    bar.appendChild(fill);
+    status.appendChild(bar);
+    status.append(t("longform.left", { time: formatListenTime(track.duration - position) }));
+  } else {
+    status.textContent = t("longform.notStarted");
+  }
+  return status;
+}
+
+function refreshLongFormStatus(track) {
+  document.querySelectorAll(".playlist-item .longform-status").forEach((el) => {
+    if (el.closest(".playlist-item").dataset.trackId === track.id) el.replaceWith(buildLongFormStatus(track));
+  });
+  if (track.id === audio.dataset.trackId && !bookmarksPanel.classList.contains("hidden")) renderLongFormControls(track);
+}
+
+// Records stored before chapter support are read for chapters the first time
+// their track is loaded rather than all at once on startup
+async function backfillChapters(track) {
+  track.chapters = null;
+  try {
+    const rec = await idbGetTrack(track.id);
+    if (!rec || !rec.blob || rec.chapters !== undefined) {
+      track.chapters = rec ? rec.chapters || null : null;
+    } else {
+      const { chapters } = readTags(await rec.blob.arrayBuffer());
+      await idbUpdateTrack(track.id, (fresh) => {
+        fresh.chapters = chapters;
+      });
+      track.chapters = chapters;
+    }
+  } catch (e) {
+    console.warn("Could not read chapters:", e);
+    return;
+  }
+  if (!track.chapters) return;
+  refreshLongFormStatus(track);
+  if (track.id === audio.dataset.trackId) {
+    renderBookmarks();
+    drawSeekWave();
+  }
+}
+
+// Chapters: [{ start, title }] sorted by start, from readTags
+function chapterIndexAt(chapters, time) {
+  let index = -1;
+  (chapters || []).forEach((chapter, i) => {
+    if (chapter.start <= time + 0.001) index = i;
+  });
+  return index;
+}
+
+function chapterTitle(chapters, index) {
+  return chapters[index].title || t("longform.chapter", { n: index + 1 });
+}
+
+function loadedTrack() {
+  return state.tracks.find((t) => t.id === audio.dataset.trackId) || null;
+}
+
+function jumpTo(time) {
+  seekTo(time);
+  if (!state.isPlaying) play();
+}
+
+function addBookmark() {
+  const track = loadedTrack();
+  if (!track) return;
+  const time = audio.currentTime || 0;
+  const chapterIndex = chapterIndexAt(track.chapters, time);
+  const suggested = chapterIndex >= 0
+    ? `${chapterTitle(track.chapters, chapterIndex)} • ${formatTime(time)}`
+    : t("longform.bookmarkAt", { time: formatTime(time) });
+  const name = window.prompt(t("longform.bookmarkName"), suggested);
+  if (name === null) return;
+  const bookmarks = [...(longFormEntry(track.id).bookmarks || []), { id: createId(), time, name: name.trim() || suggested }];
+  bookmarks.sort((a, b) => a.time - b.time);
+  updateLongFormEntry(track.id, { bookmarks });
+  renderBookmarks();
+}
+
+function renameBookmark(track, bookmarkId) {
+  const bookmarks = (longFormEntry(track.id).bookmarks || []).map((b) => ({ ...b }));
+  const bookmark = bookmarks.find((b) => b.id === bookmarkId);
+  if (!bookmark) return;
+  const name = window.prompt(t("longform.bookmarkName"), bookmark.name);
+  if (!name || !name.trim()) return;
+  bookmark.name = name.trim();
+  updateLongFormEntry(track.id, { bookmarks });
+  renderBookmarks();
+}
+
+function deleteBookmark(track, bookmarkId) {
+  const bookmarks = (longFormEntry(track.id).bookmarks || []).filter((b) => b.id !== bookmarkId);
+  updateLongFormEntry(track.id, { bookmarks });
+  renderBookmarks();
+}
+
+function buildTimeItem(title, time, onClick) {
+  const li = document.createElement("li");
+  li.className = "playlist-item";
+  const info = document.createElement("span");
+  info.className = "info";
+  const titleEl = document.createElement("span");
+  titleEl.className = "title";
+  titleEl.textContent = title;
+  info.appendChild(titleEl);
+  const meta = document.createElement("span");
+  meta.className = "meta";
+  const timeEl = document.createElement("span");
+  timeEl.textContent = formatTime(time);
+  meta.appendChild(timeEl);
+  li.appendChild(info);
+  li.appendChild(meta);
+  li.addEventListener("click", onClick);
+  return li;
+}
+
+function buildItemButton(label, title, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "more-btn";
+  button.title = title;
+  button.textContent = label;
+  button.addEventListener("click", (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+function renderLongFormControls(track) {
+  optLongForm.disabled = !track;
+  btnLongFormFinished.disabled = !track || !isLongForm(track);
+  optLongForm.checked = !!track && isLongForm(track);
+  longFormStatusEl.innerHTML = "";
+  if (track && isLongForm(track)) {
+    longFormStatusEl.appendChild(buildLongFormStatus(track));
+    btnLongFormFinished.textContent = longFormEntry(track.id).finished
+      ? t("longform.markUnfinished")
+      : t("longform.markFinished");
+  } else {
+    longFormStatusEl.textContent = t("longform.modeHint", { time: formatUnit(LONG_FORM_MIN_SEC / 60, "minute") });
+    btnLongFormFinished.textContent = t("longform.markFinished");
+  }
+}
+
+function renderBookmarks() {
+  const track = loadedTrack();
+  const bookmarks = track ? longFormEntry(track.id).bookmarks || [] : [];
+  bookmarksCountEl.textContent = bookmarks.length || "";
+  drawSeekWave();
+  if (bookmarksPanel.classList.contains("hidden")) return;
+
+  btnBookmarkAdd.disabled = !track;
+  renderLongFormControls(track);
+
+  chapterListEl.innerHTML = "";
+  const chapters = (track && track.chapters) || [];
+  if (!chapters.length) {
+    chapterListEl.appendChild(buildEmptyItem(t("longform.noChapters"), t("longform.noChaptersHint"), false));
+  }
+  chapters.forEach((chapter, i) => {
+    chapterListEl.appendChild(buildTimeItem(chapterTitle(chapters, i), chapter.start, () => jumpTo(chapter.start)));
+  });
+  activeChapterIndex = -1;
+  updateChapterHighlight();
+
+  bookmarkListEl.innerHTML = "";
+  if (!bookmarks.length) {
+    bookmarkListEl.appendChild(buildEmptyItem(t("longform.noBookmarks"), t("longform.noBookmarksHint"), false));
+  }
+  bookmarks.forEach((bookmark) => {
+    const li = buildTimeItem(bookmark.name, bookmark.time, () => jumpTo(bookmark.time));
+    const meta = li.querySelector(".meta");
+    meta.appendChild(buildItemButton("✎", t("longform.rename"), () => renameBookmark(track, bookmark.id)));
+    meta.appendChild(buildItemButton("✕", t("longform.deleteBookmark"), () => deleteBookmark(track, bookmark.id)));
+    bookmarkListEl.appendChild(li);
+  });
+}
+
+// Follows playback from timeupdate; only touches the list when the chapter changes
+function updateChapterHighlight() {
+  if (bookmarksPanel.classList.contains("hidden")) return;
+  const track = loadedTrack();
+  const index = chapterIndexAt(track && track.chapters, audio.currentTime || 0);
+  if (index === activeChapterIndex) return;
+  activeChapterIndex = index;
+  chapterListEl.querySelectorAll(".playlist-item").forEach((li, i) => {
+    li.classList.toggle("active", i === index);
+  });
+}
+
+btnBookmarks.addEventListener("click", () => toggleDrawer(bookmarksPanel));
+btnBookmarksClose.addEventListener("click", () => toggleDrawer(bookmarksPanel, false));
+btnBookmarkAdd.addEventListener("click", addBookmark);
+optLongForm.addEventListener("change", () => {
+  const track = loadedTrack();
+  if (track) setLongForm(track, optLongForm.checked);
+});
+btnLongFormFinished.addEventListener("click", () => {
+  const track = loadedTrack();
+  if (track) setLongFormFinished(track, !longFormEntry(track.id).finished);
+});
+window.addEventListener("pagehide", rememberProgress);
+
+// Practice: playback speed, pitch and an A–B loop, remembered per track
+const PRACTICE_DEFAULTS = { rate: 1, preservePitch: true, semitones: 0, loop: null, countIn: 0 };
+const PRACTICE_RATE_MIN = 0.5;
+const PRACTICE_RATE_MAX = 2;
+const PRACTICE_PITCH_RANGE = 12; // semitones either way
+const AB_MIN_LENGTH_SEC = 0.5;
+const AB_NUDGE_SEC = 0.1; // arrow keys on a marker; Shift moves 10x
+const AB_LOOP_TICK_MS = 20; // timeupdate alone is too coarse to loop on the beat
+const COUNT_IN_OPTIONS = [0, 1, 2, 3, 4]; // seconds, one click per second
+
+let practiceByTrack = {}; // track id -> settings that differ from the defaults
+let practice = { ...PRACTICE_DEFAULTS }; // settings of the loaded track
+let practiceTrackId = null;
+let abLoopTicker = null;
+let abLastPos = 0;
+let countInTimer = null;
+let pitchShifter = null;
+
+function loadPracticeSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_PRACTICE);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === "object") practiceByTrack = parsed;
+  } catch (e) {
+    console.warn("Unable to load practice settings:", e);
+  }
+}
+
+function isDefaultPractice(settings) {
+  return Object.keys(PRACTICE_DEFAULTS).every((key) => settings[key] === PRACTICE_DEFAULTS[key]);
+}
+
+function savePracticeSettings() {
+  if (practiceTrackId) {
+    if (isDefaultPractice(practice)) delete practiceByTrack[practiceTrackId];
+    else practiceByTrack[practiceTrackId] = { ...practice };
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY_PRACTICE, JSON.stringify(practiceByTrack));
+  } catch (e) {
+    console.warn("Unable to save practice settings:", e);
+  }
+}
+
+function normalizePractice(saved) {
+  const s = { ...PRACTICE_DEFAULTS, ...saved };
+  const rate = Number(s.rate);
+  const semitones = Math.round(Number(s.semitones));
+  const loop = s.loop && isFinite(s.loop.a) ? { a: Math.max(0, s.loop.a), b: isFinite(s.loop.b) ? s.loop.b : null } : null;
+  return {
+    rate: rate >= PRACTICE_RATE_MIN && rate <= PRACTICE_RATE_MAX ? rate : 1,
+    preservePitch: s.preservePitch !== false,
+    semitones: Math.abs(semitones) <= PRACTICE_PITCH_RANGE ? semitones : 0,
+    loop: loop && (loop.b === null || loop.b > loop.a) ? loop : null,
+    countIn: COUNT_IN_OPTIONS.includes(s.countIn) ? s.countIn : 0,
+  };
+}
+
+// Called from loadTrack once the active deck holds the track (trackId null resets)
+function applyPractice(trackId) {
+  cancelCountIn();
+  practiceTrackId = trackId;
+  practice = normalizePractice(trackId ? practiceByTrack[trackId] : null);
+  applyPlaybackRate();
+  applyPitchShift();
+  audio.loop = deckShouldLoop();
+  abLastPos = audio.currentTime;
+  updateAbLoopTicker();
+  renderPractice();
+}
+
+function setPracticeDeckRate(deck) {
+  deck.defaultPlaybackRate = practice.rate;
+  deck.playbackRate = practice.rate;
+  deck.preservesPitch = practice.preservePitch;
+  deck.mozPreservesPitch = practice.preservePitch;
+  deck.webkitPreservesPitch = practice.preservePitch;
+}
+
+function applyPlaybackRate() {
+  setPracticeDeckRate(audio);
+  updateMediaPosition();
+}
+
+function applyPitchShift() {
+  if (pitchShifter) pitchShifter.setSemitones(practice.semitones);
+  // The shifter is only in the chain while it has something to do
+  connectAudioChain();
+}
+
+function updatePractice(patch) {
+  if (!practiceTrackId) return;
+  Object.assign(practice, patch);
+  savePracticeSettings();
+  if ("rate" in patch || "preservePitch" in patch) applyPlaybackRate();
+  if ("semitones" in patch) applyPitchShift();
+  if ("loop" in patch) {
+    audio.loop = deckShouldLoop();
+    updateAbLoopTicker();
+  }
+  renderPractice();
+}
+
+function resetPractice() {
+  cancelCountIn();
+  updatePractice({ ...PRACTICE_DEFAULTS });
+}
+
+// Delay-line pitch shifter: a delay that keeps growing (or shrinking) at a steady
+// rate plays the input slower (or faster). Two such lines take turns, each resetting
+// its delay while silent, so the pitch moves but the tempo does not. The lines only
+// overlap during short fades; longer overlaps cancel out at some intervals.
+const PITCH_CYCLE_SEC = 0.1;
+const PITCH_FADE_SEC = 0.02;
+
+function createPitchShifter(ctx) {
+  const activeLength = Math.round(PITCH_CYCLE_SEC * ctx.sampleRate);
+  const fadeLength = Math.round(PITCH_FADE_SEC * ctx.sampleRate);
+  // Each line is heard for one cycle, then rests while the other one plays
+  const length = 2 * (activeLength - fadeLength);
+  const makeBuffer = (fill) => {
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = i < activeLength ? fill(i) : 0;
+    return buffer;
+  };
+  const growing = makeBuffer((i) => i / activeLength); // pitch down
+  const shrinking = makeBuffer((i) => 1 - i / activeLength); // pitch up
+  const fade = makeBuffer((i) => Math.sqrt(Math.min(1, i / fadeLength, (activeLength - i) / fadeLength)));
+
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+  const start = ctx.currentTime + 0.05;
+  const loopSource = (buffer, destination, offset) => {
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    source.connect(destination);
+    source.start(start + offset);
+    return source;
+  };
+  const lines = [0, PITCH_CYCLE_SEC - PITCH_FADE_SEC].map((offset) => {
+    const delay = ctx.createDelay(1);
+    const depth = ctx.createGain(); // seconds of delay swept per cycle
+    const up = ctx.createGain();
+    const down = ctx.createGain();
+    const level = ctx.createGain();
+    level.gain.value = 0;
+    loopSource(shrinking, up, offset);
+    loopSource(growing, down, offset);
+    loopSource(fade, level.gain, offset);
+    up.connect(depth);
+    down.connect(depth);
+    depth.connect(delay.delayTime);
+    input.connect(delay);
+    delay.connect(level);
+    level.connect(output);
+    return { depth, up, down };
+  });
+
+  return {
+    input,
+    output,
+    setSemitones(semitones) {
+      const ratio = 2 ** (semitones / 12);
+      // Output pitch = 1 - (change in delay per second)
+      const sweep = Math.abs(ratio - 1) * PITCH_CYCLE_SEC;
+      lines.forEach(({ depth, up, down }) => {
+        up.gain.value = semitones > 0 ? 1 : 0;
+        down.gain.value = semitones > 0 ? 0 : 1;
+        depth.gain.setTargetAtTime(sweep, ctx.currentTime, 0.01);
+      });
+    },
+  };
+}
+
+// A–B loop
+function abLoopActive() {
+  return !!(practice.loop && practice.loop.b !== null);
+}
+
+function updateAbLoopTicker() {
+  if (abLoopActive() && !abLoopTicker) {
+    abLoopTicker = setInterval(tickAbLoop, AB_LOOP_TICK_MS);
+  } else if (!abLoopActive() && abLoopTicker) {
+    clearInterval(abLoopTicker);
+    abLoopTicker = null;
+  }
+}
+
+// Loops when playback runs from inside the loop past B; seeking out of it escapes
+function tickAbLoop() {
+  if (!abLoopActive() || !state.isPlaying || countInTimer) return;
+  const { a, b } = practice.loop;
+  const pos = audio.currentTime;
+  if (pos >= b && abLastPos >= a && abLastPos < b) restartAbLoop();
+  else abLastPos = pos;
+}
+
+function restartAbLoop() {
+  const { a } = practice.loop;
+  abLastPos = a;
+  if (practice.countIn) {
+    startCountIn();
+    return;
+  }
+  audio.currentTime = a;
+  if (audio.paused) audio.play().catch((e) => console.warn("Play failed:", e));
+}
+
+// Called first thing on "ended", for a B at the very end of the track
+function abLoopTrackEnded() {
+  if (!abLoopActive()) return false;
+  restartAbLoop();
+  return true;
+}
+
+function startCountIn() {
+  cancelCountIn();
+  audio.pause();
+  audio.currentTime = practice.loop.a;
+  playCountInClicks(practice.countIn);
+  countInTimer = setTimeout(() => {
+    countInTimer = null;
+    renderPractice();
+    if (state.isPlaying) audio.play().catch((e) => console.warn("Play failed:", e));
+  }, practice.countIn * 1000);
+  renderPractice();
+}
+
+function cancelCountIn() {
+  if (!countInTimer) return;
+  clearTimeout(countInTimer);
+  countInTimer = null;
+}
+
+// Metronome clicks straight to the speakers, the first one accented
+function playCountInClicks(count) {
+  if (!audioCtx) return;
+  const level = 0.3 * (parseFloat(volumeBar.value) || 0);
+  for (let i = 0; i < count; i++) {
+    const t = audioCtx.currentTime + i;
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.frequency.value = i === 0 ? 1320 : 880;
+    gain.gain.setValueAtTime(Math.max(0.0001, level), t);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t + 0.08);
+    osc.connect(gain);
+    gain.connect(audioCtx.destination);
+    osc.start(t);
+    osc.stop(t + 0.1);
+  }
+}
+
+// Keeps A before B by at least AB_MIN_LENGTH_SEC and both inside the track
+function setAbPoint(which, time) {
+  const duration = seekWaveDuration();
+  if (!practiceTrackId || !duration) return;
+  const loop = practice.loop ? { ...practice.loop } : { a: 0, b: null };
+  if (which === "a") {
+    const max = loop.b !== null ? loop.b - AB_MIN_LENGTH_SEC : duration - AB_MIN_LENGTH_SEC;
+    loop.a = Math.max(0, Math.min(max, time));
+  } else {
+    loop.b = Math.min(duration, Math.max(loop.a + AB_MIN_LENGTH_SEC, time));
+  }
+  updatePractice({ loop });
+}
+
+// After the loop moves, playback that fell outside it jumps back to A
+function commitAbLoop() {
+  if (!abLoopActive() || !state.isPlaying) return;
+  const pos = audio.currentTime;
+  if (pos < practice.loop.a || pos >= practice.loop.b) restartAbLoop();
+  else abLastPos = pos;
+}
+
+function clearAbLoop() {
+  cancelCountIn();
+  updatePractice({ loop: null });
+  // A count-in may have paused the deck
+  if (state.isPlaying && audio.paused) audio.play().catch((e) => console.warn("Play failed:", e));
+}
+
+function setAbFromCurrent(which) {
+  setAbPoint(which, audio.currentTime);
+  if (which === "b") commitAbLoop();
+}
+
+function seekTimeAt(clientX) {
+  const rect = seekWaveEl.getBoundingClientRect();
+  if (!rect.width) return 0;
+  return Math.min(1, Math.max(0, (clientX - rect.left) / rect.width)) * seekWaveDuration();
+}
+
+function handleAbMarkerDown(e) {
+  const marker = e.currentTarget;
+  const which = marker.dataset.point;
+  e.preventDefault();
+  e.stopPropagation();
+  marker.setPointerCapture(e.pointerId);
+  const move = (ev) => setAbPoint(which, seekTimeAt(ev.clientX));
+  const up = () => {
+    marker.removeEventListener("pointermove", move);
+    marker.removeEventListener("pointerup", up);
+    marker.removeEventListener("pointercancel", up);
+    commitAbLoop();
+  };
+  marker.addEventListener("pointermove", move);
+  marker.addEventListener("pointerup", up);
+  marker.addEventListener("pointercancel", up);
+}
+
+function handleAbMarkerKeydown(e) {
+  if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+  e.preventDefault();
+  e.stopPropagation();
+  const which = e.currentTarget.dataset.point;
+  const step = (e.key === "ArrowLeft" ? -AB_NUDGE_SEC : AB_NUDGE_SEC) * (e.shiftKey ? 10 : 1);
+  setAbPoint(which, practice.loop[which] + step);
+  commitAbLoop();
+}
+
+// Markers are placed from drawSeekWave so they follow duration changes
+function positionAbMarkers() {
+  const duration = seekWaveDuration();
+  const loop = practice.loop;
+  [
+    [abMarkerA, loop ? loop.a : null],
+    [abMarkerB, loop ? loop.b : null],
+  ].forEach(([marker, time]) => {
+    marker.hidden = time === null || !duration;
+    if (!marker.hidden) marker.style.left = `${(time / duration) * 100}%`;
+  });
+}
+
+function formatRate(rate) {
+  return `${intl(Intl.NumberFormat, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(rate)}×`;
+}
+
+function renderCountInOptions() {
+  optCountIn.innerHTML = "";
+  COUNT_IN_OPTIONS.forEach((sec) => {
+    const option = document.createElement("option");
+    option.value = String(sec);
+    option.textContent = sec ? formatUnit(sec, "second") : t("common.off");
+    optCountIn.appendChild(option);
+  });
+  optCountIn.value = String(practice.countIn);
+}
+
+function renderPractice() {
+  const loop = practice.loop;
+  let badge = practice.rate !== 1 ? formatRate(practice.rate) : "";
+  if (abLoopActive()) badge = badge ? `${badge} A–B` : "A–B";
+  practiceBadgeEl.textContent = badge;
+  btnPractice.classList.toggle("active", !!badge || !practicePanel.classList.contains("hidden"));
+  positionAbMarkers();
+  drawSeekWave();
+  if (practicePanel.classList.contains("hidden")) return;
+
+  const disabled = !practiceTrackId;
+  [optRate, optPreservePitch, optPitch, optCountIn, btnAbA, btnAbB, btnPracticeReset].forEach((el) => {
+    el.disabled = disabled;
+  });
+  btnAbClear.disabled = disabled || !loop;
+  optRate.value = practice.rate;
+  practiceRateValue.textContent = formatRate(practice.rate);
+  optPreservePitch.checked = practice.preservePitch;
+  optPitch.value = practice.semitones;
+  const st = practice.semitones;
+  practicePitchValue.textContent = t("practice.semitones", {
+    count: Math.abs(st),
+    value: st > 0 ? `+${st}` : String(st),
+  });
+  optCountIn.value = String(practice.countIn);
+  if (!loop) abStatusEl.textContent = t("practice.loopOff");
+  else if (loop.b === null) abStatusEl.textContent = t("practice.loopAOnly", { a: formatTime(loop.a) });
+  else abStatusEl.textContent = t("practice.loopRange", { a: formatTime(loop.a), b: formatTime(loop.b) });
+  if (countInTimer) abStatusEl.textContent += " • …";
+}
+
+btnPractice.addEventListener("click", () => toggleDrawer(practicePanel));
+btnPracticeClose.addEventListener("click", () => toggleDrawer(practicePanel, false));
+btnPracticeReset.addEventListener("click", resetPractice);
+optRate.addEventListener("input", () => updatePractice({ rate: Number(optRate.value) }));
+optPreservePitch.addEventListener("change", () => updatePractice({ preservePitch: optPreservePitch.checked }));
+optPitch.addEventListener("input", () => updatePractice({ semitones: Number(optPitch.value) }));
+optCountIn.addEventListener("change", () => updatePractice({ countIn: Number(optCountIn.value) }));
+btnAbA.addEventListener("click", () => setAbFromCurrent("a"));
+btnAbB.addEventListener("click", () => setAbFromCurrent("b"));
+btnAbClear.addEventListener("click", clearAbLoop);
+[abMarkerA, abMarkerB].forEach((marker) => {
+  marker.addEventListener("pointerdown", handleAbMarkerDown);
+  marker.addEventListener("keydown", handleAbMarkerKeydown);
+});
+
+// Sleep timer: stops after a time or a number of tracks, fading out first
+const SLEEP_PRESETS_MIN = [15, 30, 45, 60, 90];
+const SLEEP_FADE_OPTIONS = [10, 20, 30, 45, 60];
+const SLEEP_EXTEND_MIN = 10;
+
+let sleepTimer = null; // { endsAt } or { tracksLeft }, tracksLeft counting the current track
+let sleepTicker = null;
+let sleepFadeSec = 30;
+let sleepVolumeFactor = 1;
+
+function saveSleepSettings() {
+  try {
+    localStorage.setItem(STORAGE_KEY_SLEEP, JSON.stringify({ fade: sleepFadeSec }));
+  } catch (e) {
+    console.warn("Unable to save sleep timer settings:", e);
+  }
+}
+
+function loadSleepSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_SLEEP);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (SLEEP_FADE_OPTIONS.includes(parsed.fade)) sleepFadeSec = parsed.fade;
+  } catch (e) {
+    console.warn("Unable to load sleep timer settings:", e);
+  }
+}
+
+// Repeat-one normally loops on the deck, which never fires "ended" for the timer to count
+function deckShouldLoop() {
+  return state.repeatMode === "one" && !(sleepTimer && sleepTimer.tracksLeft) && !abLoopActive();
+}
+
+function isSleepFinalTrack() {
+  return !!(sleepTimer && sleepTimer.tracksLeft === 1);
+}
+
+// Seconds until playback stops, or null while more than one track is left
+function sleepRemainingSec() {
+  if (!sleepTimer) return null;
+  if (sleepTimer.endsAt) return Math.max(0, (sleepTimer.endsAt - Date.now()) / 1000);
+  if (!isSleepFinalTrack() || !audio.duration) return null;
+  return Math.max(0, (audio.duration - audio.currentTime) / (audio.playbackRate || 1));
+}
+
+function startSleepTimer({ minutes, tracks }) {
+  sleepTimer = minutes ? { endsAt: Date.now() + minutes * 60 * 1000 } : { tracksLeft: tracks };
+  audio.loop = deckShouldLoop();
+  if (isSleepFinalTrack()) cancelPreload();
+  clearInterval(sleepTicker);
+  sleepTicker = setInterval(tickSleepTimer, 250);
+  tickSleepTimer();
+}
+
+function extendSleepTimer() {
+  if (!sleepTimer) return;
+  if (sleepTimer.endsAt) {
+    sleepTimer.endsAt = Math.max(sleepTimer.endsAt, Date.now()) + SLEEP_EXTEND_MIN * 60 * 1000;
+  } else {
+    sleepTimer.tracksLeft++;
+  }
+  tickSleepTimer();
+}
+
+function cancelSleepTimer() {
+  clearInterval(sleepTicker);
+  sleepTicker = null;
+  sleepTimer = null;
+  audio.loop = deckShouldLoop();
+  sleepVolumeFactor = 1;
+  applyVolume();
+  renderSleepTimer();
+}
+
+function finishSleepTimer() {
+  pause();
+  // Back to the slider level so the next session doesn't start silent
+  cancelSleepTimer();
+}
+
+// Called when a track finishes on its own; true if the timer stopped playback
+function sleepTimerTrackEnded() {
+  if (!sleepTimer || !sleepTimer.tracksLeft) return false;
+  sleepTimer.tracksLeft--;
+  if (sleepTimer.tracksLeft <= 0) {
+    finishSleepTimer();
+    return true;
+  }
+  if (isSleepFinalTrack()) audio.loop = deckShouldLoop();
+  renderSleepTimer();
+  return false;
+}
+
+function tickSleepTimer() {
+  const remaining = sleepRemainingSec();
+  if (sleepTimer && sleepTimer.endsAt && remaining <= 0) {
+    finishSleepTimer();
+    return;
+  }
+  const factor = remaining !== null && remaining < sleepFadeSec ? remaining / sleepFadeSec : 1;
+  // Squared so the fade sounds even rather than dropping off at the end
+  const next = factor * factor;
+  if (Math.abs(next - sleepVolumeFactor) > 0.001) {
+    sleepVolumeFactor = next;
+    applyVolume();
+  }
+  renderSleepTimer();
+}
+
+function renderSleepTimer() {
+  const remaining = sleepRemainingSec();
+  let badge = "";
+  let status = t("common.off");
+  if (sleepTimer && remaining !== null) {
+    badge = formatTime(Math.ceil(remaining));
+    status = t(sleepTimer.endsAt ? "sleep.stopsIn" : "sleep.stopsAfterTrack", { time: badge });
+    if (remaining < sleepFadeSec && state.isPlaying) status += ` • ${t("sleep.fading")}`;
+  } else if (sleepTimer) {
+    badge = `${sleepTimer.tracksLeft}♪`;
+    status = t("sleep.stopsAfterTracks", { count: sleepTimer.tracksLeft });
   }
+  sleepCountdownEl.textContent = badge;
+  btnSleep.classList.toggle("active", !!sleepTimer || !sleepPanel.classList.contains("hidden"));
+  if (sleepPanel.classList.contains("hidden")) return;
+  sleepStatusEl.textContent = status;
+  btnSleepExtend.textContent =
+    sleepTimer && sleepTimer.tracksLeft ? t("sleep.extendTrack") : `+${formatUnit(SLEEP_EXTEND_MIN, "minute")}`;
+  btnSleepExtend.disabled = !sleepTimer;
+  btnSleepCancel.disabled = !sleepTimer;
+  optSleepFade.value = String(sleepFadeSec);
+}
 
-  audio.play().then(() => {
-    state.isPlaying = true;
-    btnPlay.textContent = "⏸";
-    drawWaveform();
-  }).catch((err) => {
-    console.warn("Play failed:", err);
+function buildSleepPresets() {
+  sleepPresetsEl.innerHTML = "";
+  SLEEP_PRESETS_MIN.forEach((minutes) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn small-btn";
+    btn.textContent = formatUnit(minutes, "minute");
+    btn.addEventListener("click", () => startSleepTimer({ minutes }));
+    sleepPresetsEl.appendChild(btn);
   });
 }
 
-function pause() {
-  audio.pause();
-  state.isPlaying = false;
-  btnPlay.textContent = "▶";
-  stopWaveform();
+function readPositiveInt(input, max) {
+  const value = Math.round(parseFloat(input.value));
+  if (!(value >= 1)) return null;
+  return Math.min(max, value);
+}
+
+btnSleepClose.addEventListener("click", () => toggleDrawer(sleepPanel, false));
+btnSleepCustom.addEventListener("click", () => {
+  const minutes = readPositiveInt(sleepCustomInput, 24 * 60);
+  if (minutes) startSleepTimer({ minutes });
+});
+btnSleepTrack.addEventListener("click", () => startSleepTimer({ tracks: 1 }));
+btnSleepTracks.addEventListener("click", () => {
+  const tracks = readPositiveInt(sleepTracksInput, 100);
+  if (tracks) startSleepTimer({ tracks });
+});
+optSleepFade.addEventListener("change", () => {
+  sleepFadeSec = parseInt(optSleepFade.value, 10);
+  saveSleepSettings();
+  if (sleepTimer) tickSleepTimer();
+});
+btnSleepExtend.addEventListener("click", extendSleepTimer);
+btnSleepCancel.addEventListener("click", cancelSleepTimer);
+
+// Keyboard shortcuts: a registry of commands with default keys. Keys are
+// KeyboardEvent.code values (so letters stay put on Cyrillic layouts) with
+// any modifiers in front, e.g. "Shift+Digit1"; users can rebind them.
+const VOLUME_STEP = 0.05;
+const RATE_STEP = 0.05;
+const SHORTCUT_GROUPS = ["playback", "volume", "practice", "view"];
+const SHORTCUT_COMMANDS = [
+  { id: "playPause", group: "playback", keys: ["Space", "KeyK"], run: () => togglePlayPause() },
+  { id: "previous", group: "playback", keys: ["KeyP"], run: () => prevTrack() },
+  { id: "next", group: "playback", keys: ["KeyN"], run: () => nextTrack() },
+  {
+    id: "seekBack",
+    group: "playback",
+    keys: ["ArrowLeft"],
+    params: { sec: SEEK_STEP_SEC },
+    run: () => seekBy(-SEEK_STEP_SEC),
+  },
+  {
+    id: "seekForward",
+    group: "playback",
+    keys: ["ArrowRight"],
+    params: { sec: SEEK_STEP_SEC },
+    run: () => seekBy(SEEK_STEP_SEC),
+  },
+  ...[0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map((n) => ({
+    id: `seek${n * 10}`,
+    group: "playback",
+    message: "shortcuts.seekPercent",
+    params: { percent: n * 10 },
+    keys: [`Digit${n}`],
+    run: () => seekTo((audio.duration || 0) * (n / 10)),
+  })),
+  { id: "shuffle", group: "playback", keys: ["KeyS"], run: () => toggleShuffle() },
+  { id: "repeat", group: "playback", keys: ["KeyR"], run: () => cycleRepeatMode() },
+  { id: "volumeUp", group: "volume", keys: ["ArrowUp"], run: () => stepVolume(VOLUME_STEP) },
+  { id: "volumeDown", group: "volume", keys: ["ArrowDown"], run: () => stepVolume(-VOLUME_STEP) },
+  { id: "mute", group: "volume", keys: ["KeyM"], run: () => toggleMute() },
+  { id: "slower", group: "practice", keys: ["Shift+Comma"], run: () => stepPracticeRate(-RATE_STEP) },
+  { id: "faster", group: "practice", keys: ["Shift+Period"], run: () => stepPracticeRate(RATE_STEP) },
+  { id: "loopA", group: "practice", keys: ["BracketLeft"], run: () => setAbFromCurrent("a") },
+  { id: "loopB", group: "practice", keys: ["BracketRight"], run: () => setAbFromCurrent("b") },
+  { id: "loopClear", group: "practice", keys: ["Backslash"], run: () => clearAbLoop() },
+  { id: "addBookmark", group: "practice", keys: ["KeyB"], run: () => addBookmark() },
+  ...[
+    ["tabHome", "home", "nav.home", "Shift+Digit1"],
+    ["tabSearch", "search", "nav.search", "Shift+Digit2"],
+    ["tabLibrary", "mysongs", "nav.mySongs", "Shift+Digit3"],
+    ["tabProfile", "profile", "nav.profile", "Shift+Digit4"],
+  ].map(([id, tab, tabMessage, key]) => ({
+    id,
+    group: "view",
+    message: "shortcuts.goTo",
+    params: { tab: () => t(tabMessage) },
+    keys: [key],
+    run: () => switchTab(tab),
+  })),
+  { id: "focusSearch", group: "view", keys: ["Slash"], run: () => focusSearch() },
+  { id: "queue", group: "view", keys: ["KeyQ"], run: () => toggleDrawer(queuePanel) },
+  { id: "lyrics", group: "view", keys: ["KeyL"], run: () => toggleDrawer(lyricsPanel) },
+  { id: "equalizer", group: "view", keys: ["KeyE"], run: () => toggleDrawer(eqPanel) },
+  { id: "bookmarks", group: "view", keys: ["KeyC"], run: () => toggleDrawer(bookmarksPanel) },
+  { id: "help", group: "view", keys: ["Shift+Slash"], run: () => openShortcutsHelp() },
+];
+// Escape closes dialogs and Tab moves focus, so neither can be taken
+const RESERVED_SHORTCUTS = ["Escape", "Tab", "Shift+Tab"];
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "AltGraph", "CapsLock"];
+const KEY_LABELS = {
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  Slash: "/",
+  Backslash: "\\",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Comma: ",",
+  Period: ".",
+  Semicolon: ";",
+  Quote: "'",
+  Backquote: "`",
+  Minus: "-",
+  Equal: "=",
+  PageUp: "PgUp",
+  PageDown: "PgDn",
+};
+// Shifted punctuation reads better as the character it types on a US layout
+const SHIFTED_KEY_LABELS = { Slash: "?", Comma: "<", Period: ">" };
+
+let shortcutBindings = {}; // command id -> keys, defaults merged with the user's changes
+let volumeBeforeMute = null;
+
+function defaultShortcutBindings() {
+  return Object.fromEntries(SHORTCUT_COMMANDS.map((c) => [c.id, [...c.keys]]));
+}
+
+function loadShortcuts() {
+  shortcutBindings = defaultShortcutBindings();
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_SHORTCUTS);
+    if (!raw) return;
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return;
+    Object.entries(parsed).forEach(([id, keys]) => {
+      if (!shortcutBindings[id] || !Array.isArray(keys)) return;
+      shortcutBindings[id] = keys.filter((key) => typeof key === "string");
+    });
+  } catch (e) {
+    console.warn("Unable to load keyboard shortcuts:", e);
+  }
+}
+
+// Only commands whose keys differ from the defaults are stored
+function saveShortcuts() {
+  const defaults = defaultShortcutBindings();
+  const changed = {};
+  Object.entries(shortcutBindings).forEach(([id, keys]) => {
+    if (keys.join(" ") !== defaults[id].join(" ")) changed[id] = keys;
+  });
+  try {
+    localStorage.setItem(STORAGE_KEY_SHORTCUTS, JSON.stringify(changed));
+  } catch (e) {
+    console.warn("Unable to save keyboard shortcuts:", e);
+  }
+}
+
+// -> "Ctrl+Shift+KeyN", or null while only a modifier is down
+function shortcutFromEvent(e) {
+  if (!e.code || MODIFIER_KEYS.includes(e.key)) return null;
+  const mods = [e.ctrlKey && "Ctrl", e.altKey && "Alt", e.shiftKey && "Shift", e.metaKey && "Meta"];
+  return [...mods.filter(Boolean), e.code].join("+");
+}
+
+function formatShortcut(key) {
+  const parts = key.split("+");
+  const code = parts.pop();
+  if (parts.length === 1 && parts[0] === "Shift" && SHIFTED_KEY_LABELS[code]) return SHIFTED_KEY_LABELS[code];
+  let label = KEY_LABELS[code] || code.replace(/^(Key|Digit)/, "");
+  if (code === "Space") label = t("shortcuts.space");
+  return [...parts.map((mod) => (mod === "Meta" ? "⌘" : mod)), label].join("+");
+}
+
+function shortcutLabel(command) {
+  const params = {};
+  Object.entries(command.params || {}).forEach(([name, value]) => {
+    params[name] = typeof value === "function" ? value() : value;
+  });
+  return t(command.message || `shortcuts.${command.id}`, params);
+}
+
+function findShortcutCommand(key) {
+  return SHORTCUT_COMMANDS.find((c) => shortcutBindings[c.id].includes(key)) || null;
+}
+
+// A key belongs to one command at a time, so binding it takes it off any other
+function bindShortcut(id, key) {
+  Object.keys(shortcutBindings).forEach((other) => {
+    shortcutBindings[other] = shortcutBindings[other].filter((k) => k !== key);
+  });
+  shortcutBindings[id].push(key);
+  saveShortcuts();
+  renderShortcutFooter();
+}
+
+function unbindShortcut(id, key) {
+  shortcutBindings[id] = shortcutBindings[id].filter((k) => k !== key);
+  saveShortcuts();
+  renderShortcutFooter();
+}
+
+function resetShortcuts() {
+  shortcutBindings = defaultShortcutBindings();
+  saveShortcuts();
+  renderShortcutFooter();
+}
+
+function setVolume(volume) {
+  volumeBar.value = Math.min(1, Math.max(0, volume));
+  handleVolumeInput();
+}
+
+function stepVolume(delta) {
+  volumeBeforeMute = null;
+  setVolume(Math.round(((parseFloat(volumeBar.value) || 0) + delta) * 100) / 100);
+}
+
+function toggleMute() {
+  const volume = parseFloat(volumeBar.value) || 0;
+  if (volume > 0) {
+    volumeBeforeMute = volume;
+    setVolume(0);
+  } else {
+    setVolume(volumeBeforeMute || 0.8);
+    volumeBeforeMute = null;
+  }
+}
+
+function stepPracticeRate(delta) {
+  const rate = Math.round((practice.rate + delta) * 100) / 100;
+  updatePractice({ rate: Math.min(PRACTICE_RATE_MAX, Math.max(PRACTICE_RATE_MIN, rate)) });
+}
+
+function focusSearch() {
+  switchTab("search");
+  searchInput.focus();
+  searchInput.select();
+}
+
+// Text fields keep every key; focused sliders and checkboxes only the ones they use
+function ownsKeyboard(el, e) {
+  if (!el) return false;
+  if (["TEXTAREA", "SELECT"].includes(el.tagName) || el.isContentEditable) return true;
+  if (el.tagName !== "INPUT") return false;
+  if (el.type === "range") return /^(Arrow|Page|Home|End)/.test(e.key);
+  if (el.type === "checkbox") return e.code === "Space";
+  return true;
+}
+
+function handleShortcutKeydown(e) {
+  // Dialogs (including the shortcut editor) handle their own keys
+  if (dialogEl || ownsKeyboard(document.activeElement, e)) return;
+  const key = shortcutFromEvent(e);
+  const command = key && findShortcutCommand(key);
+  if (!command) return;
+  e.preventDefault();
+  command.run();
+}
+
+// Footer hint built from the current keys; unbound commands are left out
+function renderShortcutFooter() {
+  const keys = (id) => shortcutBindings[id].map(formatShortcut).join(" / ");
+  const parts = [];
+  if (keys("playPause")) parts.push(`${keys("playPause")}: ${t("shortcuts.playPause")}`);
+  if (keys("seekBack") && keys("seekForward")) {
+    parts.push(
+      `${formatShortcut(shortcutBindings.seekBack[0])} / ${formatShortcut(shortcutBindings.seekForward[0])}: ` +
+        t("shortcuts.footerSeek", { sec: SEEK_STEP_SEC })
+    );
+  }
+  parts.push(keys("help") ? `${keys("help")}: ${t("shortcuts.footerAll")}` : t("shortcuts.footerAll"));
+  kbdShortcutsEl.textContent = parts.join(" • ");
+}
+
+// The "?" overlay lists every command; + records a new key, a key chip removes it
+function openShortcutsHelp() {
+  let capturing = null; // command id waiting for a key
+  let pendingKey = null; // a key owned by another command, pressed once
+  const stopCapture = () => {
+    capturing = null;
+    pendingKey = null;
+    window.removeEventListener("keydown", handleCaptureKeydown, true);
+  };
+  const box = openModal(t("shortcuts.title"), stopCapture);
+  box.classList.add("shortcuts-modal");
+  const hint = document.createElement("p");
+  hint.className = "modal-message";
+  hint.textContent = t("shortcuts.hint");
+  const status = document.createElement("p");
+  status.className = "modal-message shortcut-status";
+  status.setAttribute("aria-live", "polite");
+  const list = document.createElement("div");
+  list.className = "shortcut-groups";
+  box.appendChild(hint);
+  box.appendChild(list);
+  box.appendChild(status);
+
+  const render = () => {
+    list.innerHTML = "";
+    SHORTCUT_GROUPS.forEach((group) => {
+      const title = document.createElement("div");
+      title.className = "section-title";
+      title.textContent = t(`shortcuts.group.${group}`);
+      const rows = document.createElement("ul");
+      rows.className = "shortcut-list";
+      SHORTCUT_COMMANDS.filter((c) => c.group === group).forEach((command) => {
+        const row = document.createElement("li");
+        row.className = "shortcut-row";
+        const label = document.createElement("span");
+        label.textContent = shortcutLabel(command);
+        const keys = document.createElement("span");
+        keys.className = "shortcut-keys";
+        shortcutBindings[command.id].forEach((key) => {
+          const chip = document.createElement("button");
+          chip.type = "button";
+          chip.className = "shortcut-key";
+          chip.textContent = formatShortcut(key);
+          chip.title = t("shortcuts.remove", { key: formatShortcut(key) });
+          chip.addEventListener("click", () => {
+            unbindShortcut(command.id, key);
+            render();
+          });
+          keys.appendChild(chip);
+        });
+        if (!shortcutBindings[command.id].length) {
+          const none = document.createElement("span");
+          none.className = "shortcut-none";
+          none.textContent = t("shortcuts.none");
+          keys.appendChild(none);
+        }
+        const add = document.createElement("button");
+        add.type = "button";
+        add.className = "btn small-btn";
+        add.textContent = capturing === command.id ? "…" : "+";
+        add.title = t("shortcuts.add");
+        add.addEventListener("click", () => {
+          stopCapture();
+          capturing = command.id;
+          status.textContent = t("shortcuts.press", { command: shortcutLabel(command) });
+          window.addEventListener("keydown", handleCaptureKeydown, true);
+          render();
+        });
+        keys.appendChild(add);
+        row.appendChild(label);
+        row.appendChild(keys);
+        rows.appendChild(row);
+      });
+      list.appendChild(title);
+      list.appendChild(rows);
+    });
+  };
+
+  // Runs before every other keydown handler while a key is being recorded
+  function handleCaptureKeydown(e) {
+    const key = shortcutFromEvent(e);
+    if (!key) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const id = capturing;
+    if (key === "Escape") {
+      stopCapture();
+      status.textContent = "";
+    } else if (RESERVED_SHORTCUTS.includes(key)) {
+      status.textContent = t("shortcuts.reserved", { key: formatShortcut(key) });
+      return;
+    } else {
+      const owner = findShortcutCommand(key);
+      if (owner && owner.id !== id && pendingKey !== key) {
+        // Conflict: a second press of the same key confirms the move
+        pendingKey = key;
+        status.textContent = t("shortcuts.conflict", { key: formatShortcut(key), command: shortcutLabel(owner) });
+        return;
+      }
+      stopCapture();
+      if (owner && owner.id === id) {
+        status.textContent = "";
+      } else {
+        bindShortcut(id, key);
+        status.textContent = owner
+          ? t("shortcuts.moved", { key: formatShortcut(key), command: shortcutLabel(owner) })
+          : "";
+      }
+    }
+    render();
+  }
+
+  render();
+  appendModalActions(box, [
+    buildModalButton(t("shortcuts.reset"), () => {
+      stopCapture();
+      resetShortcuts();
+      status.textContent = "";
+      render();
+    }),
+    buildModalButton(t("common.close"), () => {
+      stopCapture();
+      closeDialog();
+    }),
+  ]);
+}
+
+window.addEventListener("keydown", handleShortcutKeydown);
+kbdShortcutsEl.addEventListener("click", openShortcutsHelp);
+
+// Media Session: OS media keys, lock screen and notification controls
+function updateMediaMetadata(track) {
+  if (!("mediaSession" in navigator)) return;
+  if (!track || typeof MediaMetadata === "undefined") {
+    navigator.mediaSession.metadata = null;
+    return;
+  }
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: track.name,
+    artist: track.artist || "",
+    album: track.album || "",
+    artwork: track.coverUrl ? [{ src: track.coverUrl }] : [],
+  });
+}
+
+function updateMediaPlaybackState() {
+  if (!("mediaSession" in navigator)) return;
+  if (!state.tracks[state.currentIndex] || !audio.src) {
+    navigator.mediaSession.playbackState = "none";
+    return;
+  }
+  navigator.mediaSession.playbackState = state.isPlaying ? "playing" : "paused";
+  updateMediaPosition();
+}
+
+function updateMediaPosition() {
+  if (!("mediaSession" in navigator) || !navigator.mediaSession.setPositionState) return;
+  const duration = audio.duration;
+  if (!Number.isFinite(duration) || duration <= 0) return;
+  try {
+    navigator.mediaSession.setPositionState({
+      duration,
+      playbackRate: audio.playbackRate || 1,
+      position: Math.min(audio.currentTime, duration),
+    });
+  } catch (e) {
+    console.warn("Unable to set media position:", e);
+  }
+}
+
+function setupMediaSession() {
+  if (!("mediaSession" in navigator)) return;
+  const handlers = {
+    play: () => {
+      if (!state.isPlaying) togglePlayPause();
+    },
+    pause: () => {
+      if (state.isPlaying) togglePlayPause();
+    },
+    previoustrack: prevTrack,
+    nexttrack: nextTrack,
+    seekbackward: (details) => seekBy(-(details.seekOffset || SEEK_STEP_SEC)),
+    seekforward: (details) => seekBy(details.seekOffset || SEEK_STEP_SEC),
+    seekto: (details) => {
+      if (details.fastSeek && audio.fastSeek) audio.fastSeek(details.seekTime);
+      else seekTo(details.seekTime);
+    },
+  };
+  Object.entries(handlers).forEach(([action, handler]) => {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch (e) {
+      // Older browsers reject actions they don't know
+      console.warn("Media session action not supported:", action);
+    }
+  });
+}
+
+// Waveform animation using Web Audio API
+function ensureAudioGraph() {
+  if (audioGraphReady) return;
+
+  try {
+    audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+    analyser = analyser || audioCtx.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = visualizerSettings.smoothing;
+
+    mixBus = audioCtx.createGain();
+    deckGains = decks.map((deck) => {
+      // IMPORTANT: MediaElementSourceNode can be created only once per <audio>
+      const source = audioCtx.createMediaElementSource(deck);
+      const level = audioCtx.createGain();
+      const gain = audioCtx.createGain();
+      source.connect(level);
+      level.connect(gain);
+      gain.connect(mixBus);
+      deckLevelGains.push(level);
+      return gain;
+    });
+    createEqualizerNodes();
+    createLimiter();
+    pitchShifter = createPitchShifter(audioCtx);
+    pitchShifter.setSemitones(practice.semitones);
+    connectAudioChain();
+
+    audioGraphReady = true;
+    refreshNormalization();
+  } catch (e) {
+    // If WebAudio fails, player should still work (just no waveform)
+    console.warn("WebAudio init failed:", e);
+    audioGraphReady = false;
+    analyser = null;
+  }
+}
+
+// decks -> mix -> [pitch shift] -> [preamp -> EQ bands] -> [limiter] -> analyser -> speakers
+function connectAudioChain() {
+  if (!mixBus || !analyser) return;
+  const stages = eqSettings.enabled ? [eqPreamp, ...eqFilters] : [];
+  if (limiter && isLimiterActive()) stages.push(limiter);
+  [mixBus, pitchShifter && pitchShifter.output, eqPreamp, ...eqFilters, limiter, analyser].forEach((node) => {
+    if (node) node.disconnect();
+  });
+
+  let node = mixBus;
+  if (pitchShifter && practice.semitones) {
+    node.connect(pitchShifter.input);
+    node = pitchShifter.output;
+  }
+  stages.forEach((stage) => {
+    node.connect(stage);
+    node = stage;
+  });
+  node.connect(analyser);
+  analyser.connect(audioCtx.destination);
+}
+
+// Gapless playback & crossfade
+function standbyDeck() {
+  return audio === decks[0] ? decks[1] : decks[0];
+}
+
+function deckGain(deck) {
+  return deckGains[decks.indexOf(deck)] || null;
+}
+
+function resetDeckGain(deck) {
+  const gain = deckGain(deck);
+  if (!gain) return;
+  gain.gain.cancelScheduledValues(audioCtx.currentTime);
+  gain.gain.setValueAtTime(1, audioCtx.currentTime);
+}
+
+function silenceDeck(deck) {
+  delete deck.dataset.trackId;
+  deck.pause();
+  deck.removeAttribute("src");
+  deck.load();
+}
+
+function cancelPreload() {
+  if (!preloadedTrackId) return;
+  preloadedTrackId = null;
+  silenceDeck(standbyDeck());
+}
+
+// Crossfading needs the Web Audio graph; without it tracks still go gapless
+function crossfadeSeconds() {
+  if (!deckGains.length || !transitionSettings.crossfade) return 0;
+  // Never fade for longer than half of the outgoing track
+  return Math.min(transitionSettings.crossfade, (audio.duration || 0) / 2);
+}
+
+function crossfadeCurves(curve) {
+  const steps = 64;
+  const fadeIn = new Float32Array(steps);
+  const fadeOut = new Float32Array(steps);
+  for (let i = 0; i < steps; i++) {
+    const t = i / (steps - 1);
+    let v;
+    if (curve === "linear") v = t;
+    else if (curve === "s-curve") v = (1 - Math.cos(Math.PI * t)) / 2;
+    else v = Math.sin((t * Math.PI) / 2); // equal-power
+    fadeIn[i] = v;
+    fadeOut[i] = curve === "equal-power" ? Math.cos((t * Math.PI) / 2) : 1 - v;
+  }
+  return [fadeIn, fadeOut];
+}
+
+function startTransitionWatcher() {
+  if (transitionWatcher) return;
+  transitionWatcher = setInterval(checkTransition, 50);
+}
+
+function stopTransitionWatcher() {
+  clearInterval(transitionWatcher);
+  transitionWatcher = null;
+  clearTimeout(handoffTimer);
+  handoffTimer = null;
+}
+
+function checkTransition() {
+  if (!state.isPlaying || transition || handoffTimer) return;
+  if (!audio.duration || !isFinite(audio.duration)) return;
+  if (state.repeatMode === "one") return;
+  // The sleep timer stops at the end of this track instead of moving on
+  if (isSleepFinalTrack()) return;
+  // An A–B loop keeps playback inside this track
+  if (abLoopActive()) return;
+  const fade = crossfadeSeconds();
+  if (!fade && !transitionSettings.gapless) return;
+
+  const remaining = (audio.duration - audio.currentTime) / (audio.playbackRate || 1);
+  if (remaining <= PRELOAD_AHEAD_SEC + fade) preloadNext();
+  if (!preloadedTrackId) return;
+
+  if (fade > 0) {
+    if (remaining <= fade) startHandoff(fade);
+  } else if (remaining <= GAPLESS_WINDOW_SEC) {
+    handoffTimer = setTimeout(() => {
+      handoffTimer = null;
+      startHandoff(0);
+    }, Math.max(0, remaining * 1000 - GAPLESS_LEAD_MS));
+  }
+}
+
+// Buffers whatever "next" resolves to in the standby deck
+function preloadNext() {
+  const now = Date.now();
+  if (now - lastPreloadCheck < 500) return;
+  lastPreloadCheck = now;
+
+  const step = resolveNextStep();
+  const track = step ? state.tracks[step.index] : null;
+  const id = track && track.url ? track.id : null;
+  if (id === preloadedTrackId) return;
+
+  cancelPreload();
+  if (!id) return;
+  const standby = standbyDeck();
+  standby.preload = "auto";
+  standby.src = track.url;
+  standby.load();
+  standby.dataset.trackId = id;
+  resetDeckGain(standby);
+  applyNormalization(standby, track);
+  preloadedTrackId = id;
+}
+
+function startHandoff(fade) {
+  const step = resolveNextStep();
+  const standby = standbyDeck();
+  if (
+    !step ||
+    state.tracks[step.index].id !== preloadedTrackId ||
+    standby.readyState < 2
+  ) {
+    return; // "ended" falls back to a normal track change
+  }
+
+  const outgoing = audio;
+  finishPlay(true);
+  sleepTimerTrackEnded();
+  applyNextStep(step);
+  const incomingGain = deckGain(standby);
+  if (incomingGain && fade > 0) {
+    incomingGain.gain.cancelScheduledValues(audioCtx.currentTime);
+    incomingGain.gain.setValueAtTime(0, audioCtx.currentTime);
+  }
+  playIndex(step.index, { fromQueue: step.queuePos !== undefined, handoff: true });
+
+  const outgoingGain = deckGain(outgoing);
+  if (fade > 0 && incomingGain && outgoingGain) {
+    const now = audioCtx.currentTime;
+    const [fadeIn, fadeOut] = crossfadeCurves(transitionSettings.curve);
+    outgoingGain.gain.cancelScheduledValues(now);
+    incomingGain.gain.cancelScheduledValues(now);
+    incomingGain.gain.setValueCurveAtTime(fadeIn, now, fade);
+    outgoingGain.gain.setValueCurveAtTime(fadeOut, now, fade);
+  }
+  // Let the outgoing deck play out its tail, then release it
+  transition = {
+    from: outgoing,
+    timer: setTimeout(finishTransition, fade * 1000 + 250),
+  };
+}
+
+function finishTransition() {
+  clearTimeout(handoffTimer);
+  handoffTimer = null;
+  if (!transition) return;
+  clearTimeout(transition.timer);
+  const { from } = transition;
+  transition = null;
+  if (from !== audio) {
+    silenceDeck(from);
+    resetDeckGain(from);
+  }
+  resetDeckGain(audio);
+}
+
+function formatCrossfade(sec) {
+  return sec > 0 ? formatUnit(Number(sec.toFixed(1)), "second") : t("common.off");
+}
+
+function renderSettingsPanel() {
+  optGapless.checked = transitionSettings.gapless;
+  optCrossfade.value = transitionSettings.crossfade;
+  optCrossfadeValue.textContent = formatCrossfade(transitionSettings.crossfade);
+  optFadeCurve.value = transitionSettings.curve;
+  optNormalize.value = normalizationSettings.mode;
+  optNormalizeTarget.value = String(normalizationSettings.target);
+  optLimiter.checked = normalizationSettings.limiter;
+  renderLoudnessStatus();
+}
+
+// Loudness analysis (ITU-R BS.1770 / EBU R128)
+const K_WEIGHTING = [
+  // high shelf modelling the head, then the RLB high-pass
+  { b: [1.53512485958697, -2.69169618940638, 1.19839281085285], a: [-1.69065929318241, 0.73248077421585] },
+  { b: [1, -2, 1], a: [-1.99004745483398, 0.99007225036621] },
+];
+
+// 4x oversampling for true peak: windowed-sinc taps for the 3 in-between phases
+const TRUE_PEAK_TAPS = [1, 2, 3].map((phase) => {
+  const taps = new Float32Array(12);
+  for (let k = 0; k < 12; k++) {
+    const d = k - 5 - phase / 4;
+    const window = 0.5 * (1 + Math.cos((Math.PI * d) / 6.5));
+    taps[k] = (Math.sin(Math.PI * d) / (Math.PI * d)) * window;
+  }
+  return taps;
+});
+
+function nextTick() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function decodeForAnalysis(blob) {
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!Offline) return Promise.reject(new Error("OfflineAudioContext is not supported"));
+  // decodeAudioData resamples to the context rate but keeps the file's channels
+  const ctx = new Offline(2, 1, ANALYSIS_SAMPLE_RATE);
+  return blob.arrayBuffer().then(
+    (data) =>
+      new Promise((resolve, reject) => {
+        const pending = ctx.decodeAudioData(data, resolve, reject);
+        if (pending && pending.then) pending.then(resolve, reject);
+      })
+  );
+}
+
+function channelWeights(count) {
+  // 5.1: L R C LFE Ls Rs; the LFE channel is ignored, surrounds get +1.5 dB
+  if (count === 6) return [1, 1, 1, 0, 1.41, 1.41];
+  return new Array(count).fill(1);
+}
+
+// Mean square of the K-weighted signal per 100 ms segment, added into energy
+async function accumulateKWeighted(data, weight, segLen, energy) {
+  const [s1, s2] = K_WEIGHTING;
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+  for (let seg = 0; seg < energy.length; seg++) {
+    let sum = 0;
+    const end = (seg + 1) * segLen;
+    for (let n = seg * segLen; n < end; n++) {
+      const x = data[n];
+      const y = s1.b[0] * x + s1.b[1] * x1 + s1.b[2] * x2 - s1.a[0] * y1 - s1.a[1] * y2;
+      x2 = x1;
+      x1 = x;
+      const z = s2.b[0] * y + s2.b[1] * y1 + s2.b[2] * y2 - s2.a[0] * z1 - s2.a[1] * z2;
+      y2 = y1;
+      y1 = y;
+      z2 = z1;
+      z1 = z;
+      sum += z * z;
+    }
+    energy[seg] += (weight * sum) / segLen;
+    if (seg % 100 === 99) await nextTick(); // every 10 s of audio
+  }
+}
+
+async function channelTruePeak(data, chunk) {
+  let peak = 0;
+  for (let n = 0; n < data.length; n++) {
+    const v = Math.abs(data[n]);
+    if (v > peak) peak = v;
+  }
+  // Inter-sample overs only happen next to loud samples
+  for (let n = 5; n < data.length - 6; n++) {
+    if (n % chunk === 0) await nextTick();
+    if (Math.abs(data[n]) * 2 < peak && Math.abs(data[n + 1]) * 2 < peak) continue;
+    for (const taps of TRUE_PEAK_TAPS) {
+      let v = 0;
+      for (let k = 0; k < 12; k++) v += taps[k] * data[n - 5 + k];
+      v = Math.abs(v);
+      if (v > peak) peak = v;
+    }
+  }
+  return peak;
+}
+
+function powerToLufs(power) {
+  return -0.691 + 10 * Math.log10(power);
+}
+
+// Integrated loudness with the absolute (-70 LUFS) and relative (-10 LU) gates
+async function measureLoudness(buffer) {
+  const segLen = Math.round(buffer.sampleRate * 0.1);
+  const energy = new Float64Array(Math.floor(buffer.length / segLen));
+  const weights = channelWeights(buffer.numberOfChannels);
+  let peak = 0;
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    if (weights[ch]) await accumulateKWeighted(data, weights[ch], segLen, energy);
+    peak = Math.max(peak, await channelTruePeak(data, buffer.sampleRate * 10));
+  }
+
+  // 400 ms blocks overlapping by 75%
+  const blocks = [];
+  for (let j = 0; j + 4 <= energy.length; j++) {
+    blocks.push((energy[j] + energy[j + 1] + energy[j + 2] + energy[j + 3]) / 4);
+  }
+  const mean = (list) => list.reduce((sum, p) => sum + p, 0) / list.length;
+  const audible = blocks.filter((p) => p > 0 && powerToLufs(p) > -70);
+  const peakDb = peak > 0 ? 20 * Math.log10(peak) : null;
+  if (!audible.length) return { lufs: null, peak: peakDb, power: 0, blocks: 0 };
+  const relativeGate = mean(audible) / 10;
+  const gated = audible.filter((p) => p > relativeGate);
+  const power = mean(gated);
+  return { lufs: powerToLufs(power), peak: peakDb, power, blocks: gated.length };
+}
+
+// RMS per bucket, scaled so the loudest bucket is 255
+function computePeaks(buffer) {
+  const rms = new Float64Array(WAVEFORM_BUCKETS);
+  const size = buffer.length / WAVEFORM_BUCKETS;
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let b = 0; b < WAVEFORM_BUCKETS; b++) {
+      const start = Math.floor(b * size);
+      const end = Math.max(start + 1, Math.floor((b + 1) * size));
+      let sum = 0;
+      for (let n = start; n < end && n < data.length; n++) sum += data[n] * data[n];
+      rms[b] += sum / (end - start);
+    }
+  }
+  let max = 0;
+  rms.forEach((v, b) => {
+    rms[b] = Math.sqrt(v / buffer.numberOfChannels);
+    max = Math.max(max, rms[b]);
+  });
+  const peaks = new Uint8Array(WAVEFORM_BUCKETS);
+  if (max > 0) rms.forEach((v, b) => (peaks[b] = Math.round((v / max) * 255)));
+  return peaks;
+}
+
+// One decode feeds both the loudness measurement and the seek bar waveform
+async function analyseTrack(track) {
+  const rec = await idbGetTrack(track.id);
+  if (!rec || !rec.blob) return;
+  let loudness;
+  let peaks = null;
+  const tooLong = track.duration
+    ? track.duration > MAX_ANALYSIS_SEC
+    : rec.blob.size > MAX_ANALYSIS_BYTES;
+  if (tooLong) {
+    loudness = { lufs: null, skipped: "too-long" };
+  } else {
+    try {
+      const buffer = await decodeForAnalysis(rec.blob);
+      peaks = computePeaks(buffer);
+      loudness = await measureLoudness(buffer);
+    } catch (e) {
+      console.warn("Track analysis failed:", track.name, e);
+      loudness = { lufs: null, skipped: "decode-failed" };
+    }
+  }
+  loudness.analyzedAt = Date.now();
+  // The track may have been deleted while it was being measured
+  if (!state.tracks.includes(track)) return;
+  track.loudness = loudness;
+  track.peaks = peaks;
+  // Lyrics may have been saved to the record while it was being decoded
+  await idbUpdateTrack(track.id, (fresh) => {
+    fresh.loudness = loudness;
+    fresh.peaks = peaks;
+  });
+  saveTracks();
+  refreshNormalization();
+  if (track === state.tracks[state.currentIndex]) drawSeekWave();
+}
+
+function needsAnalysis(track) {
+  return !track.loudness || (!track.peaks && !track.loudness.skipped);
+}
+
+// first: jump ahead of the backlog, e.g. for the track that is about to play
+function queueTrackAnalysis(ids, { first = false } = {}) {
+  ids.forEach((id) => {
+    const pos = analysisQueue.indexOf(id);
+    if (pos === 0 && analysisRunning) return;
+    if (pos !== -1) {
+      if (!first) return;
+      analysisQueue.splice(pos, 1);
+    }
+    if (first) analysisQueue.splice(analysisRunning ? 1 : 0, 0, id);
+    else analysisQueue.push(id);
+  });
+  renderLoudnessStatus();
+  runAnalysisQueue();
+}
+
+async function runAnalysisQueue() {
+  if (analysisRunning) return;
+  analysisRunning = true;
+  while (analysisQueue.length) {
+    const track = state.tracks.find((t) => t.id === analysisQueue[0]);
+    try {
+      if (track) await analyseTrack(track);
+    } catch (e) {
+      console.warn("Track analysis failed:", e);
+    }
+    analysisQueue.shift();
+    renderLoudnessStatus();
+  }
+  analysisRunning = false;
+  renderLoudnessStatus();
+}
+
+function handleAnalyseLibrary(all) {
+  const ids = state.tracks.filter((t) => all || needsAnalysis(t)).map((t) => t.id);
+  queueTrackAnalysis(ids);
+}
+
+// Loudness normalization
+function isLimiterActive() {
+  return normalizationSettings.mode !== "off" && normalizationSettings.limiter;
+}
+
+function createLimiter() {
+  // A fast, hard-kneed compressor just below full scale catches boosted peaks
+  limiter = audioCtx.createDynamicsCompressor();
+  limiter.threshold.value = TRUE_PEAK_CEILING_DB;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.001;
+  limiter.release.value = 0.1;
+}
+
+function albumKey(track) {
+  return track.album ? `${track.artist || ""}\u0000${track.album}` : null;
+}
+
+// Album loudness: gated block energy pooled over every analysed track of the album
+function albumLoudness(track) {
+  const key = albumKey(track);
+  if (!key) return null;
+  let energy = 0;
+  let blocks = 0;
+  let peak = null;
+  state.tracks.forEach((t) => {
+    const l = t.loudness;
+    if (albumKey(t) !== key || !l || !l.blocks) return;
+    energy += l.power * l.blocks;
+    blocks += l.blocks;
+    if (l.peak !== null) peak = Math.max(peak === null ? -Infinity : peak, l.peak);
+  });
+  return blocks ? { lufs: powerToLufs(energy / blocks), peak } : null;
+}
+
+function normalizationGainDb(track) {
+  if (normalizationSettings.mode === "off" || !track || !track.loudness) return 0;
+  let measured = track.loudness;
+  if (normalizationSettings.mode === "album") measured = albumLoudness(track) || measured;
+  if (measured.lufs === null || measured.lufs === undefined) return 0;
+
+  let gain = Math.min(MAX_NORMALIZATION_BOOST_DB, normalizationSettings.target - measured.lufs);
+  // Without the limiter, never push the true peak over the ceiling
+  if (!normalizationSettings.limiter && measured.peak !== null) {
+    gain = Math.min(gain, TRUE_PEAK_CEILING_DB - measured.peak);
+  }
+  return gain;
 }
 
-function togglePlayPause() {
-  if (!state.tracks.length) return;
-  if (state.isPlaying) pause();
-  else play();
+function applyNormalization(deck, track, smooth = false) {
+  const level = deckLevelGains[decks.indexOf(deck)];
+  if (!level) return;
+  const value = 10 ** (normalizationGainDb(track) / 20);
+  const now = audioCtx.currentTime;
+  level.gain.cancelScheduledValues(now);
+  if (smooth) level.gain.setTargetAtTime(value, now, 0.05);
+  else level.gain.setValueAtTime(value, now);
 }
 
-function nextTrack() {
-  if (!state.tracks.length) return;
-  if (state.isShuffle) {
-    if (state.tracks.length === 1) {
-      audio.currentTime = 0;
-      play();
-      return;
-    }
-    let idx = state.currentIndex;
-    while (idx === state.currentIndex) {
-      idx = Math.floor(Math.random() * state.tracks.length);
-    }
-    playIndex(idx);
-    return;
-  }
+function refreshNormalization() {
+  decks.forEach((deck) => {
+    const track = state.tracks.find((t) => t.id === deck.dataset.trackId);
+    applyNormalization(deck, track, true);
+  });
+}
 
-  if (state.currentIndex < state.tracks.length - 1) {
-    playIndex(state.currentIndex + 1);
-  } else {
-    if (state.repeatMode === "all") {
-      playIndex(0);
-    } else {
-      // off or one, just stop if at end
-      audio.currentTime = 0;
-      pause();
-    }
-  }
+function setNormalization(changes) {
+  Object.assign(normalizationSettings, changes);
+  saveNormalizationSettings();
+  connectAudioChain();
+  refreshNormalization();
 }
 
-function prevTrack() {
-  if (!state.tracks.length) return;
-  if (audio.currentTime > 3) {
-    audio.currentTime = 0;
-    return;
-  }
+function renderLoudnessStatus() {
+  const analysed = state.tracks.filter((t) => !needsAnalysis(t)).length;
+  const missing = state.tracks.length - analysed;
+  let text = t("settings.analysed", { analysed, count: state.tracks.length });
+  if (analysisQueue.length) text = t("settings.analysing", { count: analysisQueue.length });
+  loudnessStatusEl.textContent = text;
+  btnAnalyseMissing.disabled = !missing || analysisRunning;
+  btnAnalyseAll.disabled = !state.tracks.length || analysisRunning;
 
-  if (state.currentIndex > 0) {
-    playIndex(state.currentIndex - 1);
+  const track = state.tracks[state.currentIndex];
+  const l = track && track.loudness;
+  if (l && l.lufs !== null && l.lufs !== undefined) {
+    const peak = l.peak !== null ? `, peak ${l.peak.toFixed(1)} dBTP` : "";
+    loudnessStatusEl.title = `${track.name}: ${l.lufs.toFixed(1)} LUFS${peak}`;
   } else {
-    playIndex(state.tracks.length - 1);
+    loudnessStatusEl.removeAttribute("title");
   }
 }
 
-function toggleShuffle() {
-  state.isShuffle = !state.isShuffle;
-  btnShuffle.classList.toggle("active", state.isShuffle);
+// Equalizer
+function eqBandType(i) {
+  if (i === 0) return "lowshelf";
+  if (i === EQ_BANDS.length - 1) return "highshelf";
+  return "peaking";
 }
 
-function cycleRepeatMode() {
-  // off -> all -> one -> off
-  if (state.repeatMode === "off") state.repeatMode = "all";
-  else if (state.repeatMode === "all") state.repeatMode = "one";
-  else state.repeatMode = "off";
-
-  btnRepeat.classList.toggle("active", state.repeatMode !== "off");
-  btnRepeat.textContent =
-    state.repeatMode === "one" ? "🔂" : "🔁";
+function createEqualizerNodes() {
+  eqPreamp = audioCtx.createGain();
+  eqFilters = EQ_BANDS.map((freq, i) => {
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = eqBandType(i);
+    filter.frequency.value = freq;
+    filter.Q.value = EQ_Q;
+    return filter;
+  });
+  applyEqToNodes();
 }
 
-// Seek + volume
-function handleTimeUpdate() {
-  if (audio.duration) {
-    const pct = (audio.currentTime / audio.duration) * 100;
-    seekBar.value = pct;
-  }
-  currentTimeEl.textContent = formatTime(audio.currentTime);
+function applyEqToNodes() {
+  if (!eqPreamp) return;
+  const now = audioCtx.currentTime;
+  eqPreamp.gain.setTargetAtTime(10 ** (eqSettings.preamp / 20), now, 0.02);
+  eqFilters.forEach((filter, i) => {
+    filter.gain.setTargetAtTime(eqSettings.gains[i], now, 0.02);
+  });
 }
 
-function handleLoadedMetadata() {
-  totalTimeEl.textContent = formatTime(audio.duration);
+function setEqEnabled(enabled) {
+  eqSettings.enabled = enabled;
+  saveEqSettings();
+  connectAudioChain();
+  renderEqPanel();
+}
 
-  const track = state.tracks[state.currentIndex];
-  if (track && !track.duration) {
-    track.duration = audio.duration;
-    saveTracks();
-    renderPlaylist();
-  }
+function setEqBand(i, db) {
+  eqSettings.gains[i] = db;
+  eqSettings.preset = null;
+  saveEqSettings();
+  applyEqToNodes();
+  syncEqPresetSelect();
+  drawEqCurve();
 }
 
-function handleSeekInput() {
-  if (!audio.duration) return;
-  const pct = parseFloat(seekBar.value);
-  audio.currentTime = (pct / 100) * audio.duration;
+function setEqPreamp(db) {
+  eqSettings.preamp = db;
+  eqSettings.preset = null;
+  saveEqSettings();
+  applyEqToNodes();
+  syncEqPresetSelect();
+  drawEqCurve();
 }
 
-function handleVolumeInput() {
-  const vol = parseFloat(volumeBar.value);
-  audio.volume = vol;
-  saveVolume(vol);
+function applyEqPreset(name) {
+  const custom = eqSettings.customPresets[name];
+  const builtIn = EQ_PRESETS[name];
+  if (!custom && !builtIn) return;
+  eqSettings.gains = [...(custom ? custom.gains : builtIn)];
+  eqSettings.preamp = custom ? custom.preamp : 0;
+  eqSettings.preset = name;
+  saveEqSettings();
+  applyEqToNodes();
+  renderEqPanel();
 }
 
-// On ended
-function handleEnded() {
-  if (state.repeatMode === "one") {
-    audio.currentTime = 0;
-    play();
+function saveCustomEqPreset() {
+  const name = window.prompt(
+    t("eq.presetName"),
+    eqSettings.preset && !EQ_PRESETS[eqSettings.preset] ? eqSettings.preset : ""
+  );
+  if (!name || !name.trim()) return;
+  const key = name.trim();
+  if (EQ_PRESETS[key]) {
+    window.alert(t("eq.builtInName", { name: key }));
     return;
   }
-  nextTrack();
+  eqSettings.customPresets[key] = {
+    preamp: eqSettings.preamp,
+    gains: [...eqSettings.gains],
+  };
+  eqSettings.preset = key;
+  saveEqSettings();
+  renderEqPanel();
 }
 
-function addRecent(track) {
-  const entry = {
-    id: track.id,
-    name: track.name,
-    duration: track.duration || null,
-  };
-  state.recents = state.recents.filter((t) => t.id !== track.id);
-  state.recents.unshift(entry);
-  state.recents = state.recents.slice(0, 8);
-  saveRecents();
-  renderHome();
+function deleteCustomEqPreset() {
+  const name = eqSettings.preset;
+  if (!name || !eqSettings.customPresets[name]) return;
+  delete eqSettings.customPresets[name];
+  eqSettings.preset = null;
+  saveEqSettings();
+  renderEqPanel();
 }
 
-// Add files
-function addFiles(fileList) {
-  const files = Array.from(fileList).filter((file) => {
-    if (file.type.startsWith("audio/")) return true;
-    const lower = file.name.toLowerCase();
-    return (
-      lower.endsWith(".mp3") ||
-      lower.endsWith(".wav") ||
-      lower.endsWith(".m4a") ||
-      lower.endsWith(".ogg")
-    );
-  });
+// RBJ biquad magnitude in dB, matching the Web Audio filter definitions
+function biquadMagnitudeDb(type, f0, gainDb, q, freq, sampleRate) {
+  const A = 10 ** (gainDb / 40);
+  const w0 = (2 * Math.PI * f0) / sampleRate;
+  const cos = Math.cos(w0);
+  const sin = Math.sin(w0);
+  let b0, b1, b2, a0, a1, a2;
+  if (type === "peaking") {
+    const alpha = sin / (2 * q);
+    b0 = 1 + alpha * A;
+    b1 = -2 * cos;
+    b2 = 1 - alpha * A;
+    a0 = 1 + alpha / A;
+    a1 = -2 * cos;
+    a2 = 1 - alpha / A;
+  } else {
+    // Shelves use slope S = 1
+    const alpha = (sin / 2) * Math.SQRT2;
+    const k = 2 * Math.sqrt(A) * alpha;
+    const sign = type === "lowshelf" ? 1 : -1;
+    b0 = A * (A + 1 - sign * (A - 1) * cos + k);
+    b1 = sign * 2 * A * (A - 1 - sign * (A + 1) * cos);
+    b2 = A * (A + 1 - sign * (A - 1) * cos - k);
+    a0 = A + 1 + sign * (A - 1) * cos + k;
+    a1 = -sign * 2 * (A - 1 + sign * (A + 1) * cos);
+    a2 = A + 1 + sign * (A - 1) * cos - k;
+  }
+  const w = (2 * Math.PI * freq) / sampleRate;
+  const c1 = Math.cos(w);
+  const s1 = Math.sin(w);
+  const c2 = Math.cos(2 * w);
+  const s2 = Math.sin(2 * w);
+  const numRe = b0 + b1 * c1 + b2 * c2;
+  const numIm = -(b1 * s1 + b2 * s2);
+  const denRe = a0 + a1 * c1 + a2 * c2;
+  const denIm = -(a1 * s1 + a2 * s2);
+  const mag = Math.sqrt((numRe ** 2 + numIm ** 2) / (denRe ** 2 + denIm ** 2));
+  return 20 * Math.log10(mag);
+}
 
-  if (!files.length) return;
+function eqResponseDb(freq, sampleRate) {
+  let db = eqSettings.preamp;
+  EQ_BANDS.forEach((f0, i) => {
+    db += biquadMagnitudeDb(eqBandType(i), f0, eqSettings.gains[i], EQ_Q, freq, sampleRate);
+  });
+  return db;
+}
 
-  files.forEach((file) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const arrayBuffer = e.target.result;
-      const blob = new Blob([arrayBuffer], { type: file.type || "audio/mpeg" });
-      const url = URL.createObjectURL(blob);
-      const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-      const name = file.name.replace(/\.[^/.]+$/, "");
-
-      const newTrack = {
-        id,
-        name,
-        url,
-        duration: null,
-      };
+function drawEqCurve() {
+  const ctx = eqCurveCanvas.getContext("2d");
+  const rect = eqCurveCanvas.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  eqCurveCanvas.width = Math.max(1, rect.width * dpr);
+  eqCurveCanvas.height = Math.max(1, rect.height * dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  const width = rect.width;
+  const height = rect.height;
+  const sampleRate = audioCtx ? audioCtx.sampleRate : 48000;
+  const minF = 20;
+  const maxF = 20000;
+  const rangeDb = EQ_RANGE_DB * 1.5;
+  const yFor = (db) => height / 2 - (db / rangeDb) * (height / 2);
 
-      // Persist the file in IndexedDB (safe for large files)
-      idbPutTrack({ id, name, type: blob.type, blob })
-        .then(() => {
-          state.tracks.push(newTrack);
-          saveTracks();
-          renderPlaylist();
-
-          // If this is the first track added
-          if (state.tracks.length === 1) {
-            loadTrack(0);
-          }
-
-          // Load duration asynchronously
-          const tempAudio = new Audio();
-          tempAudio.src = url;
-          tempAudio.addEventListener("loadedmetadata", () => {
-            newTrack.duration = tempAudio.duration;
-            saveTracks();
-            renderPlaylist();
-          });
-        })
-        .catch((err) => {
-          console.warn("Failed to save track to IndexedDB:", err);
-          // Fallback: keep in memory for this session
-          state.tracks.push(newTrack);
-          renderPlaylist();
-        });
-    };
-    reader.readAsArrayBuffer(file);
+  ctx.clearRect(0, 0, width, height);
+  ctx.strokeStyle = "rgba(255,255,255,0.08)";
+  ctx.lineWidth = 1;
+  [-12, -6, 0, 6, 12].forEach((db) => {
+    ctx.beginPath();
+    ctx.moveTo(0, yFor(db));
+    ctx.lineTo(width, yFor(db));
+    ctx.stroke();
   });
+
+  ctx.beginPath();
+  for (let x = 0; x <= width; x++) {
+    const freq = minF * (maxF / minF) ** (x / width);
+    const db = Math.max(-rangeDb, Math.min(rangeDb, eqResponseDb(freq, sampleRate)));
+    if (x === 0) ctx.moveTo(x, yFor(db));
+    else ctx.lineTo(x, yFor(db));
+  }
+  ctx.strokeStyle = eqSettings.enabled ? "#00ffc6" : "rgba(255,255,255,0.35)";
+  ctx.lineWidth = 2;
+  ctx.stroke();
 }
 
-// Drag & drop handling
-function preventDefaults(e) {
-  e.preventDefault();
-  e.stopPropagation();
+function syncEqPresetSelect() {
+  eqPresetSelect.value = eqSettings.preset || "";
+  btnEqDelete.disabled = !(eqSettings.preset && eqSettings.customPresets[eqSettings.preset]);
 }
 
-["dragenter", "dragover", "dragleave", "drop"].forEach((event) => {
-  document.addEventListener(event, (e) => {
-    if (event === "dragover" || event === "dragenter") {
-      preventDefaults(e);
-      dropZone.classList.add("drag-over");
-    } else if (event === "dragleave") {
-      preventDefaults(e);
-      if (!dropZone.contains(e.relatedTarget)) {
-        dropZone.classList.remove("drag-over");
-      }
-    } else if (event === "drop") {
-      preventDefaults(e);
-      dropZone.classList.remove("drag-over");
-      if (e.dataTransfer && e.dataTransfer.files) {
-        addFiles(e.dataTransfer.files);
-      }
-    }
+function formatEqFreq(freq) {
+  return freq >= 1000 ? `${freq / 1000}k` : String(freq);
+}
+
+function buildEqSlider(label, value, onInput) {
+  const wrap = document.createElement("label");
+  wrap.className = "eq-band";
+  const valueEl = document.createElement("span");
+  valueEl.className = "eq-value";
+  valueEl.textContent = value > 0 ? `+${value}` : String(value);
+  const input = document.createElement("input");
+  input.type = "range";
+  input.min = -EQ_RANGE_DB;
+  input.max = EQ_RANGE_DB;
+  input.step = 0.5;
+  input.value = value;
+  input.addEventListener("input", () => {
+    const db = parseFloat(input.value);
+    valueEl.textContent = db > 0 ? `+${db}` : String(db);
+    onInput(db);
   });
-});
+  input.addEventListener("dblclick", () => {
+    input.value = 0;
+    input.dispatchEvent(new Event("input"));
+  });
+  const name = document.createElement("span");
+  name.className = "eq-freq";
+  name.textContent = label;
+  wrap.appendChild(valueEl);
+  wrap.appendChild(input);
+  wrap.appendChild(name);
+  return wrap;
+}
 
-// Search within "Менің әндерім"
-function handleSearchInput() {
-  const term = searchInput.value.trim().toLowerCase();
-  searchResults.innerHTML = "";
-  if (!term) return;
-  const matches = state.tracks.filter((t) =>
-    t.name.toLowerCase().includes(term)
-  );
-  if (!matches.length) {
-    const li = document.createElement("li");
-    li.className = "playlist-item";
-    li.style.opacity = "0.6";
-    li.textContent = "Табылмады";
-    searchResults.appendChild(li);
-    return;
+function renderEqPanel() {
+  eqEnabledInput.checked = eqSettings.enabled;
+  eqPanel.classList.toggle("eq-off", !eqSettings.enabled);
+
+  eqPresetSelect.innerHTML = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = t("eq.customUnsaved");
+  placeholder.disabled = true;
+  eqPresetSelect.appendChild(placeholder);
+  const builtIn = document.createElement("optgroup");
+  builtIn.label = t("eq.presets");
+  Object.keys(EQ_PRESETS).forEach((name) => {
+    builtIn.appendChild(new Option(name, name));
+  });
+  eqPresetSelect.appendChild(builtIn);
+  const customNames = Object.keys(eqSettings.customPresets);
+  if (customNames.length) {
+    const custom = document.createElement("optgroup");
+    custom.label = t("eq.myPresets");
+    customNames.forEach((name) => custom.appendChild(new Option(name, name)));
+    eqPresetSelect.appendChild(custom);
   }
-  matches.forEach((track) => {
-    const li = document.createElement("li");
-    li.className = "playlist-item";
-    const title = document.createElement("span");
-    title.className = "title";
-    title.textContent = track.name;
-    const meta = document.createElement("span");
-    meta.className = "meta";
-    const dot = document.createElement("span");
-    dot.className = "dot";
-    const durationSpan = document.createElement("span");
-    durationSpan.textContent = track.duration ? formatTime(track.duration) : "--:--";
-    meta.appendChild(dot);
-    meta.appendChild(durationSpan);
-    li.appendChild(title);
-    li.appendChild(meta);
-    li.addEventListener("click", () => {
-      const idx = state.tracks.findIndex((t) => t.id === track.id);
-      if (idx >= 0) playIndex(idx);
-    });
-    searchResults.appendChild(li);
+  syncEqPresetSelect();
+
+  eqBandsEl.innerHTML = "";
+  const preamp = buildEqSlider(t("eq.preamp"), eqSettings.preamp, setEqPreamp);
+  preamp.classList.add("eq-preamp");
+  eqBandsEl.appendChild(preamp);
+  EQ_BANDS.forEach((freq, i) => {
+    eqBandsEl.appendChild(
+      buildEqSlider(formatEqFreq(freq), eqSettings.gains[i], (db) => setEqBand(i, db))
+    );
   });
+  drawEqCurve();
 }
-searchInput.addEventListener("input", handleSearchInput);
 
-// File input
-fileInput.addEventListener("change", (e) => {
-  if (e.target.files) addFiles(e.target.files);
-  fileInput.value = "";
-});
+// Visualizer
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
 
-// Buttons
-btnPlay.addEventListener("click", togglePlayPause);
-btnPrev.addEventListener("click", prevTrack);
-btnNext.addEventListener("click", nextTrack);
-btnShuffle.addEventListener("click", toggleShuffle);
-btnRepeat.addEventListener("click", cycleRepeatMode);
+function buildSpectrogramPalette(theme) {
+  const stops = [[0, 0, 0], ...VISUALIZER_THEMES[theme].map(hexToRgb)];
+  const palette = [];
+  for (let i = 0; i < 256; i++) {
+    const pos = (i / 255) * (stops.length - 1);
+    const k = Math.min(stops.length - 2, Math.floor(pos));
+    const t = pos - k;
+    const [r, g, b] = stops[k].map((c, j) => Math.round(c + (stops[k + 1][j] - c) * t));
+    palette.push(`rgb(${r},${g},${b})`);
+  }
+  return palette;
+}
 
-// Audio events
-audio.addEventListener("timeupdate", handleTimeUpdate);
-audio.addEventListener("loadedmetadata", handleLoadedMetadata);
-audio.addEventListener("ended", handleEnded);
+// [fromBin, toBin) ranges for bands spaced evenly on a log-frequency axis
+function logFrequencyBands(count, binCount, sampleRate) {
+  const nyquist = sampleRate / 2;
+  const ratio = VISUALIZER_MAX_FREQ / VISUALIZER_MIN_FREQ;
+  const bands = [];
+  for (let i = 0; i < count; i++) {
+    const lo = VISUALIZER_MIN_FREQ * ratio ** (i / count);
+    const hi = VISUALIZER_MIN_FREQ * ratio ** ((i + 1) / count);
+    const from = Math.min(binCount - 1, Math.floor((lo / nyquist) * binCount));
+    const to = Math.min(binCount, Math.max(from + 1, Math.ceil((hi / nyquist) * binCount)));
+    bands.push([from, to]);
+  }
+  return bands;
+}
 
-// Range inputs
-seekBar.addEventListener("input", handleSeekInput);
-volumeBar.addEventListener("input", handleVolumeInput);
+function bandLevels(data, bands) {
+  return bands.map(([from, to]) => {
+    let v = 0;
+    for (let i = from; i < to; i++) v = Math.max(v, data[i]);
+    return Math.min(1, (v / 255) * visualizerSettings.sensitivity);
+  });
+}
 
-// Keyboard shortcuts
-window.addEventListener("keydown", (e) => {
-  const active = document.activeElement;
-  const isTyping =
-    active && (active.tagName === "INPUT" || active.tagName === "TEXTAREA");
+function drawSpectrumBars(data, width, height, colors) {
+  const levels = bandLevels(data, logFrequencyBands(64, data.length, audioCtx.sampleRate));
+  const barWidth = width / levels.length;
+  const grad = canvasCtx.createLinearGradient(0, 0, 0, height);
+  grad.addColorStop(0, colors[1]);
+  grad.addColorStop(1, colors[0]);
+  canvasCtx.clearRect(0, 0, width, height);
+  canvasCtx.fillStyle = grad;
+  levels.forEach((v, i) => {
+    const barHeight = v * height * 0.9;
+    canvasCtx.fillRect(i * barWidth, height - barHeight, barWidth * 0.8, barHeight);
+  });
 
-  if (isTyping) return;
+  // subtle central glow
+  const glowRadius = height * 0.25;
+  const gradient = canvasCtx.createRadialGradient(
+    width / 2,
+    height * 0.55,
+    0,
+    width / 2,
+    height * 0.55,
+    glowRadius
+  );
+  const [r, g, b] = hexToRgb(colors[1]);
+  gradient.addColorStop(0, `rgba(${r},${g},${b},0.25)`);
+  gradient.addColorStop(1, "transparent");
+  canvasCtx.fillStyle = gradient;
+  canvasCtx.beginPath();
+  canvasCtx.arc(width / 2, height * 0.55, glowRadius, 0, Math.PI * 2);
+  canvasCtx.fill();
+}
 
-  if (e.code === "Space") {
-    e.preventDefault();
-    togglePlayPause();
-  } else if (e.code === "ArrowLeft") {
-    e.preventDefault();
-    if (audio.currentTime >= 5) audio.currentTime -= 5;
-    else audio.currentTime = 0;
-  } else if (e.code === "ArrowRight") {
-    e.preventDefault();
-    if (audio.duration) {
-      audio.currentTime = Math.min(audio.duration, audio.currentTime + 5);
-    }
+function drawOscilloscope(data, width, height, colors) {
+  canvasCtx.clearRect(0, 0, width, height);
+  canvasCtx.lineWidth = 2;
+  canvasCtx.strokeStyle = colors[1];
+  canvasCtx.beginPath();
+  for (let i = 0; i < data.length; i++) {
+    const v = ((data[i] - 128) / 128) * visualizerSettings.sensitivity;
+    const x = (i / (data.length - 1)) * width;
+    const y = height / 2 - Math.max(-1, Math.min(1, v)) * (height / 2) * 0.9;
+    if (i === 0) canvasCtx.moveTo(x, y);
+    else canvasCtx.lineTo(x, y);
   }
-});
-
-// Waveform animation using Web Audio API
-function ensureAudioGraph() {
-  if (audioGraphReady) return;
+  canvasCtx.stroke();
+}
 
-  try {
-    audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
-    analyser = analyser || audioCtx.createAnalyser();
-    analyser.fftSize = 256;
+function drawRadialSpectrum(data, width, height, colors) {
+  const levels = bandLevels(data, logFrequencyBands(96, data.length, audioCtx.sampleRate));
+  const cx = width / 2;
+  const cy = height / 2;
+  const size = Math.min(width, height);
+  const inner = size * 0.2;
+  canvasCtx.clearRect(0, 0, width, height);
+  canvasCtx.lineWidth = Math.max(1.5, (Math.PI * 2 * inner) / levels.length / 2);
+  canvasCtx.lineCap = "round";
+  canvasCtx.strokeStyle = colors[1];
+  canvasCtx.beginPath();
+  levels.forEach((v, i) => {
+    // Mirror the bands so lows sit at the top and the ring is symmetric
+    const angle = -Math.PI / 2 + ((i + 0.5) / levels.length) * Math.PI;
+    const length = 2 + v * size * 0.28;
+    [angle, Math.PI - angle].forEach((a) => {
+      canvasCtx.moveTo(cx + Math.cos(a) * inner, cy + Math.sin(a) * inner);
+      canvasCtx.lineTo(cx + Math.cos(a) * (inner + length), cy + Math.sin(a) * (inner + length));
+    });
+  });
+  canvasCtx.stroke();
+  canvasCtx.fillStyle = colors[0];
+  canvasCtx.beginPath();
+  canvasCtx.arc(cx, cy, inner * 0.85, 0, Math.PI * 2);
+  canvasCtx.fill();
+}
 
-    // IMPORTANT: MediaElementSourceNode can be created only once per <audio>
-    sourceNode = audioCtx.createMediaElementSource(audio);
-    sourceNode.connect(analyser);
-    analyser.connect(audioCtx.destination);
+// Scrolls one column per frame; rows are log-spaced, low frequencies at the bottom
+function drawSpectrogram(data, width, height) {
+  const shift = Math.ceil(window.devicePixelRatio || 1); // whole device pixels
+  canvasCtx.save();
+  canvasCtx.setTransform(1, 0, 0, 1, 0, 0);
+  canvasCtx.globalCompositeOperation = "copy";
+  canvasCtx.drawImage(waveCanvas, -shift, 0);
+  canvasCtx.restore();
 
-    audioGraphReady = true;
-  } catch (e) {
-    // If WebAudio fails, player should still work (just no waveform)
-    console.warn("WebAudio init failed:", e);
-    audioGraphReady = false;
-    analyser = null;
+  const column = shift / (window.devicePixelRatio || 1);
+  const nyquist = audioCtx.sampleRate / 2;
+  const ratio = VISUALIZER_MAX_FREQ / VISUALIZER_MIN_FREQ;
+  for (let y = 0; y < height; y++) {
+    const freq = VISUALIZER_MIN_FREQ * ratio ** (1 - y / height);
+    const bin = Math.min(data.length - 1, Math.round((freq / nyquist) * data.length));
+    const v = Math.min(255, Math.round(data[bin] * visualizerSettings.sensitivity));
+    canvasCtx.fillStyle = spectrogramPalette[v];
+    canvasCtx.fillRect(width - column, y, column, 1);
   }
 }
 
-function drawWaveform() {
+function startVisualizer() {
   if (!analyser) return;
 
   if (animationId) cancelAnimationFrame(animationId);
 
-  const bufferLength = analyser.frequencyBinCount;
-  const dataArray = new Uint8Array(bufferLength);
-
-  const width = waveCanvas.width;
-  const height = waveCanvas.height;
+  const freqData = new Uint8Array(analyser.frequencyBinCount);
+  const timeData = new Uint8Array(analyser.fftSize);
 
   function draw() {
     animationId = requestAnimationFrame(draw);
 
-    analyser.getByteFrequencyData(dataArray);
-
-    canvasCtx.clearRect(0, 0, width, height);
-
-    const barWidth = (width / bufferLength) * 1.4;
-    let x = 0;
-
-    for (let i = 0; i < bufferLength; i++) {
-      const v = dataArray[i] / 255;
-      const barHeight = v * height * 0.9;
-
-      const grad = canvasCtx.createLinearGradient(
-        0,
-        height - barHeight,
-        0,
-        height
-      );
-      grad.addColorStop(0, "#00ffc6");
-      grad.addColorStop(1, "#005746");
-
-      canvasCtx.fillStyle = grad;
-      canvasCtx.fillRect(
-        x,
-        height - barHeight,
-        barWidth * 0.8,
-        barHeight
-      );
-
-      x += barWidth;
+    // Measured every frame so window resizes and fullscreen apply immediately
+    const width = waveCanvas.clientWidth;
+    const height = waveCanvas.clientHeight;
+    if (!width || !height) return;
+    if (waveCanvas.width !== Math.round(width * (window.devicePixelRatio || 1))) {
+      resizeCanvas();
     }
 
-    // subtle central glow
-    const glowRadius = height * 0.25;
-    const centerX = width / 2;
-    const centerY = height * 0.55;
-    const gradient = canvasCtx.createRadialGradient(
-      centerX,
-      centerY,
-      0,
-      centerX,
-      centerY,
-      glowRadius
-    );
-    gradient.addColorStop(0, "rgba(0,255,198,0.25)");
-    gradient.addColorStop(1, "transparent");
-    canvasCtx.fillStyle = gradient;
-    canvasCtx.beginPath();
-    canvasCtx.arc(centerX, centerY, glowRadius, 0, Math.PI * 2);
-    canvasCtx.fill();
+    const colors = VISUALIZER_THEMES[visualizerSettings.theme];
+    const mode = visualizerSettings.mode;
+    if (mode === "scope") {
+      analyser.getByteTimeDomainData(timeData);
+      drawOscilloscope(timeData, width, height, colors);
+      return;
+    }
+    analyser.getByteFrequencyData(freqData);
+    if (mode === "radial") drawRadialSpectrum(freqData, width, height, colors);
+    else if (mode === "spectrogram") drawSpectrogram(freqData, width, height);
+    else drawSpectrumBars(freqData, width, height, colors);
   }
 
   draw();
 }
 
-function stopWaveform() {
+function stopVisualizer() {
   if (animationId) {
     cancelAnimationFrame(animationId);
     animationId = null;
   }
 }
 
+function setVisualizer(changes) {
+  const modeChanged = changes.mode && changes.mode !== visualizerSettings.mode;
+  Object.assign(visualizerSettings, changes);
+  spectrogramPalette = buildSpectrogramPalette(visualizerSettings.theme);
+  if (analyser) analyser.smoothingTimeConstant = visualizerSettings.smoothing;
+  if (modeChanged) {
+    canvasCtx.clearRect(0, 0, waveCanvas.clientWidth, waveCanvas.clientHeight);
+  }
+  saveVisualizerSettings();
+  renderVisualizerControls();
+}
+
+function cycleVisualizerMode() {
+  const modes = Object.keys(VISUALIZER_MODES);
+  const next = modes[(modes.indexOf(visualizerSettings.mode) + 1) % modes.length];
+  setVisualizer({ mode: next });
+}
+
+function renderVisualizerControls() {
+  btnVisMode.textContent = t(VISUALIZER_MODES[visualizerSettings.mode]);
+  optVisMode.value = visualizerSettings.mode;
+  optVisTheme.value = visualizerSettings.theme;
+  optVisSensitivity.value = visualizerSettings.sensitivity;
+  optVisSmoothing.value = visualizerSettings.smoothing;
+}
+
+function fullscreenElement() {
+  return document.fullscreenElement || document.webkitFullscreenElement || null;
+}
+
+function toggleVisualizerFullscreen() {
+  if (fullscreenElement()) {
+    (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+    return;
+  }
+  const request = visualizerEl.requestFullscreen || visualizerEl.webkitRequestFullscreen;
+  if (!request) return;
+  const pending = request.call(visualizerEl);
+  if (pending && pending.catch) {
+    pending.catch((e) => console.warn("Fullscreen request failed:", e));
+  }
+}
+
+function handleFullscreenChange() {
+  const active = fullscreenElement() === visualizerEl;
+  visualizerEl.classList.toggle("fullscreen", active);
+  btnVisFullscreen.title = t(active ? "common.exitFullscreen" : "common.fullscreen");
+  resizeCanvas();
+}
+
 // Resize canvas to container size
 function resizeCanvas() {
   const rect = waveCanvas.getBoundingClientRect();
-  waveCanvas.width = rect.width * window.devicePixelRatio;
-  waveCanvas.height = rect.height * window.devicePixelRatio;
-  canvasCtx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+  const dpr = window.devicePixelRatio || 1;
+  waveCanvas.width = Math.round(rect.width * dpr);
+  waveCanvas.height = Math.round(rect.height * dpr);
+  canvasCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  resizeSeekWave();
+  drawSeekWave();
 }
 window.addEventListener("resize", resizeCanvas);
+window.addEventListener("resize", () => {
+  if (!eqPanel.classList.contains("hidden")) drawEqCurve();
+});
 
 // Tab navigation
 function switchTab(tab) {
@@ -791,26 +9080,162 @@ function switchTab(tab) {
   navButtons.forEach((btn) =>
     btn.classList.toggle("active", btn.dataset.tab === tab)
   );
+  if (tab === "profile") {
+    renderStats();
+    renderStorage();
+  }
+  saveSession();
 }
 
 navButtons.forEach((btn) => {
   btn.addEventListener("click", () => switchTab(btn.dataset.tab));
 });
 
+// Offline app: service worker, install button, files opened or shared from the OS
+const SHARE_CACHE = "flowmusic-share"; // filled by sw.js from share-target POSTs
+
+let installPrompt = null;
+let waitingWorker = null;
+let reloadingForUpdate = false;
+
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  updateBanner.hidden = false;
+}
+
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.register("sw.js");
+    // With no controller yet this is the first install, not an update
+    if (registration.waiting && navigator.serviceWorker.controller) showUpdateBanner(registration.waiting);
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdateBanner(worker);
+      });
+    });
+  } catch (e) {
+    console.warn("Service worker registration failed:", e);
+  }
+}
+
+function applyUpdate() {
+  if (!waitingWorker) return;
+  reloadingForUpdate = true;
+  waitingWorker.postMessage({ type: "skip-waiting" });
+}
+
+// Files picked with "Open with FlowMusic" in the OS
+function setupFileHandling() {
+  if (!("launchQueue" in window)) return;
+  window.launchQueue.setConsumer(async (params) => {
+    if (!params.files || !params.files.length) return;
+    try {
+      const files = await Promise.all(params.files.map((handle) => handle.getFile()));
+      await importFiles(files);
+    } catch (e) {
+      console.warn("Unable to open files:", e);
+    }
+  });
+}
+
+// The service worker redirects a share to ?share-target after parking the files
+async function importSharedFiles() {
+  if (!new URLSearchParams(location.search).has("share-target") || !("caches" in window)) return;
+  history.replaceState(null, "", location.pathname);
+  try {
+    const cache = await caches.open(SHARE_CACHE);
+    const files = [];
+    for (const request of await cache.keys()) {
+      const blob = await (await cache.match(request)).blob();
+      const name = decodeURIComponent(request.url.split("/").pop());
+      files.push(new File([blob], name, { type: blob.type }));
+      await cache.delete(request);
+    }
+    if (files.length) await importFiles(files);
+  } catch (e) {
+    console.warn("Unable to import shared files:", e);
+  }
+}
+
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloadingForUpdate) location.reload();
+  });
+}
+window.addEventListener("beforeinstallprompt", (e) => {
+  e.preventDefault();
+  installPrompt = e;
+  btnInstall.hidden = false;
+});
+window.addEventListener("appinstalled", () => {
+  installPrompt = null;
+  btnInstall.hidden = true;
+});
+btnInstall.addEventListener("click", async () => {
+  if (!installPrompt) return;
+  installPrompt.prompt();
+  await installPrompt.userChoice;
+  installPrompt = null;
+  btnInstall.hidden = true;
+});
+btnUpdateReload.addEventListener("click", applyUpdate);
+btnUpdateDismiss.addEventListener("click", () => {
+  updateBanner.hidden = true;
+});
+
 // Init
 function init() {
+  locale = loadLocale() || detectLocale();
+  applyTranslations();
+  renderLocaleOptions();
   resizeCanvas();
+  setupMediaSession();
   loadTracks();
   loadVolume();
+  loadEqSettings();
+  loadTransitionSettings();
+  loadNormalizationSettings();
+  loadSleepSettings();
+  buildSleepPresets();
+  loadPracticeSettings();
+  renderCountInOptions();
+  loadLongFormState();
+  loadShortcuts();
+  renderShortcutFooter();
+  loadVisualizerSettings();
+  spectrogramPalette = buildSpectrogramPalette(visualizerSettings.theme);
+  renderVisualizerControls();
   loadRecents();
-  hydrateTrackUrlsFromDb().then(() => {
+  loadQueue();
+  loadShuffleState();
+  const session = loadSession();
+  renderRepeatMode();
+  registerServiceWorker();
+  Promise.all([hydrateTrackUrlsFromDb(), loadPlaylists(), loadPlays()]).then(() => {
+    pruneQueue();
     renderPlaylist();
     renderHome();
+    renderQueue();
     profileCount.textContent = state.tracks.length;
+    // The restored tab rendered before the library was in
+    if (state.currentTab === "profile") {
+      renderStats();
+      renderStorage();
+    }
+    // Back to the last song without autoplaying; otherwise the first one
+    sessionReady = true;
+    if (session && restoreSession(session)) return;
     if (state.tracks.length > 0) {
       // Make sure first track is hydrated
       if (state.tracks[0].url) loadTrack(0);
     }
+  }).then(() => {
+    // Only once the library is loaded, so opened files land next to it
+    setupFileHandling();
+    importSharedFiles();
   });
   switchTab(state.currentTab);
 }
@@ -0,0 +1,82 @@
+// FlowMusic service worker: keeps the app shell available offline.
+// Songs live in IndexedDB, so only the shell files are cached here.
+
+// Bump on every release so clients pick up the new shell
+const SHELL_VERSION = "2026-10-18.4";
+const SHELL_CACHE = `flowmusic-shell-${SHELL_VERSION}`;
+const SHARE_CACHE = "flowmusic-share";
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./script.js",
+  "./manifest.webmanifest",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+  "./icons/icon-maskable-512.png",
+];
+
+self.addEventListener("install", (event) => {
+  // The new version waits until the page agrees to reload (see "skip-waiting")
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith("flowmusic-shell-") && name !== SHELL_CACHE)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skip-waiting") self.skipWaiting();
+});
+
+// Files shared from another app are parked in a cache for the page to import
+async function handleShare(request) {
+  try {
+    const form = await request.formData();
+    const cache = await caches.open(SHARE_CACHE);
+    const files = form.getAll("audio").filter((file) => file && file.name);
+    await Promise.all(
+      files.map((file, i) =>
+        cache.put(
+          `./shared/${Date.now()}-${i}/${encodeURIComponent(file.name)}`,
+          new Response(file, { headers: { "Content-Type": file.type || "application/octet-stream" } })
+        )
+      )
+    );
+  } catch (e) {
+    console.warn("Unable to receive shared files:", e);
+  }
+  return Response.redirect(new URL("./?share-target", self.location).href, 303);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (request.method === "POST" && url.pathname.endsWith("/share-target")) {
+    event.respondWith(handleShare(request));
+    return;
+  }
+  if (request.method !== "GET") return;
+
+  event.respondWith(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      // Navigations (including ?share-target) always get the cached page
+      const cached = await cache.match(request.mode === "navigate" ? "./index.html" : request, {
+        ignoreSearch: request.mode === "navigate",
+      });
+      return cached || fetch(request);
+    })()
+  );
+});